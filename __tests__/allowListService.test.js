@@ -0,0 +1,133 @@
+const AllowListChange = require('../models/AllowListChange');
+const Counter = require('../models/Counter');
+const AllowListService = require('../services/allowListService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('AllowListChange', () => {
+  const validUntil = new Date(Date.now() + 30 * DAY_MS);
+  const pass = (overrides = {}) => ({
+    _id: '64b000000000000000000001',
+    status: 'completed',
+    applicationType: 'new',
+    ...overrides,
+    rfidInfo: { tagId: 'E200001', isActive: true, validUntil, ...overrides.rfidInfo }
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('entryFor only lists completed, active passes inside their validity', () => {
+    expect(AllowListChange.entryFor(pass()).eligible).toBe(true);
+    expect(AllowListChange.entryFor(pass({ status: 'expired' })).eligible).toBe(false);
+    expect(AllowListChange.entryFor(pass({ applicationType: 'renewal' })).eligible).toBe(false);
+    expect(AllowListChange.entryFor(pass({ rfidInfo: { isActive: false } })).eligible).toBe(false);
+    expect(AllowListChange.entryFor(pass({ rfidInfo: { validUntil: null } })).eligible).toBe(false);
+    expect(AllowListChange.entryFor(pass({ rfidInfo: { validUntil: new Date(Date.now() - DAY_MS) } })).eligible).toBe(false);
+  });
+
+  describe('recordTransition', () => {
+    let version;
+    let create;
+    beforeEach(() => {
+      version = 10;
+      jest.spyOn(Counter, 'next').mockImplementation(async () => ++version);
+      create = jest.spyOn(AllowListChange, 'create').mockResolvedValue({});
+    });
+
+    const transition = (previous, current) => AllowListChange.recordTransition(
+      pass(),
+      AllowListChange.entryFor(pass(previous)),
+      AllowListChange.entryFor(pass(current))
+    );
+
+    test('adds a newly eligible tag under the next version', async () => {
+      await transition({ status: 'approved' }, {});
+
+      expect(create).toHaveBeenCalledTimes(1);
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ action: 'add', tagId: 'E200001', version: 11 }));
+    });
+
+    test('removes a tag that is deactivated', async () => {
+      await transition({}, { rfidInfo: { isActive: false } });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ action: 'remove', tagId: 'E200001', version: 11 }));
+    });
+
+    test('a replaced tag is removed and its replacement added, in that order', async () => {
+      await transition({}, { rfidInfo: { tagId: 'E200002' } });
+
+      expect(create.mock.calls.map(([change]) => [change.version, change.action, change.tagId])).toEqual([
+        [11, 'remove', 'E200001'],
+        [12, 'add', 'E200002']
+      ]);
+    });
+
+    test('a renewal re-adds the tag with its new validity', async () => {
+      const extended = new Date(validUntil.getTime() + 365 * DAY_MS);
+      await transition({}, { rfidInfo: { validUntil: extended } });
+
+      expect(create).toHaveBeenCalledWith(expect.objectContaining({ action: 'add', validUntil: extended }));
+    });
+
+    test('records nothing when the entry is unchanged', async () => {
+      await transition({}, {});
+      await transition({ status: 'pending' }, { status: 'approved' });
+
+      expect(create).not.toHaveBeenCalled();
+    });
+  });
+});
+
+describe('AllowListService.getChangesSince', () => {
+  const mockChanges = (changes) => jest.spyOn(AllowListChange, 'find').mockReturnValue({
+    sort: () => ({ lean: () => Promise.resolve(changes) })
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('returns the changes after the scanner\'s version as tuples', async () => {
+    const validUntil = new Date('2027-01-01T00:00:00Z');
+    jest.spyOn(AllowListChange, 'currentVersion').mockResolvedValue(12);
+    mockChanges([
+      { version: 11, action: 'remove', tagId: 'E200001' },
+      { version: 12, action: 'add', tagId: 'E200002', validUntil }
+    ]);
+
+    await expect(AllowListService.getChangesSince(10)).resolves.toEqual({
+      since: 10,
+      version: 12,
+      resyncRequired: false,
+      changes: [
+        [11, 'remove', 'E200001', null],
+        [12, 'add', 'E200002', validUntil.getTime() / 1000]
+      ]
+    });
+  });
+
+  test('asks for a full snapshot when a change has expired or is missing', async () => {
+    jest.spyOn(AllowListChange, 'currentVersion').mockResolvedValue(12);
+    mockChanges([{ version: 12, action: 'add', tagId: 'E200002' }]);
+
+    const delta = await AllowListService.getChangesSince(10);
+    expect(delta.resyncRequired).toBe(true);
+    expect(delta.changes).toEqual([]);
+  });
+
+  test('asks for a full snapshot when the scanner is ahead of the server', async () => {
+    jest.spyOn(AllowListChange, 'currentVersion').mockResolvedValue(3);
+
+    await expect(AllowListService.getChangesSince(5)).resolves.toMatchObject({ version: 3, resyncRequired: true });
+  });
+});
+
+describe('AllowListService.sign', () => {
+  test('signs a body with the scanner\'s key', () => {
+    const signature = AllowListService.sign('{"version":1}', 'scanner-key');
+    expect(signature).toMatch(/^[a-f0-9]{64}$/);
+    expect(AllowListService.sign('{"version":2}', 'scanner-key')).not.toBe(signature);
+  });
+});
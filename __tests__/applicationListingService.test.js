@@ -0,0 +1,52 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const ApplicationListingService = require('../services/applicationListingService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ApplicationListingService.validityOf', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  const pass = (status, rfidInfo) => new VehiclePassApplication({ status, rfidInfo });
+
+  test('is none before a tag is issued', () => {
+    expect(ApplicationListingService.validityOf(pass('approved', {}), now)).toEqual({ state: 'none' });
+  });
+
+  test('is active with the days left for a completed pass', () => {
+    const validUntil = new Date(now.getTime() + 2.5 * DAY_MS);
+    const validity = ApplicationListingService.validityOf(pass('completed', { tagId: 'E200001', isActive: true, validUntil }), now);
+
+    expect(validity).toEqual({
+      state: 'active',
+      tagId: 'E200001',
+      isActive: true,
+      validUntil,
+      daysLeft: 3,
+      suspendedUntil: null
+    });
+  });
+
+  test('is expired once validUntil has passed or the pass is expired', () => {
+    const lapsed = pass('completed', { tagId: 'E200001', isActive: true, validUntil: new Date(now.getTime() - DAY_MS) });
+    expect(ApplicationListingService.validityOf(lapsed, now)).toMatchObject({ state: 'expired', daysLeft: 0 });
+
+    const expired = pass('expired', { tagId: 'E200001', isActive: false, validUntil: new Date(now.getTime() + DAY_MS) });
+    expect(ApplicationListingService.validityOf(expired, now).state).toBe('expired');
+  });
+
+  test('is suspended or inactive when the tag is off', () => {
+    const validUntil = new Date(now.getTime() + 30 * DAY_MS);
+    const suspendedUntil = new Date(now.getTime() + DAY_MS);
+
+    const suspended = pass('completed', { tagId: 'E200001', isActive: false, validUntil, suspendedUntil });
+    expect(ApplicationListingService.validityOf(suspended, now)).toMatchObject({ state: 'suspended', suspendedUntil });
+
+    const deactivated = pass('completed', { tagId: 'E200001', isActive: false, validUntil });
+    expect(ApplicationListingService.validityOf(deactivated, now).state).toBe('inactive');
+  });
+
+  test('is inactive when the pass is no longer completed', () => {
+    const revoked = pass('revoked', { tagId: 'E200001', isActive: true, validUntil: new Date(now.getTime() + DAY_MS) });
+    expect(ApplicationListingService.validityOf(revoked, now).state).toBe('inactive');
+  });
+});
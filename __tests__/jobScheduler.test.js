@@ -0,0 +1,91 @@
+const JobRun = require('../models/JobRun');
+const JobScheduler = require('../services/jobScheduler');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+describe('JobScheduler', () => {
+  const now = new Date('2026-06-01T10:25:00Z');
+  const hourly = (handler = jest.fn().mockResolvedValue({ sent: 3 })) => ({ name: 'expiry-reminders', intervalMs: HOUR_MS, handler, running: false });
+  const claimedRun = () => {
+    const run = new JobRun({ jobName: 'expiry-reminders', runKey: '2026-06-01T10:00:00.000Z' });
+    jest.spyOn(run, 'save').mockResolvedValue(run);
+    return run;
+  };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('every instance computes the same run key for a slot', () => {
+    expect(JobScheduler.runKeyFor(hourly(), now)).toBe('2026-06-01T10:00:00.000Z');
+    expect(JobScheduler.runKeyFor(hourly(), new Date('2026-06-01T10:59:59Z'))).toBe('2026-06-01T10:00:00.000Z');
+  });
+
+  describe('claim', () => {
+    test('takes over a failed or abandoned run of the slot', async () => {
+      const run = claimedRun();
+      const update = jest.spyOn(JobRun, 'findOneAndUpdate').mockResolvedValue(run);
+      const create = jest.spyOn(JobRun, 'create');
+
+      await expect(JobScheduler.claim('expiry-reminders', '2026-06-01T10:00:00.000Z', now)).resolves.toBe(run);
+      const [filter] = update.mock.calls[0];
+      expect(filter.$or).toEqual([
+        { status: 'failed' },
+        { status: 'running', startedAt: { $lt: expect.any(Date) } }
+      ]);
+      expect(create).not.toHaveBeenCalled();
+    });
+
+    test('creates the run when the slot has none', async () => {
+      const run = claimedRun();
+      jest.spyOn(JobRun, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(JobRun, 'create').mockResolvedValue(run);
+
+      await expect(JobScheduler.claim('expiry-reminders', '2026-06-01T10:00:00.000Z', now)).resolves.toBe(run);
+    });
+
+    test('leaves a run that another instance holds or completed', async () => {
+      jest.spyOn(JobRun, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(JobRun, 'create').mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+      await expect(JobScheduler.claim('expiry-reminders', '2026-06-01T10:00:00.000Z', now)).resolves.toBeNull();
+    });
+  });
+
+  describe('runJob', () => {
+    test('runs the handler once the slot is claimed and records the result', async () => {
+      const run = claimedRun();
+      jest.spyOn(JobScheduler, 'claim').mockResolvedValue(run);
+      const job = hourly();
+
+      await JobScheduler.runJob(job, now);
+
+      expect(JobScheduler.claim).toHaveBeenCalledWith('expiry-reminders', '2026-06-01T10:00:00.000Z', now);
+      expect(job.handler).toHaveBeenCalledWith(now);
+      expect(run.status).toBe('completed');
+      expect(run.result).toEqual({ sent: 3 });
+      expect(run.save).toHaveBeenCalled();
+    });
+
+    test('skips the handler when another instance has the slot', async () => {
+      jest.spyOn(JobScheduler, 'claim').mockResolvedValue(null);
+      const job = hourly();
+
+      await expect(JobScheduler.runJob(job, now)).resolves.toBeNull();
+      expect(job.handler).not.toHaveBeenCalled();
+    });
+
+    test('marks the run failed so a later tick retries it', async () => {
+      const run = claimedRun();
+      jest.spyOn(JobScheduler, 'claim').mockResolvedValue(run);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+      const job = hourly(jest.fn().mockRejectedValue(new Error('SMTP down')));
+
+      await JobScheduler.runJob(job, now);
+
+      expect(run.status).toBe('failed');
+      expect(run.error).toBe('SMTP down');
+      expect(job.running).toBe(false);
+    });
+  });
+});
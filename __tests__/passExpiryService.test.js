@@ -0,0 +1,29 @@
+jest.mock('../services/firebaseService', () => ({ addUserNotification: jest.fn() }));
+
+const PassExpiryService = require('../services/passExpiryService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('PassExpiryService.dueReminder', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+  const inDays = (days) => new Date(now.getTime() + days * DAY_MS);
+
+  test('uses the default 30, 7 and 1 day thresholds', () => {
+    expect(PassExpiryService.reminderDays).toEqual([30, 7, 1]);
+  });
+
+  test('is not due before the largest threshold', () => {
+    expect(PassExpiryService.dueReminder(inDays(31), now)).toBeNull();
+  });
+
+  test('picks the smallest threshold the remaining days fall under', () => {
+    expect(PassExpiryService.dueReminder(inDays(30), now)).toEqual({ daysBefore: 30, daysLeft: 30 });
+    expect(PassExpiryService.dueReminder(inDays(10), now)).toEqual({ daysBefore: 30, daysLeft: 10 });
+    expect(PassExpiryService.dueReminder(inDays(7), now)).toEqual({ daysBefore: 7, daysLeft: 7 });
+    expect(PassExpiryService.dueReminder(inDays(1), now)).toEqual({ daysBefore: 1, daysLeft: 1 });
+  });
+
+  test('rounds partial days up', () => {
+    expect(PassExpiryService.dueReminder(new Date(now.getTime() + 6.5 * DAY_MS), now)).toEqual({ daysBefore: 7, daysLeft: 7 });
+  });
+});
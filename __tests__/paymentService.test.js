@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const FeeSchedule = require('../models/FeeSchedule');
+const Payment = require('../models/Payment');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const PaymentService = require('../services/paymentService');
+
+describe('PaymentService.record', () => {
+  const cashier = { _id: new mongoose.Types.ObjectId(), firstName: 'Ana', lastName: 'Cruz' };
+  const fee = { _id: new mongoose.Types.ObjectId(), amount: 500, name: 'Four-wheel pass' };
+
+  beforeEach(() => {
+    jest.spyOn(FeeSchedule, 'findForApplication').mockResolvedValue(fee);
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+    jest.spyOn(Payment, 'findOne').mockResolvedValue(null);
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('records the assessed fee when no amount is given', async () => {
+    const application = new VehiclePassApplication({ status: 'approved' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'or-1001' }, cashier);
+
+    expect(result.error).toBeUndefined();
+    expect(result.payment.amount).toBe(500);
+    expect(result.payment.assessedAmount).toBe(500);
+    expect(result.payment.receiptNumber).toBe('OR-1001');
+    expect(application.assessment.amount).toBe(500);
+    expect(application.paymentInfo.orReceiptNumber).toBe('OR-1001');
+    expect(application.paymentInfo.cashierName).toBe('Ana Cruz');
+  });
+
+  test('accepts an amount equal to the assessed fee', async () => {
+    const application = new VehiclePassApplication({ status: 'approved' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1002', amount: '500' }, cashier);
+
+    expect(result.payment.amount).toBe(500);
+  });
+
+  test('refuses an amount that differs from the assessed fee', async () => {
+    const application = new VehiclePassApplication({ status: 'approved' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1003', amount: 450 }, cashier);
+
+    expect(result).toEqual({ error: 'Amount must match the assessed fee of 500' });
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('requires an amount when no fee applies', async () => {
+    FeeSchedule.findForApplication.mockResolvedValue(null);
+    const application = new VehiclePassApplication({ status: 'approved' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1004' }, cashier);
+
+    expect(result).toEqual({ error: 'No fee applies to this application; enter the amount collected' });
+  });
+
+  test('refuses receipt numbers that were already used', async () => {
+    Payment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+    const application = new VehiclePassApplication({ status: 'approved' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1005' }, cashier);
+
+    expect(result).toEqual({ error: 'Receipt number has already been used' });
+  });
+
+  test('reuses the payment already recorded for this application on a retry', async () => {
+    const application = new VehiclePassApplication({ status: 'approved' });
+    const recorded = new Payment({ application: application._id, receiptNumber: 'OR-1007', amount: 500, cashier: cashier._id });
+    Payment.findOne.mockResolvedValue(recorded);
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1007' }, cashier);
+
+    expect(result.payment).toBe(recorded);
+    expect(application.paymentInfo.payment).toEqual(recorded._id);
+    expect(Payment.prototype.save).not.toHaveBeenCalled();
+  });
+
+  test('refuses applications that are not waiting for payment', async () => {
+    const application = new VehiclePassApplication({ status: 'pending' });
+
+    const result = await PaymentService.record(application, { receiptNumber: 'OR-1006' }, cashier);
+
+    expect(result).toEqual({ error: 'Payments cannot be recorded while the application is pending' });
+  });
+});
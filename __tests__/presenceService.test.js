@@ -0,0 +1,77 @@
+const VehiclePresence = require('../models/VehiclePresence');
+const PresenceService = require('../services/presenceService');
+
+describe('PresenceService', () => {
+  const application = { _id: '64b000000000000000000001', rfidInfo: { tagId: 'E200001' }, vehicleInfo: {} };
+  const gate = { type: 'entry', zone: null };
+  const scan = { _id: '64b0000000000000000000aa', scanTimestamp: new Date('2026-06-01T08:00:00Z'), scannerId: 'GATE-1' };
+  const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('resolveMovement prefers the direction over the scan type', () => {
+    expect(PresenceService.resolveMovement('out', 'entry')).toBe('out');
+    expect(PresenceService.resolveMovement('both', 'entry')).toBe('in');
+    expect(PresenceService.resolveMovement('both', 'validation')).toBeNull();
+  });
+
+  test('isViolation flags a repeat of the current state only', () => {
+    expect(PresenceService.isViolation('in', 'inside')).toBe(true);
+    expect(PresenceService.isViolation('out', 'outside')).toBe(true);
+    expect(PresenceService.isViolation('in', 'outside')).toBe(false);
+    expect(PresenceService.isViolation('out', 'unknown')).toBe(false);
+  });
+
+  describe('recordMovement', () => {
+    test('with antiPassback, only moves a vehicle that is not already in the target state', async () => {
+      const update = jest.spyOn(VehiclePresence, 'findOneAndUpdate').mockResolvedValue({ state: 'outside' });
+      jest.spyOn(PresenceService, 'getPresence').mockResolvedValue({ state: 'inside' });
+      jest.spyOn(PresenceService, 'notifyChange').mockResolvedValue();
+
+      const presence = await PresenceService.recordMovement(application, 'in', scan, gate, { antiPassback: true });
+
+      expect(presence.state).toBe('inside');
+      const [filter, change, options] = update.mock.calls[0];
+      expect(filter.state).toEqual({ $ne: 'inside' });
+      expect(filter.$nor).toEqual([
+        { lastScanAt: { $gt: scan.scanTimestamp } },
+        { resetAt: { $gt: scan.scanTimestamp } }
+      ]);
+      expect(change.$set).toMatchObject({ state: 'inside', lastDirection: 'in', lastScanAt: scan.scanTimestamp });
+      expect(options.upsert).toBe(true);
+    });
+
+    test('with antiPassback, returns null when another read already moved the vehicle', async () => {
+      jest.spyOn(VehiclePresence, 'findOneAndUpdate').mockRejectedValue(duplicateKey());
+      jest.spyOn(PresenceService, 'getPresence').mockResolvedValue({ state: 'inside' });
+      const notify = jest.spyOn(PresenceService, 'notifyChange');
+
+      await expect(PresenceService.recordMovement(application, 'in', scan, gate, { antiPassback: true })).resolves.toBeNull();
+      expect(notify).not.toHaveBeenCalled();
+    });
+
+    test('keeps the current state for a read older than the last movement', async () => {
+      const current = { state: 'outside', lastScanAt: new Date('2026-06-01T09:00:00Z') };
+      const update = jest.spyOn(VehiclePresence, 'findOneAndUpdate').mockRejectedValue(duplicateKey());
+      jest.spyOn(PresenceService, 'getPresence').mockResolvedValue(current);
+
+      await expect(PresenceService.recordMovement(application, 'in', scan, gate)).resolves.toBe(current);
+      expect(update.mock.calls[0][0].state).toBeUndefined();
+    });
+
+    test('zone checkpoints move the vehicle into the zone without changing campus presence', async () => {
+      const update = jest.spyOn(VehiclePresence, 'findOneAndUpdate').mockResolvedValue(null);
+      jest.spyOn(PresenceService, 'getPresence').mockResolvedValue({ state: 'inside' });
+      jest.spyOn(PresenceService, 'notifyChange').mockResolvedValue();
+
+      await PresenceService.recordMovement(application, 'in', scan, { type: 'checkpoint', zone: 'Z1' }, { antiPassback: true });
+
+      const [filter, change] = update.mock.calls[0];
+      expect(filter.state).toBeUndefined();
+      expect(change.$set.state).toBeUndefined();
+      expect(change.$set.zone).toBe('Z1');
+    });
+  });
+});
@@ -0,0 +1,108 @@
+const RFIDScan = require('../models/RFIDScan');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const VisitorPass = require('../models/VisitorPass');
+const QRCredentialService = require('../services/qrCredentialService');
+const ScanService = require('../services/scanService');
+const WatchlistService = require('../services/watchlistService');
+
+describe('QRCredentialService', () => {
+  let application;
+
+  beforeEach(() => {
+    application = new VehiclePassApplication({ status: 'completed', rfidInfo: { tagId: 'E200001', isActive: true } });
+    jest.spyOn(application, 'save').mockResolvedValue(application);
+    jest.spyOn(VehiclePassApplication, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue(application) });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  // Payload of the form CNSC1.<applicationId>.<window>.<signature>
+  const withWindow = (payload, shift) => {
+    const parts = payload.split('.');
+    parts[2] = String(Number(parts[2]) + shift);
+    return parts.join('.');
+  };
+
+  test('creates the signing secret on first issue and keeps it afterwards', async () => {
+    const first = await QRCredentialService.issue(application);
+    const secret = application.qrSecret;
+    await QRCredentialService.issue(application);
+
+    expect(QRCredentialService.isApplicationCredential(first.payload)).toBe(true);
+    expect(secret).toMatch(/^[a-f0-9]{64}$/);
+    expect(application.qrSecret).toBe(secret);
+    expect(application.save).toHaveBeenCalledTimes(1);
+    expect(first.expiresAt - first.issuedAt).toBe(first.rotationSec * 1000);
+  });
+
+  test('accepts the current code', async () => {
+    const { payload } = await QRCredentialService.issue(application);
+
+    await expect(QRCredentialService.verify(payload)).resolves.toEqual({ application });
+  });
+
+  test('rejects a forged code without naming the pass', async () => {
+    const { payload } = await QRCredentialService.issue(application);
+    const forged = `${payload.slice(0, -4)}AAAA`;
+
+    const result = await QRCredentialService.verify(forged);
+    expect(result.code).toBe('QR_INVALID');
+    expect(result.application).toBeUndefined();
+  });
+
+  test('rejects a code for another window as invalid, since it is signed for its own window', async () => {
+    const { payload } = await QRCredentialService.issue(application);
+
+    await expect(QRCredentialService.verify(withWindow(payload, -10))).resolves.toMatchObject({ code: 'QR_INVALID' });
+  });
+
+  test('a genuine code from a past window has expired', async () => {
+    const { payload, issuedAt, rotationSec } = await QRCredentialService.issue(application);
+    const later = new Date(issuedAt.getTime() + 10 * rotationSec * 1000);
+
+    await expect(QRCredentialService.verify(payload, later)).resolves.toEqual({
+      code: 'QR_EXPIRED',
+      message: expect.any(String),
+      application
+    });
+  });
+
+  test('accepts a code from the neighbouring window (clock skew)', async () => {
+    const { payload, issuedAt, rotationSec } = await QRCredentialService.issue(application);
+
+    await expect(QRCredentialService.verify(payload, new Date(issuedAt.getTime() + rotationSec * 1000))).resolves.toEqual({ application });
+  });
+
+  test('rejects malformed payloads without a lookup', async () => {
+    await expect(QRCredentialService.verify('CNSC1.not-an-id.1.x')).resolves.toMatchObject({ code: 'QR_INVALID' });
+    expect(VehiclePassApplication.findById).not.toHaveBeenCalled();
+  });
+
+  describe('scanning', () => {
+    let saved;
+    beforeEach(() => {
+      saved = [];
+      jest.spyOn(RFIDScan.prototype, 'save').mockImplementation(function() {
+        saved.push(this);
+        return Promise.resolve(this);
+      });
+      jest.spyOn(VisitorPass, 'findByCredential').mockResolvedValue(null);
+      jest.spyOn(WatchlistService, 'check').mockResolvedValue({ banned: false, hits: [] });
+    });
+
+    test('a forged code is denied and logged against no vehicle', async () => {
+      const { payload } = await QRCredentialService.issue(application);
+      const scanner = { scannerId: 'QR-1', location: 'Main Gate', type: 'checkpoint', direction: 'both' };
+
+      const outcome = await ScanService.processQRRead({ qrData: `${payload.slice(0, -4)}AAAA` }, scanner);
+
+      expect(outcome.status).toBe(403);
+      expect(outcome.body.code).toBe('QR_INVALID');
+      expect(saved[0].tagId).toBe('QR-INVALID');
+      expect(saved[0].vehicle).toBeNull();
+      expect(saved[0].credentialType).toBe('qr');
+    });
+  });
+});
@@ -0,0 +1,50 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const RenewalService = require('../services/renewalService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('RenewalService.getIneligibilityReason', () => {
+  const now = new Date('2026-06-01T00:00:00Z');
+
+  const pass = (overrides = {}) => new VehiclePassApplication({
+    status: 'completed',
+    rfidInfo: { tagId: 'E200001', isActive: true, validUntil: new Date(now.getTime() + 30 * DAY_MS) },
+    ...overrides
+  });
+
+  test('allows a completed pass inside the renewal window', () => {
+    expect(RenewalService.getIneligibilityReason(pass(), now)).toBeNull();
+  });
+
+  test('allows an expired pass', () => {
+    const application = pass({
+      status: 'expired',
+      rfidInfo: { tagId: 'E200001', isActive: false, validUntil: new Date(now.getTime() - DAY_MS) }
+    });
+    expect(RenewalService.getIneligibilityReason(application, now)).toBeNull();
+  });
+
+  test('refuses renewal applications', () => {
+    expect(RenewalService.getIneligibilityReason(pass({ applicationType: 'renewal' }), now))
+      .toBe('Renew the original pass, not a renewal application');
+  });
+
+  test('refuses passes that are not completed or have no tag', () => {
+    expect(RenewalService.getIneligibilityReason(pass({ status: 'approved' }), now))
+      .toBe('Only completed or expired passes with an RFID tag can be renewed');
+    expect(RenewalService.getIneligibilityReason(pass({ rfidInfo: { isActive: false } }), now))
+      .toBe('Only completed or expired passes with an RFID tag can be renewed');
+  });
+
+  test('refuses passes without an expiry date', () => {
+    expect(RenewalService.getIneligibilityReason(pass({ rfidInfo: { tagId: 'E200001', isActive: true } }), now))
+      .toBe('This pass has no expiry date to extend');
+  });
+
+  test('refuses passes before the renewal window opens', () => {
+    const application = pass({
+      rfidInfo: { tagId: 'E200001', isActive: true, validUntil: new Date(now.getTime() + 200 * DAY_MS) }
+    });
+    expect(RenewalService.getIneligibilityReason(application, now)).toMatch(/^Renewal opens 60 days before the pass expires/);
+  });
+});
@@ -0,0 +1,79 @@
+jest.mock('../services/firebaseService', () => ({ addUserNotification: jest.fn() }));
+jest.mock('../middleware/scannerAuth', () => ({
+  authenticateScanner: (req, res, next) => {
+    req.scanner = { scannerId: 'GATE-1', location: 'Main Gate', type: 'entry', direction: 'in' };
+    next();
+  }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const RFIDScan = require('../models/RFIDScan');
+const ScanService = require('../services/scanService');
+const ScannerHealthService = require('../services/scannerHealthService');
+const rfidRoutes = require('../routes/rfid');
+
+const app = express();
+app.use(express.json());
+app.use('/api/rfid', rfidRoutes);
+
+describe('POST /api/rfid/scan/batch', () => {
+  const read = (sequence, minutesAgo, tagId = 'E200001') => ({
+    tagId,
+    sequence,
+    scanTimestamp: new Date(Date.now() - minutesAgo * 60 * 1000).toISOString()
+  });
+
+  let processTagRead;
+  beforeEach(() => {
+    jest.spyOn(ScannerHealthService, 'recordActivity').mockResolvedValue({});
+    processTagRead = jest.spyOn(ScanService, 'processTagRead').mockImplementation(async (tagRead) => ({
+      scan: { _id: `scan-${tagRead.deviceSequence}`, scanResult: 'success' },
+      body: { code: 'TAG_VALID' }
+    }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const alreadyIngested = (sequences) => jest.spyOn(RFIDScan, 'find').mockReturnValue({
+    select: jest.fn().mockResolvedValue(sequences.map((deviceSequence) => ({ deviceSequence })))
+  });
+
+  test('skips reads already uploaded by this scanner and repeats within the batch', async () => {
+    const find = alreadyIngested([1]);
+
+    const res = await request(app)
+      .post('/api/rfid/scan/batch')
+      .send({ reads: [read(1, 30), read(2, 20), read(2, 20), read(3, 10)] });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ received: 4, ingested: 2, duplicates: 2, errors: 0 });
+    expect(find).toHaveBeenCalledWith({ scannerId: 'GATE-1', deviceSequence: { $in: [1, 2, 2, 3] } });
+    expect(processTagRead.mock.calls.map(([tagRead]) => tagRead.deviceSequence)).toEqual([2, 3]);
+  });
+
+  test('evaluates reads in the order they happened, as offline reads', async () => {
+    alreadyIngested([]);
+
+    await request(app)
+      .post('/api/rfid/scan/batch')
+      .send({ reads: [read(7, 5), read(5, 15), read(6, 10)] });
+
+    expect(processTagRead.mock.calls.map(([tagRead]) => tagRead.deviceSequence)).toEqual([5, 6, 7]);
+    expect(processTagRead.mock.calls[0][2]).toEqual({ offline: true });
+  });
+
+  test('counts a read that another upload stored first as a duplicate', async () => {
+    alreadyIngested([]);
+    processTagRead.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+
+    const res = await request(app)
+      .post('/api/rfid/scan/batch')
+      .send({ reads: [read(1, 10), read(2, 5)] });
+
+    expect(res.body).toMatchObject({ ingested: 1, duplicates: 1, errors: 0 });
+    expect(res.body.results[0]).toEqual({ sequence: 1, status: 'duplicate' });
+  });
+});
@@ -0,0 +1,222 @@
+const RFIDScan = require('../models/RFIDScan');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const ParkingZone = require('../models/ParkingZone');
+const VisitorPass = require('../models/VisitorPass');
+const ScanService = require('../services/scanService');
+const PresenceService = require('../services/presenceService');
+const AccessPolicyService = require('../services/accessPolicyService');
+const WatchlistService = require('../services/watchlistService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+describe('ScanService.checkPass', () => {
+  const issuedAt = new Date('2026-01-01T00:00:00Z');
+  const validUntil = new Date('2027-01-01T00:00:00Z');
+
+  const completedPass = () => {
+    const application = new VehiclePassApplication({
+      status: 'approved',
+      rfidInfo: { tagId: 'E200001', isActive: true, assignedAt: issuedAt, validUntil }
+    });
+    application.transitionTo('completed', { at: issuedAt });
+    return application;
+  };
+
+  test('accepts a completed, active pass inside its validity', () => {
+    expect(ScanService.checkPass(completedPass(), new Date('2026-03-01T00:00:00Z'))).toBeNull();
+  });
+
+  test('denies reads after validUntil', () => {
+    expect(ScanService.checkPass(completedPass(), new Date(validUntil.getTime() + DAY_MS)).code).toBe('TAG_EXPIRED');
+  });
+
+  test('denies renewal records and passes without a validity period', () => {
+    const renewal = completedPass();
+    renewal.applicationType = 'renewal';
+    expect(ScanService.checkPass(renewal, new Date('2026-03-01T00:00:00Z')).code).toBe('NO_VALIDITY_PERIOD');
+
+    const noExpiry = completedPass();
+    noExpiry.rfidInfo.validUntil = undefined;
+    expect(ScanService.checkPass(noExpiry, new Date('2026-03-01T00:00:00Z')).code).toBe('NO_VALIDITY_PERIOD');
+  });
+
+  describe('buffered reads (historical)', () => {
+    test('a read made before the expiry job ran is judged on the pass as it was', () => {
+      const application = completedPass();
+      const expiredAt = new Date(validUntil.getTime() + DAY_MS);
+      application.transitionTo('expired', { at: expiredAt });
+      application.rfidInfo.isActive = false;
+
+      const readAt = new Date(validUntil.getTime() - DAY_MS);
+      expect(ScanService.checkPass(application, readAt).code).toBe('TAG_EXPIRED');
+      expect(ScanService.checkPass(application, readAt, 'rfid', { historical: true })).toBeNull();
+    });
+
+    test('a read made before a later deactivation is accepted, one after it is denied', () => {
+      const application = completedPass();
+      const deactivatedAt = new Date('2026-05-01T00:00:00Z');
+      application.rfidInfo.isActive = false;
+      application.activationHistory.push({ action: 'deactivated', at: deactivatedAt });
+
+      expect(ScanService.checkPass(application, new Date('2026-04-01T00:00:00Z'), 'rfid', { historical: true })).toBeNull();
+      expect(ScanService.checkPass(application, new Date('2026-06-01T00:00:00Z'), 'rfid', { historical: true }).code).toBe('TAG_INACTIVE');
+    });
+
+    test('a read made during a suspension that has since ended is denied as suspended', () => {
+      const application = completedPass();
+      const suspendedUntil = new Date('2026-05-10T00:00:00Z');
+      application.activationHistory.push({ action: 'deactivated', at: new Date('2026-05-01T00:00:00Z'), suspendedUntil });
+      application.activationHistory.push({ action: 'reactivated', at: suspendedUntil });
+
+      const denial = ScanService.checkPass(application, new Date('2026-05-05T00:00:00Z'), 'rfid', { historical: true });
+      expect(denial.code).toBe('TAG_SUSPENDED');
+      expect(denial.extra.suspendedUntil).toEqual(suspendedUntil);
+    });
+
+    test('a read made before the pass was completed is denied', () => {
+      const application = completedPass();
+      expect(ScanService.checkPass(application, new Date('2025-12-01T00:00:00Z'), 'rfid', { historical: true }).code)
+        .toBe('APPLICATION_NOT_COMPLETED');
+    });
+  });
+});
+
+describe('ScanService.findPassByTag', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('buffered reads of a tag replaced after the read find the pass', async () => {
+    const application = new VehiclePassApplication({ status: 'completed' });
+    const findOne = jest.spyOn(VehiclePassApplication, 'findOne')
+      .mockResolvedValueOnce(null)
+      .mockResolvedValueOnce(application);
+    const readAt = new Date('2026-04-01T00:00:00Z');
+
+    await expect(ScanService.findPassByTag('E200001', readAt)).resolves.toBe(application);
+    expect(findOne).toHaveBeenLastCalledWith({
+      tagReplacements: { $elemMatch: { oldTagId: 'E200001', replacedAt: { $gt: readAt } } }
+    });
+  });
+
+  test('live reads only match the current tag', async () => {
+    const findOne = jest.spyOn(VehiclePassApplication, 'findOne').mockResolvedValue(null);
+
+    await expect(ScanService.findPassByTag('E200001')).resolves.toBeNull();
+    expect(findOne).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('ScanService.processTagRead', () => {
+  const validUntil = new Date(Date.now() + 180 * DAY_MS);
+  const entryGate = (antiPassbackMode = 'hard') => ({
+    scannerId: 'GATE-1',
+    location: 'Main Gate',
+    type: 'entry',
+    direction: 'in',
+    antiPassbackMode
+  });
+  const activePass = () => new VehiclePassApplication({
+    status: 'completed',
+    vehicleInfo: { plateNumber: 'ABC 1234', type: 'car' },
+    rfidInfo: { tagId: 'E200001', isActive: true, validUntil }
+  });
+
+  let saved;
+  beforeEach(() => {
+    saved = [];
+    jest.spyOn(RFIDScan.prototype, 'save').mockImplementation(function() {
+      saved.push(this);
+      return Promise.resolve(this);
+    });
+    jest.spyOn(VisitorPass, 'findByCredential').mockResolvedValue(null);
+    jest.spyOn(WatchlistService, 'check').mockResolvedValue({ banned: false, hits: [] });
+    jest.spyOn(AccessPolicyService, 'evaluateEntry').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('denies and logs a tag that is not assigned to any pass', async () => {
+    jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(null);
+    jest.spyOn(VehiclePassApplication, 'exists').mockResolvedValue(null);
+
+    const outcome = await ScanService.processTagRead({ tagId: 'E2FFFF' }, entryGate());
+
+    expect(outcome.status).toBe(404);
+    expect(outcome.body.code).toBe('TAG_NOT_FOUND');
+    expect(saved).toHaveLength(1);
+    expect(saved[0].scanResult).toBe('denied');
+  });
+
+  test('grants a valid pass and records the entry', async () => {
+    const application = activePass();
+    jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(application);
+    jest.spyOn(PresenceService, 'checkAntiPassback').mockResolvedValue({ violation: false, state: 'outside' });
+    const recordMovement = jest.spyOn(PresenceService, 'recordMovement').mockResolvedValue({ state: 'inside' });
+
+    const outcome = await ScanService.processTagRead({ tagId: 'E200001' }, entryGate());
+
+    expect(outcome.status).toBe(200);
+    expect(outcome.body.code).toBe('TAG_VALID');
+    expect(saved[0].scanResult).toBe('success');
+    expect(recordMovement).toHaveBeenCalledWith(application, 'in', saved[0], expect.anything(), { antiPassback: true });
+  });
+
+  describe('anti-passback', () => {
+    test('hard mode denies a second entry without recording a movement', async () => {
+      jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(activePass());
+      jest.spyOn(PresenceService, 'checkAntiPassback').mockResolvedValue({ violation: true, state: 'inside' });
+      const recordMovement = jest.spyOn(PresenceService, 'recordMovement');
+
+      const outcome = await ScanService.processTagRead({ tagId: 'E200001' }, entryGate('hard'));
+
+      expect(outcome.status).toBe(403);
+      expect(outcome.body.code).toBe('ANTI_PASSBACK');
+      expect(outcome.body.presence.state).toBe('inside');
+      expect(recordMovement).not.toHaveBeenCalled();
+    });
+
+    test('soft mode grants a second entry with a warning', async () => {
+      jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(activePass());
+      jest.spyOn(PresenceService, 'checkAntiPassback').mockResolvedValue({ violation: true, state: 'inside' });
+      const recordMovement = jest.spyOn(PresenceService, 'recordMovement').mockResolvedValue({ state: 'inside' });
+
+      const outcome = await ScanService.processTagRead({ tagId: 'E200001' }, entryGate('soft'));
+
+      expect(outcome.status).toBe(200);
+      expect(outcome.body.warnings).toEqual(['ANTI_PASSBACK']);
+      expect(saved[0].errorCode).toBe('ANTI_PASSBACK');
+      expect(recordMovement).toHaveBeenCalledWith(expect.anything(), 'in', saved[0], expect.anything());
+    });
+
+    test('hard mode denies a read that loses the race to move the vehicle', async () => {
+      const lastScanAt = new Date();
+      jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(activePass());
+      jest.spyOn(PresenceService, 'checkAntiPassback').mockResolvedValue({ violation: false, state: 'outside' });
+      jest.spyOn(PresenceService, 'recordMovement').mockResolvedValue(null);
+      jest.spyOn(PresenceService, 'getPresence').mockResolvedValue({ state: 'inside', lastScanAt });
+
+      const outcome = await ScanService.processTagRead({ tagId: 'E200001' }, entryGate('hard'));
+
+      expect(outcome.status).toBe(403);
+      expect(outcome.body.code).toBe('ANTI_PASSBACK');
+      expect(outcome.body.presence).toEqual({ state: 'inside', lastScanAt });
+      expect(saved.map((scan) => scan.scanResult)).toEqual(['denied']);
+    });
+
+    test('checkpoints linked to a parking zone do not apply campus anti-passback', async () => {
+      jest.spyOn(ScanService, 'findPassByTag').mockResolvedValue(activePass());
+      jest.spyOn(ParkingZone, 'findById').mockResolvedValue(null);
+      const check = jest.spyOn(PresenceService, 'checkAntiPassback');
+      jest.spyOn(PresenceService, 'recordMovement').mockResolvedValue({});
+
+      const scanner = { ...entryGate('hard'), type: 'checkpoint', zone: '64b000000000000000000001' };
+      const outcome = await ScanService.processTagRead({ tagId: 'E200001' }, scanner);
+
+      expect(outcome.status).toBe(200);
+      expect(check).not.toHaveBeenCalled();
+    });
+  });
+});
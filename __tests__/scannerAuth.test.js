@@ -0,0 +1,118 @@
+const Scanner = require('../models/Scanner');
+const RFIDScan = require('../models/RFIDScan');
+const ScannerNonce = require('../models/ScannerNonce');
+const { authenticateScanner, computeSignature } = require('../middleware/scannerAuth');
+
+const API_KEY = 'scanner-secret-key';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+const mockRequest = (headers, body = { tagId: 'E200001' }) => ({
+  headers,
+  body,
+  rawBody: JSON.stringify(body),
+  method: 'POST',
+  originalUrl: '/api/rfid/scan',
+  ip: '10.0.0.5'
+});
+
+const signedHeaders = (timestamp = Math.floor(Date.now() / 1000), body = { tagId: 'E200001' }) => ({
+  'x-scanner-id': 'GATE-1',
+  'x-timestamp': String(timestamp),
+  'x-signature': computeSignature(API_KEY, String(timestamp), 'POST', '/api/rfid/scan', JSON.stringify(body))
+});
+
+describe('authenticateScanner', () => {
+  let scanner;
+
+  beforeEach(() => {
+    scanner = { scannerId: 'GATE-1', isEnabled: true, apiKey: API_KEY };
+    jest.spyOn(Scanner, 'findOne').mockReturnValue({ select: jest.fn().mockResolvedValue(scanner) });
+    jest.spyOn(RFIDScan.prototype, 'save').mockImplementation(function() {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(ScannerNonce, 'create').mockResolvedValue({});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  const run = async (req) => {
+    const res = mockResponse();
+    const next = jest.fn();
+    await authenticateScanner(req, res, next);
+    return { res, next };
+  };
+
+  test('accepts a registered scanner with its API key', async () => {
+    const req = mockRequest({ 'x-scanner-id': 'GATE-1', 'x-api-key': API_KEY });
+    const { next } = await run(req);
+
+    expect(next).toHaveBeenCalled();
+    expect(req.scanner).toBe(scanner);
+  });
+
+  test('rejects a wrong API key and logs the tag read', async () => {
+    const save = RFIDScan.prototype.save;
+    const { res, next } = await run(mockRequest({ 'x-scanner-id': 'GATE-1', 'x-api-key': 'wrong' }));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(res.json.mock.calls[0][0].code).toBe('SCANNER_AUTH_FAILED');
+    expect(save).toHaveBeenCalled();
+  });
+
+  test('rejects unknown and disabled scanners', async () => {
+    Scanner.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+    let { res } = await run(mockRequest({ 'x-scanner-id': 'GATE-9', 'x-api-key': API_KEY }));
+    expect(res.json.mock.calls[0][0].code).toBe('SCANNER_UNKNOWN');
+
+    scanner.isEnabled = false;
+    Scanner.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(scanner) });
+    ({ res } = await run(mockRequest({ 'x-scanner-id': 'GATE-1', 'x-api-key': API_KEY })));
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json.mock.calls[0][0].code).toBe('SCANNER_DISABLED');
+  });
+
+  describe('HMAC signatures', () => {
+    test('accepts a correctly signed request and records its signature', async () => {
+      const headers = signedHeaders();
+      const { next } = await run(mockRequest(headers));
+
+      expect(next).toHaveBeenCalled();
+      expect(ScannerNonce.create).toHaveBeenCalledWith({ scannerId: 'GATE-1', signature: headers['x-signature'] });
+    });
+
+    test('rejects a signature over a different body', async () => {
+      const { res, next } = await run(mockRequest(signedHeaders(), { tagId: 'E2FFFF' }));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.json.mock.calls[0][0].message).toBe('Invalid request signature');
+    });
+
+    test('rejects timestamps outside the allowed window', async () => {
+      const stale = Math.floor(Date.now() / 1000) - ScannerNonce.SIGNATURE_TOLERANCE_SEC - 60;
+      const { res, next } = await run(mockRequest(signedHeaders(stale)));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(ScannerNonce.create).not.toHaveBeenCalled();
+    });
+
+    test('rejects a replay of a request already accepted', async () => {
+      ScannerNonce.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key error'), { code: 11000 }));
+      const { res, next } = await run(mockRequest(signedHeaders()));
+
+      expect(next).not.toHaveBeenCalled();
+      expect(res.status).toHaveBeenCalledWith(401);
+      expect(res.json.mock.calls[0][0].message).toBe('Request signature has already been used');
+    });
+  });
+});
@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+
+describe('VehiclePassApplication status transitions', () => {
+  const { STATUS_TRANSITIONS } = VehiclePassApplication;
+
+  test('rejected, revoked and cancelled are final', () => {
+    expect(STATUS_TRANSITIONS.rejected).toEqual([]);
+    expect(STATUS_TRANSITIONS.revoked).toEqual([]);
+    expect(STATUS_TRANSITIONS.cancelled).toEqual([]);
+  });
+
+  test('canTransition follows the table', () => {
+    expect(VehiclePassApplication.canTransition('pending', 'approved')).toBe(true);
+    expect(VehiclePassApplication.canTransition('for_revision', 'pending')).toBe(true);
+    expect(VehiclePassApplication.canTransition('approved', 'completed')).toBe(true);
+    expect(VehiclePassApplication.canTransition('expired', 'completed')).toBe(true);
+    expect(VehiclePassApplication.canTransition('pending', 'completed')).toBe(false);
+    expect(VehiclePassApplication.canTransition('completed', 'pending')).toBe(false);
+    expect(VehiclePassApplication.canTransition('unknown', 'pending')).toBe(false);
+  });
+
+  test('transitionTo changes the status and records who did it', () => {
+    const by = new mongoose.Types.ObjectId();
+    const at = new Date('2026-01-15T08:00:00Z');
+    const application = new VehiclePassApplication({ status: 'pending' });
+
+    application.transitionTo('approved', { by, reason: 'Documents complete', at });
+
+    expect(application.status).toBe('approved');
+    const entry = application.statusHistory[application.statusHistory.length - 1];
+    expect(entry.from).toBe('pending');
+    expect(entry.to).toBe('approved');
+    expect(entry.changedBy.toString()).toBe(by.toString());
+    expect(entry.changedAt).toEqual(at);
+    expect(entry.reason).toBe('Documents complete');
+  });
+
+  test('transitionTo refuses changes the table does not allow', () => {
+    const application = new VehiclePassApplication({ status: 'rejected' });
+
+    expect(() => application.transitionTo('approved')).toThrow('Cannot change application status from rejected to approved');
+    expect(application.status).toBe('rejected');
+    expect(application.canTransitionTo('approved')).toBe(false);
+  });
+});
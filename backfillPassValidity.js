@@ -0,0 +1,36 @@
+require('dotenv').config();
+const mongoose = require('mongoose');
+const VehiclePassApplication = require('./models/VehiclePassApplication');
+
+// Passes issued through issue-rfid before it set an expiry are valid one year from their assignment.
+// Saved one by one so the scanner allow-list picks them up.
+const backfillPassValidity = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+
+    const applications = await VehiclePassApplication.find({
+      status: 'completed',
+      applicationType: { $ne: 'renewal' },
+      'rfidInfo.tagId': { $exists: true, $ne: null },
+      'rfidInfo.validUntil': null
+    });
+
+    let updated = 0;
+    for (const application of applications) {
+      const validUntil = new Date(application.rfidInfo.assignedAt || application.updatedAt);
+      validUntil.setFullYear(validUntil.getFullYear() + 1);
+      application.rfidInfo.validUntil = validUntil;
+      await application.save();
+      updated++;
+      console.log(`${application.vehicleInfo.plateNumber}: valid until ${validUntil.toISOString()}`);
+    }
+
+    console.log(`Backfilled validity for ${updated} pass(es)`);
+    process.exit(0);
+  } catch (error) {
+    console.error('Error backfilling pass validity:', error);
+    process.exit(1);
+  }
+};
+
+backfillPassValidity();
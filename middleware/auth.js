@@ -92,6 +92,23 @@ const requireSystemAdmin = (req, res, next) => {
   next();
 };
 
+// Middleware to check if user is a security guard or admin
+const requireSecurityStaff = (req, res, next) => {
+  if (!req.user) {
+    return res.status(401).json({ 
+      error: 'Authentication required.' 
+    });
+  }
+
+  if (!['security_guard', 'admin', 'super_admin'].includes(req.user.role)) {
+    return res.status(403).json({ 
+      error: 'Access denied. Security staff privileges required.' 
+    });
+  }
+
+  next();
+};
+
 // Middleware to check if user can access their own data or is admin
 const requireOwnershipOrAdmin = (req, res, next) => {
   if (!req.user) {
@@ -169,6 +186,7 @@ module.exports = {
   requireAdmin,
   requireSuperAdmin,
   requireSystemAdmin,
+  requireSecurityStaff,
   requireOwnershipOrAdmin,
   requireCompletedRegistration,
   requireActiveVehiclePass,
@@ -0,0 +1,22 @@
+// Legacy applications endpoints replaced by GET /api/vehicle-passes and GET /api/vehicle-passes/:applicationId
+const LEGACY_APPLICATIONS_SUNSET = process.env.LEGACY_APPLICATIONS_SUNSET || '2027-04-30';
+
+/**
+ * Mark an endpoint as deprecated (RFC 8594 Sunset and draft Deprecation headers) while it keeps working
+ * @param {Object} options - { successor: path of the replacement endpoint, sunset: date the endpoint is removed }
+ */
+const deprecated = ({ successor, sunset }) => (req, res, next) => {
+  res.set('Deprecation', 'true');
+  if (sunset) {
+    res.set('Sunset', new Date(sunset).toUTCString());
+  }
+  if (successor) {
+    res.set('Link', `<${successor}>; rel="successor-version"`);
+  }
+  next();
+};
+
+module.exports = {
+  LEGACY_APPLICATIONS_SUNSET,
+  deprecated
+};
@@ -58,7 +58,7 @@ const upload = multer({
   fileFilter: fileFilter,
   limits: {
     fileSize: 5 * 1024 * 1024, // 5MB limit
-    files: 4 // Maximum 4 files per request
+    files: 6 // Maximum 6 files per request
   }
 });
 
@@ -69,7 +69,8 @@ const uploadVehiclePassFiles = upload.fields([
   { name: 'crCopy', maxCount: 1 },
   { name: 'driversLicenseCopy', maxCount: 1 },
   { name: 'authLetter', maxCount: 1 },
-  { name: 'deedOfSale', maxCount: 1 }
+  { name: 'deedOfSale', maxCount: 1 },
+  { name: 'vehiclePhoto', maxCount: 1 }
 ]);
 
 // Middleware for single file uploads (for updates)
@@ -87,13 +88,13 @@ const handleUploadError = (error, req, res, next) => {
     if (error.code === 'LIMIT_FILE_COUNT') {
       return res.status(400).json({
         error: 'Too many files',
-        message: 'Maximum 4 files allowed per request'
+        message: 'Maximum 6 files allowed per request'
       });
     }
     if (error.code === 'LIMIT_UNEXPECTED_FILE') {
       return res.status(400).json({
         error: 'Unexpected file field',
-        message: 'Only orCopy, crCopy, driversLicenseCopy, authLetter, and deedOfSale fields are allowed'
+        message: 'Only orCopy, crCopy, driversLicenseCopy, authLetter, deedOfSale, and vehiclePhoto fields are allowed'
       });
     }
   }
@@ -141,6 +142,7 @@ const validateFileUpload = (req, res, next) => {
   validateFileField('driversLicenseCopy', 'Driver\'s License');
   validateFileField('authLetter', 'Authorization Letter');
   validateFileField('deedOfSale', 'Deed of Sale');
+  validateFileField('vehiclePhoto', 'Vehicle Photo');
 
   if (errors.length > 0) {
     return res.status(400).json({
@@ -0,0 +1,126 @@
+const crypto = require('crypto');
+const Scanner = require('../models/Scanner');
+const RFIDScan = require('../models/RFIDScan');
+const ScannerNonce = require('../models/ScannerNonce');
+
+// Maximum clock skew accepted for HMAC-signed requests (seconds)
+const { SIGNATURE_TOLERANCE_SEC } = ScannerNonce;
+
+// Constant-time comparison of two strings
+const safeEqual = (a, b) => {
+  const hashA = crypto.createHash('sha256').update(String(a)).digest();
+  const hashB = crypto.createHash('sha256').update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+};
+
+// Signature a device must send in X-Signature for HMAC authentication
+const computeSignature = (apiKey, timestamp, method, url, rawBody) => {
+  return crypto
+    .createHmac('sha256', apiKey)
+    .update(`${timestamp}.${method.toUpperCase()}.${url}.${rawBody || ''}`)
+    .digest('hex');
+};
+
+// Record a rejected scan attempt when the request carried a tag read
+const logRejectedScan = async (req, scannerId, code, message) => {
+  const body = req.body;
+  const tagId = typeof body === 'string' ? body.trim() : body && body.tagId;
+
+  console.warn(`Scanner request rejected (${code}) from scanner "${scannerId || 'none'}" at ${req.ip}`);
+
+  if (!tagId) {
+    return;
+  }
+
+  try {
+    await new RFIDScan({
+      tagId,
+      scannerId,
+      scanType: 'validation',
+      direction: 'both',
+      scanResult: 'denied',
+      scanMessage: message,
+      scanTimestamp: new Date(),
+      responseTime: 0,
+      errorCode: code,
+      metadata: { ip: req.ip }
+    }).save();
+  } catch (error) {
+    console.error('Failed to log rejected scan:', error);
+  }
+};
+
+const reject = async (req, res, scannerId, status, code, message) => {
+  await logRejectedScan(req, scannerId, code, message);
+  return res.status(status).json({ success: false, code, message });
+};
+
+// Middleware to authenticate a registered scanner device.
+// Devices send X-Scanner-Id plus either X-Api-Key, or X-Timestamp and X-Signature
+// (hex HMAC-SHA256 of "<timestamp>.<METHOD>.<url>.<raw body>" keyed with the API key)
+const authenticateScanner = async (req, res, next) => {
+  const scannerId = req.headers['x-scanner-id'];
+  const apiKey = req.headers['x-api-key'];
+  const signature = req.headers['x-signature'];
+  const timestamp = req.headers['x-timestamp'];
+
+  try {
+    if (!scannerId || (!apiKey && !signature)) {
+      return reject(req, res, scannerId, 401, 'SCANNER_AUTH_REQUIRED', 'Scanner credentials are required');
+    }
+
+    const scanner = await Scanner.findOne({ scannerId }).select('+apiKey');
+
+    if (!scanner) {
+      return reject(req, res, scannerId, 401, 'SCANNER_UNKNOWN', 'Scanner is not registered');
+    }
+
+    if (!scanner.isEnabled) {
+      return reject(req, res, scannerId, 403, 'SCANNER_DISABLED', 'Scanner is disabled');
+    }
+
+    if (!scanner.apiKey) {
+      return reject(req, res, scannerId, 401, 'SCANNER_AUTH_FAILED', 'Scanner has no credential configured');
+    }
+
+    if (signature) {
+      const requestTime = parseInt(timestamp);
+      const skew = Math.abs(Math.floor(Date.now() / 1000) - requestTime);
+      if (!requestTime || skew > SIGNATURE_TOLERANCE_SEC) {
+        return reject(req, res, scannerId, 401, 'SCANNER_AUTH_FAILED', 'Request timestamp is missing or outside the allowed window');
+      }
+
+      const expected = computeSignature(scanner.apiKey, timestamp, req.method, req.originalUrl, req.rawBody);
+      if (!safeEqual(signature, expected)) {
+        return reject(req, res, scannerId, 401, 'SCANNER_AUTH_FAILED', 'Invalid request signature');
+      }
+
+      // Each signed request is accepted once; sending it again within the window is a replay
+      try {
+        await ScannerNonce.create({ scannerId: scanner.scannerId, signature: expected });
+      } catch (error) {
+        if (error.code === 11000) {
+          return reject(req, res, scannerId, 401, 'SCANNER_AUTH_FAILED', 'Request signature has already been used');
+        }
+        throw error;
+      }
+    } else if (!safeEqual(apiKey, scanner.apiKey)) {
+      return reject(req, res, scannerId, 401, 'SCANNER_AUTH_FAILED', 'Invalid scanner API key');
+    }
+
+    req.scanner = scanner;
+    next();
+  } catch (error) {
+    console.error('Scanner authentication error:', error);
+    return res.status(500).json({
+      success: false,
+      code: 'SYSTEM_ERROR',
+      message: 'Scanner authentication failed'
+    });
+  }
+};
+
+module.exports = {
+  authenticateScanner,
+  computeSignature
+};
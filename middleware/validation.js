@@ -1,4 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
+const RFIDScan = require('../models/RFIDScan');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
 
 // Middleware to handle validation errors
 const handleValidationErrors = (req, res, next) => {
@@ -97,6 +99,24 @@ const validateVehicleRegistration = [
   handleValidationErrors
 ];
 
+// Device telemetry reported with heartbeats and with tag or QR reads
+const scannerTelemetryRules = () => [
+  body('systemStatus')
+    .optional()
+    .isIn(['online', 'offline', 'maintenance'])
+    .withMessage('Invalid system status'),
+  
+  body('batteryLevel')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Battery level must be between 0 and 100'),
+  
+  body('signalStrength')
+    .optional()
+    .isFloat({ min: 0, max: 100 })
+    .withMessage('Signal strength must be between 0 and 100')
+];
+
 // Validation rules for RFID scan
 const validateRFIDScan = [
   body('tagId')
@@ -114,6 +134,75 @@ const validateRFIDScan = [
     .isIn(['in', 'out', 'both'])
     .withMessage('Invalid direction'),
   
+  ...scannerTelemetryRules(),
+  
+  handleValidationErrors
+];
+
+// Validation rules for QR code scans
+const validateQRScan = [
+  body('qrData')
+    .trim()
+    .notEmpty()
+    .withMessage('QR code data is required'),
+  
+  body('scanType')
+    .optional()
+    .isIn(['entry', 'exit', 'checkpoint', 'registration', 'validation'])
+    .withMessage('Invalid scan type'),
+  
+  body('direction')
+    .optional()
+    .isIn(['in', 'out', 'both'])
+    .withMessage('Invalid direction'),
+  
+  ...scannerTelemetryRules(),
+  
+  handleValidationErrors
+];
+
+// Validation rules for buffered (offline) scan uploads
+const validateRFIDScanBatch = [
+  body('reads')
+    .isArray({ min: 1, max: 500 })
+    .withMessage('reads must be an array of 1 to 500 scans'),
+  
+  body('reads.*.tagId')
+    .trim()
+    .notEmpty()
+    .withMessage('RFID tag ID is required for every read'),
+  
+  body('reads.*.sequence')
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('Every read needs a non-negative device sequence number'),
+  
+  body('reads.*.scanTimestamp')
+    .isISO8601()
+    .withMessage('Every read needs an ISO 8601 scanTimestamp')
+    .custom((value) => {
+      if (new Date(value) > new Date(Date.now() + 5 * 60 * 1000)) {
+        throw new Error('scanTimestamp cannot be in the future');
+      }
+      return true;
+    }),
+  
+  body('reads.*.scanType')
+    .optional()
+    .isIn(['entry', 'exit', 'checkpoint', 'registration', 'validation'])
+    .withMessage('Invalid scan type'),
+  
+  body('reads.*.direction')
+    .optional()
+    .isIn(['in', 'out', 'both'])
+    .withMessage('Invalid direction'),
+  
+  body('reads.*.allowListVersion')
+    .optional()
+    .isInt({ min: 0 })
+    .toInt()
+    .withMessage('allowListVersion must be a non-negative integer'),
+  
   handleValidationErrors
 ];
 
@@ -131,6 +220,880 @@ const validateRFIDAssignment = [
   handleValidationErrors
 ];
 
+// Validation rules for vehicle presence reset
+const validatePresenceReset = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('state')
+    .optional()
+    .isIn(['inside', 'outside', 'unknown'])
+    .withMessage('State must be inside, outside or unknown'),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to reset presence'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for scanner registration
+const validateScanner = [
+  body('scannerId')
+    .trim()
+    .notEmpty()
+    .withMessage('Scanner ID is required'),
+  
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Scanner name cannot exceed 100 characters'),
+  
+  body('location')
+    .trim()
+    .notEmpty()
+    .withMessage('Gate location is required'),
+  
+  body('type')
+    .isIn(['entry', 'exit', 'checkpoint'])
+    .withMessage('Scanner type must be entry, exit or checkpoint'),
+  
+  body('direction')
+    .optional()
+    .isIn(['in', 'out', 'both'])
+    .withMessage('Invalid direction'),
+  
+  body('isEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('isEnabled must be a boolean'),
+  
+  body('antiPassbackMode')
+    .optional()
+    .isIn(['hard', 'soft', 'off'])
+    .withMessage('Anti-passback mode must be hard, soft or off'),
+  
+  body('heartbeatIntervalSec')
+    .optional()
+    .isInt({ min: 5 })
+    .withMessage('Heartbeat interval must be at least 5 seconds'),
+  
+  body('zone')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parking zone ID'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for scanner updates
+const validateScannerUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Scanner name cannot exceed 100 characters'),
+  
+  body('location')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Gate location cannot be empty'),
+  
+  body('type')
+    .optional()
+    .isIn(['entry', 'exit', 'checkpoint'])
+    .withMessage('Scanner type must be entry, exit or checkpoint'),
+  
+  body('direction')
+    .optional()
+    .isIn(['in', 'out', 'both'])
+    .withMessage('Invalid direction'),
+  
+  body('isEnabled')
+    .optional()
+    .isBoolean()
+    .withMessage('isEnabled must be a boolean'),
+  
+  body('antiPassbackMode')
+    .optional()
+    .isIn(['hard', 'soft', 'off'])
+    .withMessage('Anti-passback mode must be hard, soft or off'),
+  
+  body('heartbeatIntervalSec')
+    .optional()
+    .isInt({ min: 5 })
+    .withMessage('Heartbeat interval must be at least 5 seconds'),
+  
+  body('zone')
+    .optional({ values: 'null' })
+    .isMongoId()
+    .withMessage('Invalid parking zone ID'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for scanner heartbeats
+const validateScannerHeartbeat = [
+  ...scannerTelemetryRules(),
+  
+  body('uptime')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Uptime must be a non-negative integer'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for parking zones
+const validateParkingZone = [
+  body('code')
+    .trim()
+    .notEmpty()
+    .withMessage('Zone code is required'),
+  
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Zone name is required'),
+  
+  body('capacity')
+    .isInt({ min: 0 })
+    .withMessage('Capacity must be a non-negative integer'),
+  
+  body('fullAction')
+    .optional()
+    .isIn(['deny', 'warn'])
+    .withMessage('Full action must be deny or warn'),
+  
+  body('allowedVehicleTypes')
+    .optional()
+    .isArray()
+    .withMessage('allowedVehicleTypes must be an array'),
+  
+  body('allowedAffiliations')
+    .optional()
+    .isArray()
+    .withMessage('allowedAffiliations must be an array'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for parking zone updates
+const validateParkingZoneUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Zone name cannot be empty'),
+  
+  body('capacity')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Capacity must be a non-negative integer'),
+  
+  body('fullAction')
+    .optional()
+    .isIn(['deny', 'warn'])
+    .withMessage('Full action must be deny or warn'),
+  
+  body('allowedVehicleTypes')
+    .optional()
+    .isArray()
+    .withMessage('allowedVehicleTypes must be an array'),
+  
+  body('allowedAffiliations')
+    .optional()
+    .isArray()
+    .withMessage('allowedAffiliations must be an array'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for access policy schedule windows
+const accessWindowRules = [
+  body('windows')
+    .optional()
+    .isArray()
+    .withMessage('windows must be an array'),
+  
+  body('windows.*.start')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Window start must be in HH:mm format'),
+  
+  body('windows.*.end')
+    .matches(/^([01]\d|2[0-3]):[0-5]\d$/)
+    .withMessage('Window end must be in HH:mm format'),
+  
+  body('windows.*.days')
+    .optional()
+    .isArray()
+    .withMessage('Window days must be an array'),
+  
+  body('windows.*.days.*')
+    .isInt({ min: 0, max: 6 })
+    .withMessage('Window days must be between 0 (Sunday) and 6 (Saturday)'),
+  
+  body('schoolDaysOnly')
+    .optional()
+    .isBoolean()
+    .withMessage('schoolDaysOnly must be a boolean'),
+  
+  body('appliesTo')
+    .optional()
+    .isObject()
+    .withMessage('appliesTo must be an object')
+];
+
+// Validation rules for access policies
+const validateAccessPolicy = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name is required'),
+  
+  ...accessWindowRules,
+  
+  handleValidationErrors
+];
+
+// Validation rules for access policy updates
+const validateAccessPolicyUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Policy name cannot be empty'),
+  
+  ...accessWindowRules,
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for holiday/closure calendar events
+const validateCalendarEvent = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Event name is required'),
+  
+  body('type')
+    .isIn(['holiday', 'closure'])
+    .withMessage('Type must be holiday or closure'),
+  
+  body('startDate')
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Start date must be in YYYY-MM-DD format'),
+  
+  body('endDate')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('End date must be in YYYY-MM-DD format'),
+  
+  body('allowedAffiliations')
+    .optional()
+    .isArray()
+    .withMessage('allowedAffiliations must be an array'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for watchlist entries
+const validateWatchlistEntry = [
+  body('matchType')
+    .isIn(['plateNumber', 'tagId', 'idNumber'])
+    .withMessage('Match type must be plateNumber, tagId or idNumber'),
+  
+  body('value')
+    .trim()
+    .notEmpty()
+    .withMessage('Watchlist value is required'),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('Reason is required'),
+  
+  body('severity')
+    .optional()
+    .isIn(['alert', 'ban'])
+    .withMessage('Severity must be alert or ban'),
+  
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for watchlist entry updates
+const validateWatchlistEntryUpdate = [
+  body('reason')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Reason cannot be empty'),
+  
+  body('severity')
+    .optional()
+    .isIn(['alert', 'ban'])
+    .withMessage('Severity must be alert or ban'),
+  
+  body('expiresAt')
+    .optional({ values: 'null' })
+    .isISO8601()
+    .withMessage('Expiry must be a valid ISO 8601 date'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for guard pass lookup
+const validateGuardLookup = [
+  query('plateNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Plate number cannot be empty'),
+  
+  query('tagId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Tag ID cannot be empty'),
+  
+  query()
+    .custom((value, { req }) => {
+      if (!req.query.plateNumber && !req.query.tagId) {
+        throw new Error('Provide a plate number or tag ID');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validation rules for the guard's recent scans
+const validateGuardRecentScans = [
+  query('scanResult')
+    .optional()
+    .isIn(RFIDScan.schema.path('scanResult').enumValues)
+    .withMessage('Invalid scan result'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for manual gate overrides
+const validateGateOverride = [
+  body('type')
+    .isIn(['entry', 'exit', 'forced_grant'])
+    .withMessage('Override type must be entry, exit or forced_grant'),
+  
+  body('applicationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('deniedScanId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid denied scan ID'),
+  
+  body('direction')
+    .optional()
+    .isIn(['in', 'out'])
+    .withMessage('Direction must be in or out'),
+  
+  body('reasonCode')
+    .isIn(RFIDScan.OVERRIDE_REASON_CODES)
+    .withMessage(`Reason code must be one of: ${RFIDScan.OVERRIDE_REASON_CODES.join(', ')}`),
+  
+  body('note')
+    .trim()
+    .notEmpty()
+    .withMessage('A note is required for overrides'),
+  
+  body()
+    .custom((value, { req }) => {
+      if (!req.body.applicationId && !req.body.plateNumber && !req.body.tagId && !req.body.deniedScanId) {
+        throw new Error('Provide an application ID, plate number, tag ID or denied scan ID');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validation rules for issuing visitor passes
+const validateVisitorPass = [
+  body('visitorName')
+    .trim()
+    .notEmpty()
+    .withMessage('Visitor name is required'),
+  
+  body('plateNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Plate number is required'),
+  
+  body('hostName')
+    .trim()
+    .notEmpty()
+    .withMessage('Host name is required'),
+  
+  body('purpose')
+    .trim()
+    .notEmpty()
+    .withMessage('Purpose is required'),
+  
+  body('loanerTagId')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Loaner tag ID cannot be empty'),
+  
+  body('durationHours')
+    .optional()
+    .isFloat({ gt: 0 })
+    .withMessage('Duration must be a positive number of hours'),
+  
+  body(['validFrom', 'validUntil', 'expectedExitAt'])
+    .optional()
+    .isISO8601()
+    .withMessage('Dates must be valid ISO 8601 dates'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for closing or revoking visitor passes
+const validateVisitorPassClose = [
+  param('passId')
+    .isMongoId()
+    .withMessage('Invalid visitor pass ID'),
+  
+  body('revoke')
+    .optional()
+    .isBoolean()
+    .withMessage('revoke must be a boolean'),
+  
+  body('reason')
+    .if(body('revoke').equals('true'))
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to revoke a visitor pass'),
+  
+  handleValidationErrors
+];
+
+const feeScheduleRules = [
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a non-negative number'),
+  
+  body('appliesTo')
+    .optional()
+    .isObject()
+    .withMessage('appliesTo must be an object'),
+  
+  body('isActive')
+    .optional()
+    .isBoolean()
+    .withMessage('isActive must be a boolean')
+];
+
+// Validation rules for fee schedule entries
+const validateFeeSchedule = [
+  body('name')
+    .trim()
+    .notEmpty()
+    .withMessage('Fee name is required'),
+  
+  body('amount')
+    .exists()
+    .withMessage('Amount is required'),
+  
+  ...feeScheduleRules,
+  
+  handleValidationErrors
+];
+
+// Validation rules for fee schedule updates
+const validateFeeScheduleUpdate = [
+  body('name')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Fee name cannot be empty'),
+  
+  ...feeScheduleRules,
+  
+  handleValidationErrors
+];
+
+// Validation rules for recording a payment
+const validatePayment = [
+  body('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('receiptNumber')
+    .trim()
+    .notEmpty()
+    .withMessage('Receipt number is required'),
+  
+  body('amount')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Amount must be a non-negative number'),
+  
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Notes cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for the cashier collection report
+const validateCollectionReport = [
+  query('date')
+    .optional()
+    .matches(/^\d{4}-\d{2}-\d{2}$/)
+    .withMessage('Date must be in YYYY-MM-DD format'),
+  
+  query('cashierId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid cashier ID'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for importing a batch of RFID tags
+const validateTagImport = [
+  body('batch')
+    .trim()
+    .notEmpty()
+    .withMessage('Batch is required'),
+  
+  body('epcs')
+    .isArray({ min: 1, max: 5000 })
+    .withMessage('epcs must be a list of 1 to 5000 tag IDs'),
+  
+  body('epcs.*')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 64 })
+    .withMessage('Each tag ID must be between 1 and 64 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for RFID tag status changes
+const validateTagStatusUpdate = [
+  body('status')
+    .isIn(['in_stock', 'lost', 'damaged', 'retired'])
+    .withMessage('Status must be in_stock, lost, damaged or retired'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for deactivating or suspending a pass's RFID tag
+const validateTagDeactivation = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('suspendedUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('suspendedUntil must be an ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('suspendedUntil must be in the future');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validation rules for reactivating a pass's RFID tag
+const validateTagReactivation = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('reason')
+    .trim()
+    .notEmpty()
+    .withMessage('A reason is required to reactivate a tag')
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  body('validUntil')
+    .optional()
+    .isISO8601()
+    .withMessage('validUntil must be an ISO 8601 date')
+    .custom((value) => {
+      if (new Date(value) <= new Date()) {
+        throw new Error('validUntil must be in the future');
+      }
+      return true;
+    }),
+  
+  handleValidationErrors
+];
+
+// Validation rules for replacing a pass's RFID tag
+const validateTagReplacement = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('tagId')
+    .trim()
+    .notEmpty()
+    .withMessage('New RFID tag ID is required'),
+  
+  body('reason')
+    .isIn(['lost', 'damaged', 'other'])
+    .withMessage('Reason must be lost, damaged or other'),
+  
+  body('note')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note cannot exceed 500 characters'),
+  
+  body('receiptNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Receipt number cannot be empty'),
+  
+  body('amount')
+    .if(body('receiptNumber').exists())
+    .isFloat({ min: 0 })
+    .withMessage('Amount of the replacement fee is required with a receipt number'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for applicant edits to a pending application
+const validateApplicationUpdate = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body(['applicant.familyName', 'applicant.givenName', 'homeAddress', 'idNumber', 'vehicleInfo.plateNumber', 'vehicleInfo.orNumber', 'vehicleInfo.crNumber'])
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Required fields cannot be empty'),
+  
+  body('schoolAffiliation')
+    .optional()
+    .isIn(['student', 'personnel', 'other'])
+    .withMessage('Invalid school affiliation'),
+  
+  body('vehicleUserType')
+    .optional()
+    .isIn(['owner', 'driver', 'passenger'])
+    .withMessage('Invalid vehicle user type'),
+  
+  body('employmentStatus')
+    .optional()
+    .isIn(['permanent', 'temporary', 'casual', 'job_order', 'n/a'])
+    .withMessage('Invalid employment status'),
+  
+  body('vehicleInfo.type')
+    .optional()
+    .isIn(['motorcycle', 'car', 'suv', 'tricycle', 'double_cab', 'single_cab', 'heavy_truck', 'heavy_equipment', 'bicycle', 'e_vehicle'])
+    .withMessage('Invalid vehicle type'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for an applicant withdrawing an application
+const validateApplicationCancel = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for the owner's applications listing
+const validateApplicationListing = [
+  query('status')
+    .optional()
+    .custom((value) => {
+      const statuses = Object.keys(VehiclePassApplication.STATUS_TRANSITIONS);
+      const invalid = String(value).split(',').filter((status) => !statuses.includes(status.trim()));
+      if (invalid.length) {
+        throw new Error(`Invalid status: ${invalid.join(', ')}`);
+      }
+      return true;
+    }),
+  
+  query('vehicleType')
+    .optional()
+    .isIn(VehiclePassApplication.schema.path('vehicleInfo.type').enumValues)
+    .withMessage('Invalid vehicle type'),
+  
+  query('applicationType')
+    .optional()
+    .isIn(['new', 'renewal'])
+    .withMessage('Application type must be new or renewal'),
+  
+  query('plateNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Plate number cannot be empty'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for picking one of the user's applications
+const validateApplicationLookup = [
+  param('applicationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  query('applicationId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  query('plateNumber')
+    .optional()
+    .trim()
+    .notEmpty()
+    .withMessage('Plate number cannot be empty'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for sharing a vehicle with another registered user
+const validateDriverLink = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('email')
+    .trim()
+    .isEmail()
+    .withMessage('Email of a registered user is required'),
+  
+  body('vehicleUserType')
+    .isIn(['driver', 'passenger'])
+    .withMessage('Vehicle user type must be driver or passenger'),
+  
+  body('relationship')
+    .isIn(VehiclePassApplication.DRIVER_RELATIONSHIPS)
+    .withMessage(`Relationship must be one of: ${VehiclePassApplication.DRIVER_RELATIONSHIPS.join(', ')}`),
+  
+  body('licenseNumber')
+    .optional()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('License number cannot exceed 50 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for an admin decision on a shared-vehicle driver
+const validateDriverReview = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  param('driverId')
+    .isMongoId()
+    .withMessage('Invalid driver ID'),
+  
+  body('status')
+    .isIn(['approved', 'rejected', 'removed'])
+    .withMessage('Status must be approved, rejected or removed'),
+  
+  body('reason')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters'),
+  
+  handleValidationErrors
+];
+
+// Validation rules for sending an application back for revision
+const validateRevisionRequest = [
+  param('applicationId')
+    .isMongoId()
+    .withMessage('Invalid application ID'),
+  
+  body('comments')
+    .isArray({ min: 1 })
+    .withMessage('At least one field or document comment is required'),
+  
+  body('comments.*.field')
+    .isIn([...VehiclePassApplication.REVISABLE_FIELDS, ...VehiclePassApplication.REVISABLE_DOCUMENTS])
+    .withMessage('Invalid field or document'),
+  
+  body('comments.*.comment')
+    .trim()
+    .isLength({ min: 1, max: 500 })
+    .withMessage('Comment must be between 1 and 500 characters'),
+  
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Message cannot exceed 1000 characters'),
+  
+  handleValidationErrors
+];
+
 // Validation rules for user ID parameter
 const validateUserId = [
   param('userId')
@@ -195,7 +1158,41 @@ module.exports = {
   validateUserLogin,
   validateVehicleRegistration,
   validateRFIDScan,
+  validateQRScan,
+  validateRFIDScanBatch,
   validateRFIDAssignment,
+  validatePresenceReset,
+  validateScanner,
+  validateScannerUpdate,
+  validateScannerHeartbeat,
+  validateParkingZone,
+  validateParkingZoneUpdate,
+  validateAccessPolicy,
+  validateAccessPolicyUpdate,
+  validateCalendarEvent,
+  validateWatchlistEntry,
+  validateWatchlistEntryUpdate,
+  validateGuardLookup,
+  validateGuardRecentScans,
+  validateGateOverride,
+  validateVisitorPass,
+  validateVisitorPassClose,
+  validateTagImport,
+  validateTagStatusUpdate,
+  validateTagReplacement,
+  validateTagDeactivation,
+  validateTagReactivation,
+  validateFeeSchedule,
+  validateFeeScheduleUpdate,
+  validatePayment,
+  validateCollectionReport,
+  validateApplicationUpdate,
+  validateApplicationCancel,
+  validateApplicationListing,
+  validateApplicationLookup,
+  validateDriverLink,
+  validateDriverReview,
+  validateRevisionRequest,
   validateUserId,
   validateVehicleId,
   validatePagination,
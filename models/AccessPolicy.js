@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+const accessWindowSchema = new mongoose.Schema({
+  // Days of the week (0 = Sunday ... 6 = Saturday); empty means every day
+  days: [{ type: Number, min: 0, max: 6 }],
+  // Local times (HH:mm); a window whose end is before its start runs past midnight
+  start: { type: String, required: true, match: [TIME_PATTERN, 'Start must be in HH:mm format'] },
+  end: { type: String, required: true, match: [TIME_PATTERN, 'End must be in HH:mm format'] }
+}, { _id: false });
+
+const accessPolicySchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Policy name is required'],
+    trim: true
+  },
+  description: { type: String, trim: true },
+
+  // Which passes the policy applies to; empty lists match everything, and all given lists must match
+  appliesTo: {
+    affiliations: [{ type: String, enum: ['student', 'personnel', 'other'] }],
+    vehicleTypes: [{
+      type: String,
+      enum: ['motorcycle', 'car', 'suv', 'tricycle', 'double_cab', 'single_cab', 'heavy_truck', 'heavy_equipment', 'bicycle', 'e_vehicle']
+    }],
+    employmentStatuses: [{ type: String, enum: ['permanent', 'temporary', 'casual', 'job_order', 'n/a'] }]
+  },
+
+  // Entry is only allowed inside one of these windows (no windows = any time)
+  windows: [accessWindowSchema],
+  // Only allow entry on school days (weekdays that are not holidays or closures)
+  schoolDaysOnly: {
+    type: Boolean,
+    default: false
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+accessPolicySchema.index({ isActive: 1 });
+
+// Whether the policy applies to a vehicle pass application
+accessPolicySchema.methods.appliesToApplication = function(application) {
+  const { affiliations, vehicleTypes, employmentStatuses } = this.appliesTo || {};
+  const vehicleType = application.vehicleInfo && application.vehicleInfo.type;
+
+  return (!affiliations || !affiliations.length || affiliations.includes(application.schoolAffiliation)) &&
+    (!vehicleTypes || !vehicleTypes.length || vehicleTypes.includes(vehicleType)) &&
+    (!employmentStatuses || !employmentStatuses.length || employmentStatuses.includes(application.employmentStatus));
+};
+
+module.exports = mongoose.model('AccessPolicy', accessPolicySchema);
@@ -0,0 +1,76 @@
+const mongoose = require('mongoose');
+const Counter = require('./Counter');
+
+const ALLOWLIST_COUNTER = 'allowlist';
+const RETENTION_DAYS = parseInt(process.env.ALLOWLIST_CHANGE_RETENTION_DAYS) || 30;
+
+const allowListChangeSchema = new mongoose.Schema({
+  version: {
+    type: Number,
+    required: true,
+    unique: true
+  },
+  action: {
+    type: String,
+    enum: ['add', 'remove'],
+    required: true
+  },
+  tagId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  validUntil: { type: Date },
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'VehiclePassApplication' },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Old changes expire; scanners further behind must download a full snapshot
+allowListChangeSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 });
+
+// Whether a pass's tag should be on the allow-list right now
+allowListChangeSchema.statics.entryFor = function(application) {
+  const rfidInfo = application.rfidInfo || {};
+  const validUntil = rfidInfo.validUntil ? new Date(rfidInfo.validUntil) : null;
+  return {
+    tagId: rfidInfo.tagId || null,
+    validUntil,
+    eligible: Boolean(
+      rfidInfo.tagId &&
+      rfidInfo.isActive &&
+      application.status === 'completed' &&
+      application.applicationType !== 'renewal' &&
+      validUntil && validUntil > new Date()
+    )
+  };
+};
+
+// Record the allow-list changes between two states of the same application
+allowListChangeSchema.statics.recordTransition = async function(application, previous, current) {
+  const changes = [];
+  const tagChanged = previous.tagId !== current.tagId;
+  const validityChanged = String(previous.validUntil) !== String(current.validUntil);
+
+  if (previous.eligible && (!current.eligible || tagChanged)) {
+    changes.push({ action: 'remove', tagId: previous.tagId });
+  }
+  if (current.eligible && (!previous.eligible || tagChanged || validityChanged)) {
+    changes.push({ action: 'add', tagId: current.tagId, validUntil: current.validUntil });
+  }
+
+  for (const change of changes) {
+    const version = await Counter.next(ALLOWLIST_COUNTER);
+    await this.create({ ...change, version, application: application._id });
+  }
+
+  return changes;
+};
+
+allowListChangeSchema.statics.currentVersion = async function() {
+  return await Counter.current(ALLOWLIST_COUNTER);
+};
+
+module.exports = mongoose.model('AllowListChange', allowListChangeSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const calendarEventSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Event name is required'],
+    trim: true
+  },
+  // holiday: not a school day, schedules still apply
+  // closure: campus closed to everyone except the allowed affiliations
+  type: {
+    type: String,
+    enum: ['holiday', 'closure'],
+    required: true
+  },
+
+  // Local campus dates (YYYY-MM-DD), inclusive
+  startDate: {
+    type: String,
+    required: [true, 'Start date is required'],
+    match: [DATE_PATTERN, 'Start date must be in YYYY-MM-DD format']
+  },
+  endDate: {
+    type: String,
+    match: [DATE_PATTERN, 'End date must be in YYYY-MM-DD format']
+  },
+
+  allowedAffiliations: [{ type: String, enum: ['student', 'personnel', 'other'] }],
+  notes: { type: String, trim: true },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+calendarEventSchema.index({ startDate: 1, endDate: 1 });
+
+// Single-day events end on their start date
+calendarEventSchema.pre('validate', function(next) {
+  if (!this.endDate) {
+    this.endDate = this.startDate;
+  }
+  if (this.endDate < this.startDate) {
+    return next(new Error('End date cannot be before start date'));
+  }
+  next();
+});
+
+// Events covering a local date (YYYY-MM-DD)
+calendarEventSchema.statics.findForDate = async function(date) {
+  return await this.find({ startDate: { $lte: date }, endDate: { $gte: date } });
+};
+
+module.exports = mongoose.model('CalendarEvent', calendarEventSchema);
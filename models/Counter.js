@@ -0,0 +1,25 @@
+const mongoose = require('mongoose');
+
+// Named monotonic sequences (e.g. allow-list versions)
+const counterSchema = new mongoose.Schema({
+  _id: { type: String, required: true },
+  seq: { type: Number, default: 0 }
+});
+
+// Atomically increment a sequence and return the new value
+counterSchema.statics.next = async function(name) {
+  const counter = await this.findOneAndUpdate(
+    { _id: name },
+    { $inc: { seq: 1 } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  return counter.seq;
+};
+
+// Current value of a sequence without incrementing it
+counterSchema.statics.current = async function(name) {
+  const counter = await this.findById(name);
+  return counter ? counter.seq : 0;
+};
+
+module.exports = mongoose.model('Counter', counterSchema);
@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Fee name is required'],
+    trim: true
+  },
+  description: { type: String, trim: true },
+
+  // Which applications the fee applies to; empty lists match everything, and all given lists must match
+  appliesTo: {
+    affiliations: [{ type: String, enum: ['student', 'personnel', 'other'] }],
+    vehicleTypes: [{
+      type: String,
+      enum: ['motorcycle', 'car', 'suv', 'tricycle', 'double_cab', 'single_cab', 'heavy_truck', 'heavy_equipment', 'bicycle', 'e_vehicle']
+    }],
+    employmentStatuses: [{ type: String, enum: ['permanent', 'temporary', 'casual', 'job_order', 'n/a'] }],
+    applicationTypes: [{ type: String, enum: ['new', 'renewal'] }]
+  },
+
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+feeScheduleSchema.index({ isActive: 1 });
+
+const CRITERIA = ['affiliations', 'vehicleTypes', 'employmentStatuses', 'applicationTypes'];
+
+// Whether the fee applies to a vehicle pass application
+feeScheduleSchema.methods.appliesToApplication = function(application) {
+  const { affiliations, vehicleTypes, employmentStatuses, applicationTypes } = this.appliesTo || {};
+  const vehicleType = application.vehicleInfo && application.vehicleInfo.type;
+
+  return (!affiliations || !affiliations.length || affiliations.includes(application.schoolAffiliation)) &&
+    (!vehicleTypes || !vehicleTypes.length || vehicleTypes.includes(vehicleType)) &&
+    (!employmentStatuses || !employmentStatuses.length || employmentStatuses.includes(application.employmentStatus)) &&
+    (!applicationTypes || !applicationTypes.length || applicationTypes.includes(application.applicationType || 'new'));
+};
+
+// Number of criteria the fee restricts; more specific fees win over general ones
+feeScheduleSchema.virtual('specificity').get(function() {
+  const appliesTo = this.appliesTo || {};
+  return CRITERIA.filter((k) => appliesTo[k] && appliesTo[k].length).length;
+});
+
+// The active fee for an application: the most specific match, then the most recently updated
+feeScheduleSchema.statics.findForApplication = async function(application) {
+  const fees = await this.find({ isActive: true }).sort({ updatedAt: -1 });
+  return fees
+    .filter((fee) => fee.appliesToApplication(application))
+    .reduce((best, fee) => (!best || fee.specificity > best.specificity ? fee : best), null);
+};
+
+feeScheduleSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
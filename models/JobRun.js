@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// One document per scheduled job run. The unique (jobName, runKey) pair lets exactly one
+// API instance claim each run, and completed runs are not repeated after a restart.
+const jobRunSchema = new mongoose.Schema({
+  jobName: {
+    type: String,
+    required: true
+  },
+  // Identifies the scheduled slot, e.g. the start of the hour the run belongs to
+  runKey: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  // Host and process that claimed the run
+  instance: { type: String },
+  startedAt: { type: Date, default: Date.now },
+  finishedAt: { type: Date },
+  attempts: { type: Number, default: 1 },
+  // Job-specific summary, e.g. number of reminders sent
+  result: { type: mongoose.Schema.Types.Mixed },
+  error: { type: String }
+}, {
+  timestamps: true
+});
+
+jobRunSchema.index({ jobName: 1, runKey: 1 }, { unique: true });
+jobRunSchema.index({ jobName: 1, startedAt: -1 });
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const VEHICLE_TYPES = ['motorcycle', 'car', 'suv', 'tricycle', 'double_cab', 'single_cab', 'heavy_truck', 'heavy_equipment', 'bicycle', 'e_vehicle'];
+const AFFILIATIONS = ['student', 'personnel', 'other'];
+
+const parkingZoneSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Zone code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Zone name is required'],
+    trim: true
+  },
+  description: { type: String, trim: true },
+
+  capacity: {
+    type: Number,
+    required: [true, 'Zone capacity is required'],
+    min: [0, 'Capacity cannot be negative']
+  },
+  // What happens when a vehicle enters a full zone
+  fullAction: {
+    type: String,
+    enum: ['deny', 'warn'],
+    default: 'deny'
+  },
+
+  // Empty lists allow every vehicle type / affiliation
+  allowedVehicleTypes: [{ type: String, enum: VEHICLE_TYPES }],
+  allowedAffiliations: [{ type: String, enum: AFFILIATIONS }],
+
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+// Whether a pass's vehicle type and affiliation are covered by this zone
+parkingZoneSchema.methods.allowsApplication = function(application) {
+  const vehicleType = application.vehicleInfo && application.vehicleInfo.type;
+  const typeAllowed = !this.allowedVehicleTypes.length || this.allowedVehicleTypes.includes(vehicleType);
+  const affiliationAllowed = !this.allowedAffiliations.length || this.allowedAffiliations.includes(application.schoolAffiliation);
+  return typeAllowed && affiliationAllowed;
+};
+
+module.exports = mongoose.model('ParkingZone', parkingZoneSchema);
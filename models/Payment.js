@@ -0,0 +1,49 @@
+const mongoose = require('mongoose');
+
+// A fee collected at the cashier for a vehicle pass application
+const paymentSchema = new mongoose.Schema({
+  application: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehiclePassApplication',
+    required: true
+  },
+  // Official receipt number; each receipt can only be recorded once
+  receiptNumber: {
+    type: String,
+    required: [true, 'Receipt number is required'],
+    unique: true,
+    trim: true,
+    uppercase: true
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Amount is required'],
+    min: [0, 'Amount cannot be negative']
+  },
+  // Fee the application was assessed, when a fee schedule applied
+  assessedAmount: { type: Number },
+  feeSchedule: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeSchedule' },
+  applicationType: { type: String, enum: ['new', 'renewal'], default: 'new' },
+  // What the fee was for: the pass itself or a replacement tag
+  purpose: { type: String, enum: ['pass', 'tag_replacement'], default: 'pass' },
+
+  // Logged-in user who took the payment
+  cashier: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  cashierName: { type: String },
+  paidAt: {
+    type: Date,
+    default: Date.now
+  },
+  notes: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+paymentSchema.index({ paidAt: -1, cashier: 1 });
+paymentSchema.index({ application: 1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -1,5 +1,16 @@
 const mongoose = require('mongoose');
 
+// Why a guard had to override the gate
+const OVERRIDE_REASON_CODES = [
+  'tag_unreadable',
+  'tag_missing',
+  'scanner_offline',
+  'emergency_vehicle',
+  'official_visitor',
+  'supervisor_approval',
+  'other'
+];
+
 const rfidScanSchema = new mongoose.Schema({
   // RFID Tag Information
   tagId: {
@@ -7,6 +18,12 @@ const rfidScanSchema = new mongoose.Schema({
     required: [true, 'RFID tag ID is required'],
     trim: true
   },
+  // How the vehicle identified itself: RFID tag, QR code, or nothing (guard override)
+  credentialType: {
+    type: String,
+    enum: ['rfid', 'qr', 'none'],
+    default: 'rfid'
+  },
 
   // Scanner Information
   scannerId: {
@@ -21,6 +38,10 @@ const rfidScanSchema = new mongoose.Schema({
     type: String,
     enum: ['entry', 'exit', 'checkpoint', 'registration']
   },
+  zone: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'ParkingZone' // parking zone the scanner guards; its movements are in or out of the zone
+  },
 
   // User and Vehicle Information
   user: {
@@ -31,6 +52,10 @@ const rfidScanSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'VehiclePassApplication'
   },
+  visitorPass: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VisitorPass'
+  },
 
   // Scan Details
   scanType: {
@@ -40,7 +65,7 @@ const rfidScanSchema = new mongoose.Schema({
   },
   scanResult: {
     type: String,
-    enum: ['success', 'denied', 'error', 'unknown'],
+    enum: ['success', 'denied', 'error', 'unknown', 'override'], // override: let through by a guard, not by a read
     required: true
   },
   scanMessage: {
@@ -87,6 +112,46 @@ const rfidScanSchema = new mongoose.Schema({
     max: 100
   },
 
+  // Offline buffering: reads made while the scanner had no connectivity
+  offline: {
+    type: Boolean,
+    default: false
+  },
+  deviceSequence: {
+    type: Number // per-scanner sequence number assigned by the device
+  },
+  receivedAt: {
+    type: Date // when a buffered read reached the server
+  },
+  // Buffered reads are judged by the server on upload, not by the gate: status, activation, tag binding,
+  // validity and presence as of scanTimestamp, the watchlist as it is when received.
+  // The gate itself decided from its cached allow-list, at allowListVersion.
+  reevaluated: {
+    type: Boolean
+  },
+  allowListVersion: {
+    type: Number // allow-list version the scanner held when it made the read
+  },
+
+  // Manual overrides logged by a guard (tag won't read, denied vehicle let in)
+  source: {
+    type: String,
+    enum: ['scanner', 'manual'],
+    default: 'scanner'
+  },
+  performedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  override: {
+    type: { type: String, enum: ['entry', 'exit', 'forced_grant'] },
+    reasonCode: { type: String, enum: OVERRIDE_REASON_CODES },
+    note: { type: String, trim: true },
+    plateNumber: { type: String, trim: true }, // vehicles without a pass are recorded by plate
+    deniedScan: { type: mongoose.Schema.Types.ObjectId, ref: 'RFIDScan' }, // the denial a forced grant overrides
+    failedCheck: { type: String, trim: true } // why the gate would have refused the vehicle (e.g. TAG_EXPIRED, NO_PASS)
+  },
+
   // Additional Data
   metadata: {
     type: mongoose.Schema.Types.Mixed,
@@ -126,6 +191,13 @@ rfidScanSchema.index({ 'coordinates.latitude': 1, 'coordinates.longitude': 1 });
 rfidScanSchema.index({ user: 1, scanTimestamp: -1 });
 rfidScanSchema.index({ tagId: 1, scanTimestamp: -1 });
 rfidScanSchema.index({ scannerId: 1, scanTimestamp: -1 });
+rfidScanSchema.index({ source: 1, scanTimestamp: -1 });
+
+// A device sequence number can only be ingested once per scanner
+rfidScanSchema.index(
+  { scannerId: 1, deviceSequence: 1 },
+  { unique: true, partialFilterExpression: { deviceSequence: { $exists: true } } }
+);
 
 // TTL index to automatically delete old records (optional)
 // rfidScanSchema.index({ scanTimestamp: 1 }, { expireAfterSeconds: 7776000 }); // 90 days
@@ -191,4 +263,6 @@ rfidScanSchema.statics.validateTag = async function(tagId) {
   };
 };
 
+rfidScanSchema.statics.OVERRIDE_REASON_CODES = OVERRIDE_REASON_CODES;
+
 module.exports = mongoose.model('RFIDScan', rfidScanSchema);
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+const TAG_STATUSES = ['in_stock', 'assigned', 'lost', 'damaged', 'retired'];
+
+// Inventory record for a physical RFID sticker
+const rfidTagSchema = new mongoose.Schema({
+  // Tag ID (EPC) as reported by the scanners; stored on applications as rfidInfo.tagId
+  epc: {
+    type: String,
+    required: [true, 'EPC is required'],
+    unique: true,
+    trim: true
+  },
+  // Delivery batch the tag arrived in
+  batch: {
+    type: String,
+    required: [true, 'Batch is required'],
+    trim: true
+  },
+  status: {
+    type: String,
+    enum: TAG_STATUSES,
+    default: 'in_stock'
+  },
+  // Application the tag is currently bound to
+  application: { type: mongoose.Schema.Types.ObjectId, ref: 'VehiclePassApplication' },
+  assignedAt: { type: Date },
+
+  // Every binding and status change, oldest first
+  history: [{
+    action: {
+      type: String,
+      enum: ['imported', 'assigned', 'released', 'status_changed'],
+      required: true
+    },
+    status: { type: String, enum: TAG_STATUSES },
+    application: { type: mongoose.Schema.Types.ObjectId, ref: 'VehiclePassApplication' },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    note: { type: String, trim: true }
+  }],
+
+  notes: { type: String, trim: true },
+  importedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+rfidTagSchema.index({ status: 1, batch: 1 });
+rfidTagSchema.index({ application: 1 });
+rfidTagSchema.index({ 'history.application': 1 });
+
+rfidTagSchema.statics.TAG_STATUSES = TAG_STATUSES;
+
+module.exports = mongoose.model('RFIDTag', rfidTagSchema);
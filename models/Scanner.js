@@ -0,0 +1,100 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const scannerSchema = new mongoose.Schema({
+  // Identifier the device sends in the X-Scanner-Id header
+  scannerId: {
+    type: String,
+    required: [true, 'Scanner ID is required'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    trim: true,
+    maxlength: [100, 'Scanner name cannot exceed 100 characters']
+  },
+  // Gate or area where the device is installed
+  location: {
+    type: String,
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['entry', 'exit', 'checkpoint'],
+    default: 'checkpoint'
+  },
+  // Direction recorded for reads at this device ('both' lets the device report it per read)
+  direction: {
+    type: String,
+    enum: ['in', 'out', 'both'],
+    default: 'both'
+  },
+  isEnabled: {
+    type: Boolean,
+    default: true
+  },
+  // Parking zone this scanner controls access to (optional)
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ParkingZone', default: null },
+
+  // Anti-passback enforcement
+  // hard: deny scans that repeat the vehicle's last direction
+  // soft: grant access but log the violation
+  // off:  no anti-passback checks at this scanner
+  antiPassbackMode: {
+    type: String,
+    enum: ['hard', 'soft', 'off'],
+    default: () => process.env.ANTI_PASSBACK_DEFAULT_MODE || 'hard'
+  },
+
+  // Heartbeat and health
+  heartbeatIntervalSec: {
+    type: Number,
+    min: 5,
+    default: () => parseInt(process.env.SCANNER_HEARTBEAT_INTERVAL_SEC) || 60
+  },
+  health: {
+    lastSeenAt: { type: Date },
+    lastHeartbeatAt: { type: Date },
+    isOnline: { type: Boolean, default: false },
+    offlineSince: { type: Date },
+    systemStatus: { type: String, enum: ['online', 'offline', 'maintenance'] },
+    batteryLevel: { type: Number, min: 0, max: 100 },
+    signalStrength: { type: Number, min: 0, max: 100 },
+    firmwareVersion: { type: String, trim: true },
+    uptime: { type: Number } // seconds since device boot
+  },
+
+  // Device credential, used as an API key or as the HMAC signing secret
+  apiKey: {
+    type: String,
+    select: false
+  },
+  apiKeyRotatedAt: { type: Date },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+scannerSchema.index({ location: 1 });
+scannerSchema.index({ 'health.isOnline': 1, 'health.lastSeenAt': 1 });
+
+// Generate a new device credential; returns the plain key so it can be shown once
+scannerSchema.methods.generateApiKey = function() {
+  const apiKey = crypto.randomBytes(32).toString('hex');
+  this.apiKey = apiKey;
+  this.apiKeyRotatedAt = new Date();
+  return apiKey;
+};
+
+// Hide the credential when serializing
+scannerSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    delete ret.apiKey;
+    return ret;
+  }
+});
+
+module.exports = mongoose.model('Scanner', scannerSchema);
@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// Timestamps of HMAC-signed scanner requests are accepted this far either side of the server clock
+const SIGNATURE_TOLERANCE_SEC = parseInt(process.env.SCANNER_SIGNATURE_TOLERANCE_SEC) || 300;
+
+// Signatures of accepted HMAC-signed scanner requests. A repeat of one is a replay and is refused.
+const scannerNonceSchema = new mongoose.Schema({
+  scannerId: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  signature: {
+    type: String,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+scannerNonceSchema.index({ scannerId: 1, signature: 1 }, { unique: true });
+// Kept until the request's timestamp has left the window; after that it is rejected anyway
+scannerNonceSchema.index({ createdAt: 1 }, { expireAfterSeconds: SIGNATURE_TOLERANCE_SEC * 2 });
+
+scannerNonceSchema.statics.SIGNATURE_TOLERANCE_SEC = SIGNATURE_TOLERANCE_SEC;
+
+module.exports = mongoose.model('ScannerNonce', scannerNonceSchema);
@@ -58,6 +58,11 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin', 'super_admin', 'security_guard', 'system_admin'],
     default: 'user'
   },
+  // Gate a security guard is posted at (matches the scanners' location)
+  assignedGate: {
+    type: String,
+    trim: true
+  },
 
 // Timestamps
   createdAt: {
@@ -1,4 +1,32 @@
 const mongoose = require('mongoose');
+const AllowListChange = require('./AllowListChange');
+
+// Allowed application status changes. Rejected, revoked and cancelled are final;
+// expired passes return to completed when renewed.
+const STATUS_TRANSITIONS = {
+  pending: ['approved', 'rejected', 'for_revision', 'cancelled'],
+  for_revision: ['pending', 'rejected', 'cancelled'],
+  approved: ['completed', 'rejected', 'cancelled'],
+  completed: ['expired', 'revoked'],
+  expired: ['completed', 'revoked'],
+  rejected: [],
+  revoked: [],
+  cancelled: []
+};
+const STATUSES = Object.keys(STATUS_TRANSITIONS);
+
+// Fields and documents an admin can flag when sending an application back for revision
+const REVISABLE_FIELDS = [
+  'applicant.familyName', 'applicant.givenName', 'applicant.middleName',
+  'homeAddress', 'schoolAffiliation', 'otherAffiliation', 'idNumber', 'contactNumber',
+  'employmentStatus', 'company', 'purpose', 'guardianName', 'guardianAddress', 'vehicleUserType',
+  'vehicleInfo.type', 'vehicleInfo.plateNumber', 'vehicleInfo.orNumber', 'vehicleInfo.crNumber',
+  'vehicleInfo.driverName', 'vehicleInfo.driverLicense'
+];
+const REVISABLE_DOCUMENTS = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale', 'vehiclePhoto'];
+
+// How a shared driver or passenger is related to the vehicle owner
+const DRIVER_RELATIONSHIPS = ['parent', 'child', 'spouse', 'sibling', 'relative', 'employee', 'other'];
 
 const vehiclePassApplicationSchema = new mongoose.Schema({
   applicant: {
@@ -43,18 +71,66 @@ const vehiclePassApplicationSchema = new mongoose.Schema({
   // Status tracking
   status: { 
     type: String, 
-    enum: ['pending', 'approved', 'completed', 'rejected'], 
+    enum: STATUSES, 
     default: 'pending' 
   },
+  // Every status change, oldest first (from is null for the status the application was created with)
+  statusHistory: [{
+    from: { type: String, enum: STATUSES },
+    to: { type: String, enum: STATUSES, required: true },
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    changedAt: { type: Date, default: Date.now },
+    reason: { type: String, trim: true }
+  }],
+  // Each time an admin sent the application back, and what the applicant changed in response
+  revisionRequests: [{
+    comments: [{
+      field: { type: String, enum: [...REVISABLE_FIELDS, ...REVISABLE_DOCUMENTS], required: true },
+      comment: { type: String, required: true, trim: true },
+      // File a flagged document had when the revision was requested
+      previousFileName: { type: String }
+    }],
+    message: { type: String, trim: true },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date, default: Date.now },
+    resubmittedAt: { type: Date },
+    changes: [{
+      field: { type: String },
+      from: { type: mongoose.Schema.Types.Mixed },
+      to: { type: mongoose.Schema.Types.Mixed }
+    }]
+  }],
   reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // admin who checked it
   linkedUser: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // applicant user (if online)
+  // Other registered users who share the vehicle (household drivers and passengers); each is approved separately
+  drivers: [{
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    vehicleUserType: { type: String, enum: ['driver', 'passenger'], required: true },
+    relationship: { type: String, enum: DRIVER_RELATIONSHIPS, required: true },
+    licenseNumber: { type: String, trim: true },
+    status: { type: String, enum: ['pending', 'approved', 'rejected', 'removed'], default: 'pending' },
+    addedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    addedAt: { type: Date, default: Date.now },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reason: { type: String, trim: true }
+  }],
   
   // Payment and RFID tracking
+  // Fee computed from the fee schedule when the application is approved
+  assessment: {
+    amount: { type: Number },
+    feeSchedule: { type: mongoose.Schema.Types.ObjectId, ref: 'FeeSchedule' },
+    feeName: { type: String },
+    assessedAt: { type: Date }
+  },
   paymentInfo: {
     paidAt: { type: Date },
     orReceiptNumber: { type: String },
     amount: { type: Number },
-    cashierName: { type: String }
+    cashierName: { type: String },
+    cashier: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }
   },
   
   rfidInfo: {
@@ -62,9 +138,60 @@ const vehiclePassApplicationSchema = new mongoose.Schema({
     assignedAt: { type: Date },
     assignedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     isActive: { type: Boolean, default: false },
-    validUntil: { type: Date }
+    validUntil: { type: Date },
+    // Set while an admin has the tag deactivated; suspendedUntil reactivates it automatically
+    deactivatedAt: { type: Date },
+    deactivatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    deactivationReason: { type: String, trim: true },
+    suspendedUntil: { type: Date },
+    // Tag whose loss or damage deactivated the pass; replacing it restores access
+    deactivatedTag: { type: String }
   },
 
+  // Admin deactivations and reactivations of the tag (see tagActivationService)
+  activationHistory: [{
+    action: { type: String, enum: ['deactivated', 'reactivated'] },
+    reason: { type: String, trim: true },
+    by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    at: { type: Date, default: Date.now },
+    suspendedUntil: { type: Date },
+    validUntil: { type: Date }
+  }],
+
+  // Tags this pass had before they were replaced; scans of an old tag are denied as TAG_REPLACED
+  tagReplacements: [{
+    oldTagId: { type: String },
+    newTagId: { type: String },
+    reason: { type: String, enum: ['lost', 'damaged', 'other'] },
+    note: { type: String, trim: true },
+    replacedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    replacedAt: { type: Date, default: Date.now },
+    payment: { type: mongoose.Schema.Types.ObjectId, ref: 'Payment' }
+  }],
+
+  // Expiry reminders already sent for a validity period (see passExpiryService)
+  expiryReminders: [{
+    daysBefore: { type: Number },
+    validUntil: { type: Date },
+    sentAt: { type: Date, default: Date.now }
+  }],
+
+  // Renewals are filed as a new application pointing at the pass they renew;
+  // approving one extends the validity of that pass's existing tag
+  applicationType: { type: String, enum: ['new', 'renewal'], default: 'new' },
+  renewalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'VehiclePassApplication' },
+  // Validity periods the pass had before each renewal
+  validityHistory: [{
+    tagId: { type: String },
+    validFrom: { type: Date },
+    validUntil: { type: Date },
+    renewal: { type: mongoose.Schema.Types.ObjectId, ref: 'VehiclePassApplication' },
+    recordedAt: { type: Date, default: Date.now }
+  }],
+
+  // Signing secret for the rotating QR credential (created when the owner first fetches it)
+  qrSecret: { type: String, select: false },
+
   // File attachments - UPDATED to match multer configuration
   attachments: {
     orCopy: {
@@ -103,6 +230,14 @@ const vehiclePassApplicationSchema = new mongoose.Schema({
       uploadedAt: { type: Date, default: Date.now },
       fileSize: { type: Number },
       mimeType: { type: String }
+    },
+    // Shown to guards on scan events
+    vehiclePhoto: {
+      fileId: { type: mongoose.Schema.Types.ObjectId },
+      fileName: { type: String },
+      uploadedAt: { type: Date, default: Date.now },
+      fileSize: { type: Number },
+      mimeType: { type: String }
     }
   }
 }, { timestamps: true });
@@ -150,9 +285,23 @@ vehiclePassApplicationSchema.methods.getAllAttachments = function() {
     });
   }
   
+  if (this.attachments.vehiclePhoto && this.attachments.vehiclePhoto.fileId) {
+    attachments.push({
+      ...this.attachments.vehiclePhoto.toObject(),
+      documentType: 'vehiclePhoto',
+      displayName: 'Vehicle Photo'
+    });
+  }
+  
   return attachments;
 };
 
+vehiclePassApplicationSchema.index({ renewalOf: 1, status: 1 });
+vehiclePassApplicationSchema.index({ status: 1, 'rfidInfo.isActive': 1, 'rfidInfo.validUntil': 1 });
+vehiclePassApplicationSchema.index({ 'tagReplacements.oldTagId': 1 });
+vehiclePassApplicationSchema.index({ 'rfidInfo.suspendedUntil': 1 }, { sparse: true });
+vehiclePassApplicationSchema.index({ 'drivers.user': 1 });
+
 // Virtual for checking if all required documents are uploaded
 vehiclePassApplicationSchema.virtual('hasRequiredDocuments').get(function() {
   const hasOrCr = ((this.attachments.orCopy && this.attachments.orCopy.fileId) || (this.attachments.crCopy && this.attachments.crCopy.fileId));
@@ -162,4 +311,215 @@ vehiclePassApplicationSchema.virtual('hasRequiredDocuments').get(function() {
   return hasOrCr && hasLicense;
 });
 
+vehiclePassApplicationSchema.statics.STATUS_TRANSITIONS = STATUS_TRANSITIONS;
+
+vehiclePassApplicationSchema.statics.REVISABLE_FIELDS = REVISABLE_FIELDS;
+vehiclePassApplicationSchema.statics.REVISABLE_DOCUMENTS = REVISABLE_DOCUMENTS;
+
+vehiclePassApplicationSchema.statics.DRIVER_RELATIONSHIPS = DRIVER_RELATIONSHIPS;
+
+// Query condition for applications a user filed or shares as a driver or passenger. Only approved
+// links count unless includeUnapproved is set (admin views, which also show pending and rejected links).
+vehiclePassApplicationSchema.statics.userFilter = function(userId, { includeUnapproved = false } = {}) {
+  return {
+    $or: [
+      { linkedUser: userId },
+      { drivers: { $elemMatch: { user: userId, status: includeUnapproved ? { $ne: 'removed' } : 'approved' } } }
+    ]
+  };
+};
+
+vehiclePassApplicationSchema.statics.forUser = function(userId, filter = {}, options = {}) {
+  return this.find({ ...filter, ...this.userFilter(userId, options) });
+};
+
+// Which of a vehicle's plate, OR and CR numbers are already registered on another application.
+// excludeIds leaves out the application being edited (and the pass a renewal shares them with).
+vehiclePassApplicationSchema.statics.findDuplicateVehicleFields = async function(vehicleInfo, excludeIds = []) {
+  const duplicateVehicle = await this.findOne({
+    _id: { $nin: excludeIds },
+    renewalOf: { $nin: excludeIds },
+    $or: [
+      { 'vehicleInfo.plateNumber': vehicleInfo.plateNumber },
+      { 'vehicleInfo.orNumber': vehicleInfo.orNumber },
+      { 'vehicleInfo.crNumber': vehicleInfo.crNumber }
+    ]
+  });
+
+  const duplicateFields = [];
+  if (duplicateVehicle) {
+    if (duplicateVehicle.vehicleInfo.plateNumber === vehicleInfo.plateNumber) {
+      duplicateFields.push('plate number');
+    }
+    if (duplicateVehicle.vehicleInfo.orNumber === vehicleInfo.orNumber) {
+      duplicateFields.push('OR number');
+    }
+    if (duplicateVehicle.vehicleInfo.crNumber === vehicleInfo.crNumber) {
+      duplicateFields.push('CR number');
+    }
+  }
+  return duplicateFields;
+};
+
+// The user's link to a shared vehicle, if any (removed links excluded)
+vehiclePassApplicationSchema.methods.getDriver = function(userId) {
+  return this.drivers.find((d) => d.status !== 'removed' && (d.user._id || d.user).toString() === userId.toString()) || null;
+};
+
+// How a user relates to this pass: the applicant's own vehicleUserType, or their shared-vehicle link
+vehiclePassApplicationSchema.methods.roleOf = function(userId) {
+  if (this.linkedUser && (this.linkedUser._id || this.linkedUser).toString() === userId.toString()) {
+    return { vehicleUserType: this.vehicleUserType, isApplicant: true, status: this.status };
+  }
+  const driver = this.getDriver(userId);
+  return driver ? { vehicleUserType: driver.vehicleUserType, isApplicant: false, status: driver.status, relationship: driver.relationship } : null;
+};
+
+// The application as a user may see it: other household members, fees and the applicant's
+// account details are only shown to the applicant
+vehiclePassApplicationSchema.methods.toJSONFor = function(userId) {
+  const json = this.toJSON();
+  const role = this.roleOf(userId);
+  if (!role || !role.isApplicant) {
+    delete json.drivers;
+    delete json.assessment;
+    delete json.paymentInfo;
+    json.linkedUser = this.linkedUser ? (this.linkedUser._id || this.linkedUser) : this.linkedUser;
+  }
+  return json;
+};
+
+vehiclePassApplicationSchema.statics.canTransition = function(from, to) {
+  return (STATUS_TRANSITIONS[from] || []).includes(to);
+};
+
+// Revision request the applicant has not answered yet
+vehiclePassApplicationSchema.methods.getOpenRevisionRequest = function() {
+  const last = this.revisionRequests[this.revisionRequests.length - 1];
+  return this.status === 'for_revision' && last && !last.resubmittedAt ? last : null;
+};
+
+// Status, activation and suspension as they stood at a past moment, rebuilt from statusHistory and
+// activationHistory (used to judge buffered reads uploaded after the fact)
+vehiclePassApplicationSchema.methods.stateAt = function(at) {
+  const rfidInfo = this.rfidInfo || {};
+
+  let status = this.status;
+  if (this.statusHistory.length) {
+    status = this.statusHistory[0].from || null;
+    for (const entry of this.statusHistory) {
+      if (entry.changedAt > at) break;
+      status = entry.to;
+    }
+  }
+
+  const before = this.activationHistory.filter((entry) => entry.at <= at);
+  const after = this.activationHistory.filter((entry) => entry.at > at);
+  const lastBefore = before[before.length - 1];
+
+  let isActive;
+  let suspendedUntil;
+  if (after.length) {
+    // The first later change tells what it changed from
+    isActive = after[0].action === 'deactivated';
+    suspendedUntil = !isActive && lastBefore ? lastBefore.suspendedUntil : undefined;
+  } else if (lastBefore && lastBefore.action === 'deactivated') {
+    isActive = !!rfidInfo.isActive;
+    suspendedUntil = rfidInfo.suspendedUntil;
+  } else if (status === 'completed' && this.status !== 'completed') {
+    // Expiry and revocation switch the tag off with the status change, which came later
+    isActive = true;
+  } else {
+    isActive = !!rfidInfo.isActive;
+    suspendedUntil = rfidInfo.suspendedUntil;
+  }
+
+  return { status, isActive, suspendedUntil: suspendedUntil || undefined };
+};
+
+vehiclePassApplicationSchema.methods.canTransitionTo = function(status) {
+  return this.constructor.canTransition(this.status, status);
+};
+
+/**
+ * Move the application to a new status and record who did it and why
+ * @param {string} status - Target status
+ * @param {Object} options - { by: user ID, reason, at }
+ * @throws {Error} - When the transition is not allowed from the current status
+ */
+vehiclePassApplicationSchema.methods.transitionTo = function(status, { by, reason, at = new Date() } = {}) {
+  const from = this.status;
+  if (!this.constructor.canTransition(from, status)) {
+    throw new Error(`Cannot change application status from ${from} to ${status}`);
+  }
+
+  // New documents record the status they were created with before the first change
+  if (this.isNew && !this.statusHistory.length) {
+    this.statusHistory.push({ from: null, to: from, changedBy: by || this.linkedUser, changedAt: at });
+  }
+
+  this.status = status;
+  this.statusHistory.push({ from, to: status, changedBy: by, changedAt: at, reason });
+  this.$locals.statusChangeRecorded = true;
+  return this;
+};
+
+// Status changes made without transitionTo are still checked and recorded (without an actor)
+vehiclePassApplicationSchema.pre('validate', function(next) {
+  if (this.isNew) {
+    if (!this.statusHistory.length) {
+      this.statusHistory.push({ from: null, to: this.status, changedBy: this.linkedUser });
+    }
+    return next();
+  }
+
+  const from = this.$locals.persistedStatus;
+  if (!from || from === this.status || this.$locals.statusChangeRecorded) {
+    return next();
+  }
+
+  if (!this.constructor.canTransition(from, this.status)) {
+    this.invalidate('status', `Cannot change application status from ${from} to ${this.status}`, this.status);
+    return next();
+  }
+
+  this.statusHistory.push({ from, to: this.status });
+  next();
+});
+
+// Keep the scanner allow-list in sync with tag assignment, activation, status and validity changes
+vehiclePassApplicationSchema.post('init', function() {
+  this.$locals.allowListEntry = AllowListChange.entryFor(this);
+  this.$locals.persistedStatus = this.status;
+});
+
+vehiclePassApplicationSchema.post('save', async function() {
+  const previous = this.$locals.allowListEntry || { tagId: null, validUntil: null, eligible: false };
+  const current = AllowListChange.entryFor(this);
+  this.$locals.allowListEntry = current;
+  this.$locals.persistedStatus = this.status;
+  this.$locals.statusChangeRecorded = false;
+
+  try {
+    await AllowListChange.recordTransition(this, previous, current);
+  } catch (error) {
+    console.error('Failed to record allow-list change:', error);
+  }
+});
+
+// The allow-list is only versioned from save(), so query updates must not change what it is built from
+const ALLOW_LIST_PATHS = /^(status|applicationType|rfidInfo)(\.|$)/;
+
+vehiclePassApplicationSchema.pre(['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne'], function(next) {
+  const update = this.getUpdate() || {};
+  const paths = Array.isArray(update)
+    ? ['rfidInfo']
+    : Object.keys(update).flatMap((key) => (key.startsWith('$') ? Object.keys(update[key] || {}) : [key]));
+
+  if (paths.some((path) => ALLOW_LIST_PATHS.test(path))) {
+    return next(new Error('Application status and RFID details must be changed through save() so the allow-list records them'));
+  }
+  next();
+});
+
 module.exports = mongoose.model('VehiclePassApplication', vehiclePassApplicationSchema);
\ No newline at end of file
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+
+const vehiclePresenceSchema = new mongoose.Schema({
+  vehicle: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'VehiclePassApplication',
+    required: true,
+    unique: true
+  },
+  tagId: {
+    type: String,
+    trim: true
+  },
+
+  // Whether the vehicle is on campus, based on its last successful gate entry/exit scan
+  state: {
+    type: String,
+    enum: ['inside', 'outside', 'unknown'],
+    default: 'unknown'
+  },
+  lastDirection: {
+    type: String,
+    enum: ['in', 'out']
+  },
+  // Parking zone the vehicle is currently in (set by zone scanners)
+  zone: { type: mongoose.Schema.Types.ObjectId, ref: 'ParkingZone', default: null },
+  zoneEnteredAt: { type: Date },
+
+  lastScan: { type: mongoose.Schema.Types.ObjectId, ref: 'RFIDScan' },
+  lastScanAt: { type: Date },
+  lastScannerId: { type: String, trim: true },
+
+  // Manual override (e.g. a gate missed a read)
+  resetBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  resetAt: { type: Date },
+  resetReason: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+vehiclePresenceSchema.index({ state: 1 });
+vehiclePresenceSchema.index({ zone: 1 });
+
+module.exports = mongoose.model('VehiclePresence', vehiclePresenceSchema);
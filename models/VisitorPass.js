@@ -0,0 +1,132 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const visitorPassSchema = new mongoose.Schema({
+  // Printed on the pass and encoded in its QR code; scanners send it as the tag ID
+  passCode: {
+    type: String,
+    unique: true,
+    default: () => `VP-${crypto.randomBytes(4).toString('hex').toUpperCase()}`
+  },
+  // Optional loaner RFID tag handed to the visitor
+  loanerTagId: {
+    type: String,
+    trim: true
+  },
+
+  // Visitor and vehicle
+  visitorName: {
+    type: String,
+    required: [true, 'Visitor name is required'],
+    trim: true
+  },
+  contactNumber: { type: String, trim: true },
+  plateNumber: {
+    type: String,
+    required: [true, 'Plate number is required'],
+    trim: true
+  },
+  vehicleType: {
+    type: String,
+    enum: ['motorcycle', 'car', 'suv', 'tricycle', 'double_cab', 'single_cab', 'heavy_truck', 'heavy_equipment', 'bicycle', 'e_vehicle']
+  },
+
+  // Visit
+  hostName: {
+    type: String,
+    required: [true, 'Host name is required'],
+    trim: true
+  },
+  purpose: {
+    type: String,
+    required: [true, 'Purpose is required'],
+    trim: true
+  },
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  validUntil: {
+    type: Date,
+    required: true
+  },
+  expectedExitAt: {
+    type: Date,
+    required: true
+  },
+
+  // active until the visitor leaves for good (closed) or security cancels it (revoked);
+  // an active pass past validUntil no longer admits the vehicle
+  status: {
+    type: String,
+    enum: ['active', 'closed', 'revoked'],
+    default: 'active'
+  },
+
+  // Whether the visitor is on campus, from successful scans and overrides
+  presence: {
+    state: { type: String, enum: ['inside', 'outside', 'unknown'], default: 'unknown' },
+    firstEntryAt: { type: Date },
+    lastEntryAt: { type: Date },
+    lastExitAt: { type: Date }
+  },
+
+  issuedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  closedAt: { type: Date },
+  closeReason: { type: String, trim: true }
+}, {
+  timestamps: true
+});
+
+visitorPassSchema.index({ status: 1, validUntil: 1 });
+visitorPassSchema.index({ loanerTagId: 1, status: 1 });
+visitorPassSchema.index({ plateNumber: 1 });
+
+// The active pass a loaner tag or pass code currently belongs to
+visitorPassSchema.statics.findByCredential = async function(credential) {
+  return await this.findOne({
+    $or: [
+      { passCode: credential },
+      { loanerTagId: credential, status: 'active' }
+    ]
+  }).sort({ createdAt: -1 });
+};
+
+// Visitors still on campus after their expected exit time
+visitorPassSchema.statics.overstayedQuery = function(now = new Date()) {
+  return {
+    status: 'active',
+    'presence.state': 'inside',
+    expectedExitAt: { $lt: now }
+  };
+};
+
+// Record a gate entry/exit; reads older than the last recorded movement are ignored
+visitorPassSchema.methods.recordMovement = async function(movement, at) {
+  const last = Math.max(
+    this.presence.lastEntryAt ? this.presence.lastEntryAt.getTime() : 0,
+    this.presence.lastExitAt ? this.presence.lastExitAt.getTime() : 0
+  );
+  if (at.getTime() < last) {
+    return this;
+  }
+
+  if (movement === 'in') {
+    this.presence.state = 'inside';
+    this.presence.lastEntryAt = at;
+    if (!this.presence.firstEntryAt) this.presence.firstEntryAt = at;
+  } else {
+    this.presence.state = 'outside';
+    this.presence.lastExitAt = at;
+  }
+  return await this.save();
+};
+
+visitorPassSchema.virtual('isExpired').get(function() {
+  return this.validUntil < new Date();
+});
+
+visitorPassSchema.set('toJSON', { virtuals: true });
+
+module.exports = mongoose.model('VisitorPass', visitorPassSchema);
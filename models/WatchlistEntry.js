@@ -0,0 +1,72 @@
+const mongoose = require('mongoose');
+
+// Plates and IDs are compared without case, spaces or dashes ("abc-1234" matches "ABC 1234")
+const normalizeValue = (value) => (value === undefined || value === null
+  ? ''
+  : value.toString().toUpperCase().replace(/[\s-]+/g, ''));
+
+const watchlistEntrySchema = new mongoose.Schema({
+  // What the entry matches against
+  matchType: {
+    type: String,
+    enum: ['plateNumber', 'tagId', 'idNumber'],
+    required: true
+  },
+  value: {
+    type: String,
+    required: [true, 'Watchlist value is required'],
+    set: normalizeValue
+  },
+
+  reason: {
+    type: String,
+    required: [true, 'Reason is required'],
+    trim: true
+  },
+  // alert: allow, but notify security; ban: deny and notify security
+  severity: {
+    type: String,
+    enum: ['alert', 'ban'],
+    default: 'alert'
+  },
+  expiresAt: { type: Date, default: null },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+
+  hitCount: { type: Number, default: 0 },
+  lastHitAt: { type: Date },
+
+  createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, {
+  timestamps: true
+});
+
+watchlistEntrySchema.index({ matchType: 1, value: 1, isActive: 1 });
+
+// Active, unexpired entries matching any of the given identifiers
+watchlistEntrySchema.statics.findMatches = async function({ plateNumber, tagId, idNumber }, at = new Date()) {
+  const candidates = [
+    ['plateNumber', plateNumber],
+    ['tagId', tagId],
+    ['idNumber', idNumber]
+  ]
+    .map(([matchType, value]) => ({ matchType, value: normalizeValue(value) }))
+    .filter((candidate) => candidate.value);
+
+  if (!candidates.length) {
+    return [];
+  }
+
+  return await this.find({
+    $or: candidates,
+    isActive: true,
+    $and: [{ $or: [{ expiresAt: null }, { expiresAt: { $gt: at } }] }]
+  });
+};
+
+watchlistEntrySchema.statics.normalizeValue = normalizeValue;
+
+module.exports = mongoose.model('WatchlistEntry', watchlistEntrySchema);
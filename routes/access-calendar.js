@@ -0,0 +1,132 @@
+const express = require('express');
+const CalendarEvent = require('../models/CalendarEvent');
+const { validateCalendarEvent } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/access-calendar
+// @desc    List holidays and closures, optionally overlapping a date range (from/to as YYYY-MM-DD)
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.from) query.endDate = { $gte: req.query.from };
+    if (req.query.to) query.startDate = { $lte: req.query.to };
+
+    const events = await CalendarEvent.find(query).sort({ startDate: 1 });
+
+    res.json({
+      events,
+      total: events.length
+    });
+
+  } catch (error) {
+    console.error('Get calendar events error:', error);
+    res.status(500).json({
+      error: 'Failed to get calendar events',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/access-calendar
+// @desc    Add a holiday or closure
+// @access  Private (Admin)
+router.post('/', validateCalendarEvent, async (req, res) => {
+  try {
+    const { name, type, startDate, endDate, allowedAffiliations, notes } = req.body;
+
+    const event = new CalendarEvent({
+      name,
+      type,
+      startDate,
+      endDate,
+      allowedAffiliations,
+      notes,
+      createdBy: req.user._id
+    });
+    await event.save();
+
+    res.status(201).json({
+      message: 'Calendar event created successfully',
+      event
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.message === 'End date cannot be before start date') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Create calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to create calendar event',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/access-calendar/:eventId
+// @desc    Update a holiday or closure
+// @access  Private (Admin)
+router.put('/:eventId', validateCalendarEvent, async (req, res) => {
+  try {
+    const event = await CalendarEvent.findById(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Calendar event not found'
+      });
+    }
+
+    const assignable = ['name', 'type', 'startDate', 'endDate', 'allowedAffiliations', 'notes'];
+    assignable.forEach((k) => {
+      event[k] = req.body[k];
+    });
+    await event.save();
+
+    res.json({
+      message: 'Calendar event updated successfully',
+      event
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError' || error.message === 'End date cannot be before start date') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to update calendar event',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/access-calendar/:eventId
+// @desc    Remove a holiday or closure
+// @access  Private (Admin)
+router.delete('/:eventId', async (req, res) => {
+  try {
+    const event = await CalendarEvent.findByIdAndDelete(req.params.eventId);
+    if (!event) {
+      return res.status(404).json({
+        error: 'Calendar event not found'
+      });
+    }
+
+    res.json({
+      message: 'Calendar event deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete calendar event error:', error);
+    res.status(500).json({
+      error: 'Failed to delete calendar event',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
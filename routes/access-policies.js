@@ -0,0 +1,158 @@
+const express = require('express');
+const AccessPolicy = require('../models/AccessPolicy');
+const { validateAccessPolicy, validateAccessPolicyUpdate } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/access-policies
+// @desc    List schedule-based access policies
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const policies = await AccessPolicy.find(query).sort({ name: 1 });
+
+    res.json({
+      policies,
+      total: policies.length,
+      timezone: process.env.ACCESS_TIMEZONE || 'Asia/Manila'
+    });
+
+  } catch (error) {
+    console.error('Get access policies error:', error);
+    res.status(500).json({
+      error: 'Failed to get access policies',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/access-policies
+// @desc    Create an access policy
+// @access  Private (Admin)
+router.post('/', validateAccessPolicy, async (req, res) => {
+  try {
+    const { name, description, appliesTo, windows, schoolDaysOnly, isActive } = req.body;
+
+    const policy = new AccessPolicy({
+      name,
+      description,
+      appliesTo,
+      windows,
+      schoolDaysOnly,
+      isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await policy.save();
+
+    res.status(201).json({
+      message: 'Access policy created successfully',
+      policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Create access policy error:', error);
+    res.status(500).json({
+      error: 'Failed to create access policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/access-policies/:policyId
+// @desc    Get an access policy
+// @access  Private (Admin)
+router.get('/:policyId', async (req, res) => {
+  try {
+    const policy = await AccessPolicy.findById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Access policy not found'
+      });
+    }
+
+    res.json({ policy });
+
+  } catch (error) {
+    console.error('Get access policy error:', error);
+    res.status(500).json({
+      error: 'Failed to get access policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/access-policies/:policyId
+// @desc    Update an access policy
+// @access  Private (Admin)
+router.put('/:policyId', validateAccessPolicyUpdate, async (req, res) => {
+  try {
+    const policy = await AccessPolicy.findById(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Access policy not found'
+      });
+    }
+
+    const assignable = ['name', 'description', 'appliesTo', 'windows', 'schoolDaysOnly', 'isActive'];
+    assignable.forEach((k) => {
+      if (typeof req.body[k] !== 'undefined') {
+        policy[k] = req.body[k];
+      }
+    });
+    policy.updatedBy = req.user._id;
+    await policy.save();
+
+    res.json({
+      message: 'Access policy updated successfully',
+      policy
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update access policy error:', error);
+    res.status(500).json({
+      error: 'Failed to update access policy',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/access-policies/:policyId
+// @desc    Delete an access policy
+// @access  Private (Admin)
+router.delete('/:policyId', async (req, res) => {
+  try {
+    const policy = await AccessPolicy.findByIdAndDelete(req.params.policyId);
+    if (!policy) {
+      return res.status(404).json({
+        error: 'Access policy not found'
+      });
+    }
+
+    res.json({
+      message: 'Access policy deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete access policy error:', error);
+    res.status(500).json({
+      error: 'Failed to delete access policy',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
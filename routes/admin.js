@@ -2,9 +2,17 @@ const express = require('express');
 const User = require('../models/User');
 const VehiclePassApplication = require('../models/VehiclePassApplication');
 const RFIDScan = require('../models/RFIDScan');
-const { validateUserId, validatePagination, validateDateRange } = require('../middleware/validation');
+const VehiclePresence = require('../models/VehiclePresence');
+const { validateUserId, validatePagination, validateDateRange, validateRevisionRequest, validateTagReplacement, validateTagDeactivation, validateTagReactivation, validateDriverReview } = require('../middleware/validation');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const FirebaseService = require('../services/firebaseService'); // Import Firebase service
+const RenewalService = require('../services/renewalService');
+const RevisionService = require('../services/revisionService');
+const PaymentService = require('../services/paymentService');
+const PassDocumentService = require('../services/passDocumentService');
+const TagInventoryService = require('../services/tagInventoryService');
+const TagActivationService = require('../services/tagActivationService');
+const SharedVehicleService = require('../services/sharedVehicleService');
 
 const router = express.Router();
 
@@ -97,9 +105,14 @@ router.get('/users/:userId', validateUserId, async (req, res) => {
       .limit(10)
       .populate('vehicle', 'plateNumber vehicleType');
 
+    // Vehicles the user filed passes for or shares with another owner
+    const applications = await VehiclePassApplication.forUser(userId, {}, { includeUnapproved: true })
+      .select('vehicleInfo vehicleUserType applicationType status linkedUser drivers createdAt');
+
     res.json({
       user,
-      recentScans
+      recentScans,
+      vehicles: SharedVehicleService.groupByVehicle(applications, userId)
     });
 
   } catch (error) {
@@ -121,6 +134,78 @@ router.get('/users/:userId', validateUserId, async (req, res) => {
 // @access  Private (Admin)
 // User registration status endpoints removed
 
+// Approve a paid renewal and extend the validity of the renewed pass
+const completeRenewal = async (req, res, renewal) => {
+  const { orReceiptNumber, amount } = req.body;
+
+  if (renewal.status !== 'pending') {
+    return res.status(400).json({
+      error: `Renewal is already ${renewal.status}`
+    });
+  }
+
+  // Refuse before taking payment for a pass that can no longer be extended
+  const renewable = await RenewalService.findRenewablePass(renewal);
+  if (renewable.error) {
+    return res.status(409).json({ error: renewable.error });
+  }
+
+  // Payment may already be recorded through /api/admin/payments
+  if (!(renewal.paymentInfo && renewal.paymentInfo.paidAt)) {
+    if (!orReceiptNumber) {
+      return res.status(400).json({
+        error: 'Payment (orReceiptNumber) is required to approve a renewal'
+      });
+    }
+
+    const payment = await PaymentService.record(renewal, { receiptNumber: orReceiptNumber, amount }, req.user);
+    if (payment.error) {
+      return res.status(400).json({ error: payment.error });
+    }
+    // Keep the payment on the renewal even if extending the pass fails; a retry then skips it
+    await renewal.save();
+  }
+
+  const original = await RenewalService.completeRenewal(renewal, req.user._id);
+
+  try {
+    const userId = renewal.linkedUser._id.toString();
+    const userFirstName = renewal.applicant.givenName || 'there';
+    const plateNumber = original.vehicleInfo.plateNumber;
+
+    await FirebaseService.addUserNotification(userId, {
+      title: 'Vehicle Pass Renewed! 🎉',
+      message: `Hi ${userFirstName}, your vehicle pass (${plateNumber}) has been renewed. Your RFID tag is now valid until ${original.rfidInfo.validUntil.toDateString()}.`,
+      type: 'success',
+      data: {
+        applicationId: original._id.toString(),
+        renewalId: renewal._id.toString(),
+        vehiclePlate: plateNumber,
+        status: 'renewed',
+        validUntil: original.rfidInfo.validUntil.toISOString()
+      }
+    });
+  } catch (notificationError) {
+    console.error('Failed to send renewal notification:', notificationError);
+    // Don't fail the main request if notification fails
+  }
+
+  return res.json({
+    message: 'Renewal approved and pass validity extended successfully',
+    application: {
+      id: renewal._id,
+      status: renewal.status,
+      paymentInfo: renewal.paymentInfo,
+      renewalOf: renewal.renewalOf
+    },
+    renewedPass: {
+      id: original._id,
+      rfidInfo: original.rfidInfo,
+      validityHistory: original.validityHistory
+    }
+  });
+};
+
 // @route   PUT /api/admin/applications/:applicationId/approve
 // @desc    Approve a vehicle pass application
 // @access  Private (Admin)
@@ -138,14 +223,21 @@ router.put('/applications/:applicationId/approve', async (req, res) => {
       });
     }
 
-    if (application.status === 'approved') {
+    if (!application.canTransitionTo('approved')) {
       return res.status(400).json({
-        error: 'Application is already approved'
+        error: `Application cannot be approved while it is ${application.status}`
       });
     }
 
-    application.status = 'approved';
+    // Renewals need payment on approval and complete at once: the pass keeps its tag
+    if (application.applicationType === 'renewal') {
+      return completeRenewal(req, res, application);
+    }
+
+    application.transitionTo('approved', { by: req.user._id });
     application.reviewedBy = req.user._id;
+    const assessment = await PaymentService.assess(application);
+    if (assessment) application.assessment = assessment;
     await application.save();
 
     // ✅ Send approval notification to user via Firebase
@@ -157,14 +249,15 @@ router.put('/applications/:applicationId/approve', async (req, res) => {
       
       await FirebaseService.addUserNotification(userId, {
         title: 'Application Approved! ✅',
-        message: `Hi ${userFirstName}, great news! Your ${vehicleType.replace('_', ' ')} vehicle pass application (${plateNumber}) has been approved. You can now proceed with payment to complete your registration.`,
+        message: `Hi ${userFirstName}, great news! Your ${vehicleType.replace('_', ' ')} vehicle pass application (${plateNumber}) has been approved. You can now proceed with payment${assessment ? ` of ${assessment.amount}` : ''} to complete your registration.`,
         type: 'success',
         data: {
           applicationId: application._id.toString(),
           vehiclePlate: plateNumber,
           vehicleType: vehicleType,
           status: 'approved',
-          approvedAt: new Date().toISOString()
+          approvedAt: new Date().toISOString(),
+          assessedAmount: assessment ? assessment.amount : null
         }
       });
 
@@ -180,6 +273,7 @@ router.put('/applications/:applicationId/approve', async (req, res) => {
         id: application._id,
         status: application.status,
         reviewedBy: application.reviewedBy,
+        assessment: application.assessment,
         applicant: application.applicant,
         vehicleInfo: application.vehicleInfo,
         linkedUser: application.linkedUser
@@ -213,13 +307,13 @@ router.put('/applications/:applicationId/reject', async (req, res) => {
       });
     }
 
-    if (application.status === 'rejected') {
+    if (!application.canTransitionTo('rejected')) {
       return res.status(400).json({
-        error: 'Application is already rejected'
+        error: `Application cannot be rejected while it is ${application.status}`
       });
     }
 
-    application.status = 'rejected';
+    application.transitionTo('rejected', { by: req.user._id, reason });
     application.reviewedBy = req.user._id;
     await application.save();
 
@@ -272,13 +366,85 @@ router.put('/applications/:applicationId/reject', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/applications/:applicationId/request-revision
+// @desc    Send an application back to the applicant with comments on fields and documents to fix
+// @access  Private (Admin)
+router.put('/applications/:applicationId/request-revision', validateRevisionRequest, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { comments, message } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId)
+      .populate('linkedUser', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    if (!application.linkedUser) {
+      return res.status(400).json({
+        error: 'Walk-in applications cannot be sent back for revision'
+      });
+    }
+
+    if (!application.canTransitionTo('for_revision')) {
+      return res.status(400).json({
+        error: `Application cannot be sent back for revision while it is ${application.status}`
+      });
+    }
+
+    const revisionRequest = RevisionService.requestRevision(application, { comments, message, by: req.user._id });
+    application.reviewedBy = req.user._id;
+    await application.save();
+
+    try {
+      const userId = application.linkedUser._id.toString();
+      const userFirstName = application.applicant.givenName || 'there';
+      const plateNumber = application.vehicleInfo.plateNumber;
+
+      await FirebaseService.addUserNotification(userId, {
+        title: 'Application Needs Revision',
+        message: `Hi ${userFirstName}, your vehicle pass application (${plateNumber}) needs changes before it can be approved: ${comments.map((c) => c.comment).join('; ')}`,
+        type: 'warning',
+        data: {
+          applicationId: application._id.toString(),
+          vehiclePlate: plateNumber,
+          status: 'for_revision',
+          fields: comments.map((c) => c.field)
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to send revision notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.json({
+      message: 'Application sent back for revision',
+      application: {
+        id: application._id,
+        status: application.status,
+        revisionRequest
+      }
+    });
+
+  } catch (error) {
+    console.error('Request revision error:', error);
+    res.status(500).json({
+      error: 'Failed to request revision',
+      message: error.message
+    });
+  }
+});
+
 // @route   PUT /api/admin/applications/:applicationId/issue-rfid
 // @desc    Issue RFID tag and complete application (after payment verification)
 // @access  Private (Admin)
 router.put('/applications/:applicationId/issue-rfid', async (req, res) => {
   try {
     const { applicationId } = req.params;
-    const { tagId, orReceiptNumber, amount, cashierName } = req.body;
+    const { tagId, orReceiptNumber, amount } = req.body;
 
     if (!tagId) {
       return res.status(400).json({
@@ -310,18 +476,49 @@ router.put('/applications/:applicationId/issue-rfid', async (req, res) => {
       });
     }
 
-    application.status = 'completed';
-    application.paymentInfo = {
-      paidAt: new Date(),
-      orReceiptNumber,
-      amount,
-      cashierName
-    };
+    // Only tags in stock can be issued
+    const unavailable = await TagInventoryService.getUnavailableReason(tagId);
+    if (unavailable) {
+      return res.status(400).json({
+        error: unavailable
+      });
+    }
+
+    // Payment is normally recorded through /api/admin/payments; a receipt given here is recorded the same way
+    if (!(application.paymentInfo && application.paymentInfo.paidAt)) {
+      if (!orReceiptNumber) {
+        return res.status(400).json({
+          error: 'Payment must be recorded before issuing the RFID tag'
+        });
+      }
+
+      const payment = await PaymentService.record(application, { receiptNumber: orReceiptNumber, amount }, req.user);
+      if (payment.error) {
+        return res.status(400).json({ error: payment.error });
+      }
+    }
+
+    const claim = await TagInventoryService.assign(tagId, application, req.user._id);
+    if (claim.error) {
+      // Keep any payment recorded above; the tag can be issued again with another tag ID
+      await application.save();
+      return res.status(409).json({
+        error: claim.error
+      });
+    }
+
+    // Passes are valid for one year, as with /api/rfid/assign
+    const now = new Date();
+    const oneYearLater = new Date(now);
+    oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
+
+    application.transitionTo('completed', { by: req.user._id });
     application.rfidInfo = {
-      tagId,
-      assignedAt: new Date(),
+      tagId: claim.tag.epc,
+      assignedAt: now,
       assignedBy: req.user._id,
-      isActive: true
+      isActive: true,
+      validUntil: oneYearLater
     };
     await application.save();
 
@@ -334,14 +531,15 @@ router.put('/applications/:applicationId/issue-rfid', async (req, res) => {
       
       await FirebaseService.addUserNotification(userId, {
         title: 'Vehicle Pass Completed! 🎉',
-        message: `Hi ${userFirstName}, great news! Your ${vehicleType.replace('_', ' ')} vehicle pass (${plateNumber}) has been completed and your RFID tag is now active. You can now use your vehicle pass for campus access.`,
+        message: `Hi ${userFirstName}, great news! Your ${vehicleType.replace('_', ' ')} vehicle pass (${plateNumber}) has been completed and your RFID tag is now active until ${oneYearLater.toDateString()}. You can now use your vehicle pass for campus access.`,
         type: 'success',
         data: {
           applicationId: application._id.toString(),
           tagId: tagId,
           vehiclePlate: plateNumber,
           vehicleType: vehicleType,
-          assignedAt: new Date().toISOString(),
+          assignedAt: now.toISOString(),
+          validUntil: oneYearLater.toISOString(),
           status: 'completed'
         }
       });
@@ -375,12 +573,12 @@ router.put('/applications/:applicationId/issue-rfid', async (req, res) => {
 });
 
 // @route   PUT /api/admin/applications/:applicationId/deactivate-rfid
-// @desc    Deactivate RFID tag
+// @desc    Deactivate RFID tag, optionally only until suspendedUntil
 // @access  Private (Admin)
-router.put('/applications/:applicationId/deactivate-rfid', async (req, res) => {
+router.put('/applications/:applicationId/deactivate-rfid', validateTagDeactivation, async (req, res) => {
   try {
     const { applicationId } = req.params;
-    const { reason } = req.body;
+    const { reason, suspendedUntil } = req.body;
 
     const application = await VehiclePassApplication.findById(applicationId)
       .populate('linkedUser', 'firstName lastName email')
@@ -398,7 +596,13 @@ router.put('/applications/:applicationId/deactivate-rfid', async (req, res) => {
       });
     }
 
-    application.rfidInfo.isActive = false;
+    if (!application.rfidInfo || !application.rfidInfo.tagId) {
+      return res.status(400).json({
+        error: 'Application has no RFID tag'
+      });
+    }
+
+    TagActivationService.deactivate(application, { reason, by: req.user._id, suspendedUntil });
     await application.save();
 
     // ✅ Send deactivation notification to user via Firebase
@@ -410,14 +614,15 @@ router.put('/applications/:applicationId/deactivate-rfid', async (req, res) => {
       
       await FirebaseService.addUserNotification(userId, {
         title: 'RFID Tag Deactivated',
-        message: `Hi ${userFirstName}, your ${vehicleType.replace('_', ' ')} vehicle pass (${plateNumber}) RFID tag has been deactivated. ${reason ? `Reason: ${reason}` : 'Please contact administration for more information.'}`,
+        message: `Hi ${userFirstName}, your ${vehicleType.replace('_', ' ')} vehicle pass (${plateNumber}) RFID tag has been deactivated${suspendedUntil ? ` until ${new Date(suspendedUntil).toDateString()}` : ''}. ${reason ? `Reason: ${reason}` : 'Please contact administration for more information.'}`,
         type: 'warning',
         data: {
           applicationId: application._id.toString(),
           vehiclePlate: plateNumber,
           vehicleType: vehicleType,
-          status: 'deactivated',
+          status: suspendedUntil ? 'suspended' : 'deactivated',
           deactivatedAt: new Date().toISOString(),
+          suspendedUntil: suspendedUntil ? new Date(suspendedUntil).toISOString() : null,
           reason: reason || 'No reason provided'
         }
       });
@@ -450,6 +655,336 @@ router.put('/applications/:applicationId/deactivate-rfid', async (req, res) => {
   }
 });
 
+// @route   PUT /api/admin/applications/:applicationId/reactivate-rfid
+// @desc    Reactivate a deactivated RFID tag, optionally with a new validUntil (required for expired passes)
+// @access  Private (Admin)
+router.put('/applications/:applicationId/reactivate-rfid', validateTagReactivation, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { reason, validUntil } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId)
+      .populate('linkedUser', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    const result = await TagActivationService.reactivate(application, { reason, by: req.user._id, validUntil });
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+    await application.save();
+
+    try {
+      await TagActivationService.notifyReactivated(application, `Reason: ${reason}`);
+    } catch (notificationError) {
+      console.error('Failed to send reactivation notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.json({
+      message: 'RFID tag reactivated successfully',
+      reason,
+      application: {
+        id: application._id,
+        status: application.status,
+        rfidInfo: application.rfidInfo,
+        activationHistory: application.activationHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Reactivate RFID error:', error);
+    res.status(500).json({
+      error: 'Failed to reactivate RFID tag',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/applications/:applicationId/replace-tag
+// @desc    Replace a lost or damaged RFID tag, keeping the pass's validity; optionally record a replacement fee
+// @access  Private (Admin)
+router.put('/applications/:applicationId/replace-tag', validateTagReplacement, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { tagId, reason, note, receiptNumber, amount } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId)
+      .populate('linkedUser', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    if (application.status !== 'completed') {
+      return res.status(400).json({
+        error: 'Only completed passes can have their RFID tag replaced'
+      });
+    }
+
+    if (!application.rfidInfo || !application.rfidInfo.tagId) {
+      return res.status(400).json({
+        error: 'Application has no RFID tag to replace'
+      });
+    }
+
+    if (application.rfidInfo.suspendedUntil) {
+      return res.status(400).json({
+        error: `RFID tag is suspended until ${application.rfidInfo.suspendedUntil.toISOString()}`
+      });
+    }
+
+    if (application.rfidInfo.tagId === tagId) {
+      return res.status(400).json({
+        error: 'New RFID tag must differ from the current one'
+      });
+    }
+
+    const unavailable = await TagInventoryService.getUnavailableReason(tagId);
+    if (unavailable) {
+      return res.status(400).json({
+        error: unavailable
+      });
+    }
+
+    let payment;
+    if (receiptNumber) {
+      const recorded = await PaymentService.recordReplacement(application, { receiptNumber, amount, notes: note }, req.user);
+      if (recorded.error) {
+        return res.status(400).json({ error: recorded.error });
+      }
+      payment = recorded.payment;
+    }
+
+    const previousTagId = application.rfidInfo.tagId;
+    const replaced = await TagInventoryService.replace(application, tagId, {
+      reason,
+      note,
+      by: req.user._id,
+      payment: payment && payment._id
+    });
+    if (replaced.error) {
+      return res.status(409).json({
+        error: replaced.error,
+        payment
+      });
+    }
+    await application.save();
+
+    try {
+      const userId = application.linkedUser._id.toString();
+      const userFirstName = application.applicant.givenName || 'there';
+      const plateNumber = application.vehicleInfo.plateNumber;
+
+      await FirebaseService.addUserNotification(userId, {
+        title: 'RFID Tag Replaced',
+        message: `Hi ${userFirstName}, your vehicle pass (${plateNumber}) now uses a new RFID tag. The old tag no longer opens the gates.`,
+        type: 'info',
+        data: {
+          applicationId: application._id.toString(),
+          vehiclePlate: plateNumber,
+          tagId: replaced.tag.epc,
+          replacedAt: replaced.replacement.replacedAt.toISOString(),
+          reason
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to send tag replacement notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.json({
+      message: 'RFID tag replaced successfully',
+      previousTagId,
+      replacement: replaced.replacement,
+      payment,
+      application: {
+        id: application._id,
+        status: application.status,
+        rfidInfo: application.rfidInfo,
+        vehicleInfo: application.vehicleInfo
+      }
+    });
+
+  } catch (error) {
+    console.error('Replace RFID tag error:', error);
+    res.status(500).json({
+      error: 'Failed to replace RFID tag',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/applications/:applicationId/drivers/:driverId
+// @desc    Approve, reject or remove a driver or passenger linked to a shared vehicle
+// @access  Private (Admin)
+router.put('/applications/:applicationId/drivers/:driverId', validateDriverReview, async (req, res) => {
+  try {
+    const { applicationId, driverId } = req.params;
+    const { status, reason } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId);
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    const result = SharedVehicleService.reviewDriver(application, driverId, status, { by: req.user._id, reason });
+    if (result.error) {
+      return res.status(400).json({
+        error: result.error
+      });
+    }
+    await application.save();
+
+    try {
+      const plateNumber = application.vehicleInfo.plateNumber;
+      const messages = {
+        approved: `you can now use vehicle ${plateNumber} as a ${result.driver.vehicleUserType}.`,
+        rejected: `your link to vehicle ${plateNumber} was not approved.`,
+        removed: `you have been removed from vehicle ${plateNumber}.`
+      };
+
+      await FirebaseService.addUserNotification(result.driver.user.toString(), {
+        title: status === 'approved' ? 'Shared Vehicle Approved' : 'Shared Vehicle Update',
+        message: `Hi there, ${messages[status]}${reason ? ` Reason: ${reason}` : ''}`,
+        type: status === 'approved' ? 'success' : 'warning',
+        data: {
+          applicationId: application._id.toString(),
+          vehiclePlate: plateNumber,
+          driverId: result.driver._id.toString(),
+          status
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to send driver review notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.json({
+      message: `Driver ${status} successfully`,
+      driver: result.driver
+    });
+
+  } catch (error) {
+    console.error('Review driver error:', error);
+    res.status(500).json({
+      error: 'Failed to update driver',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/applications/:applicationId/revoke
+// @desc    Permanently revoke a completed or expired pass and deactivate its RFID tag
+// @access  Private (Admin)
+router.put('/applications/:applicationId/revoke', async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { reason } = req.body;
+
+    if (!reason) {
+      return res.status(400).json({
+        error: 'A reason is required to revoke a pass'
+      });
+    }
+
+    const application = await VehiclePassApplication.findById(applicationId)
+      .populate('linkedUser', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    if (!application.canTransitionTo('revoked')) {
+      return res.status(400).json({
+        error: `Application cannot be revoked while it is ${application.status}`
+      });
+    }
+
+    application.transitionTo('revoked', { by: req.user._id, reason });
+    if (application.rfidInfo) {
+      application.rfidInfo.isActive = false;
+    }
+    await application.save();
+
+    try {
+      const userId = application.linkedUser._id.toString();
+      const userFirstName = application.applicant.givenName || 'there';
+      const plateNumber = application.vehicleInfo.plateNumber;
+
+      await FirebaseService.addUserNotification(userId, {
+        title: 'Vehicle Pass Revoked',
+        message: `Hi ${userFirstName}, your vehicle pass (${plateNumber}) has been revoked and its RFID tag deactivated. Reason: ${reason}`,
+        type: 'error',
+        data: {
+          applicationId: application._id.toString(),
+          vehiclePlate: plateNumber,
+          status: 'revoked',
+          revokedAt: new Date().toISOString(),
+          reason
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to send revocation notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.json({
+      message: 'Vehicle pass revoked successfully',
+      reason,
+      application: {
+        id: application._id,
+        status: application.status,
+        rfidInfo: application.rfidInfo,
+        statusHistory: application.statusHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Revoke application error:', error);
+    res.status(500).json({
+      error: 'Failed to revoke application',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/applications/:applicationId/documents/:kind
+// @desc    Download an application's printable pass (kind=pass) or payment acknowledgement (kind=receipt) as PDF
+// @access  Private (Admin)
+router.get('/applications/:applicationId/documents/:kind(pass|receipt)', async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    await PassDocumentService.send(res, req.params.kind, application, `${req.protocol}://${req.get('host')}`);
+
+  } catch (error) {
+    console.error('Get pass document error:', error);
+    res.status(500).json({
+      error: 'Failed to generate document',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/admin/applications/:applicationId
 // @desc    Get specific vehicle pass application details
 // @access  Private (Admin)
@@ -459,7 +994,9 @@ router.get('/applications/:applicationId', async (req, res) => {
 
     const application = await VehiclePassApplication.findById(applicationId)
       .populate('linkedUser', 'firstName lastName email phoneNumber address affiliation')
-      .populate('reviewedBy', 'firstName lastName email');
+      .populate('reviewedBy', 'firstName lastName email')
+      .populate('statusHistory.changedBy', 'firstName lastName role')
+      .populate('drivers.user', 'firstName lastName email');
 
     if (!application) {
       return res.status(404).json({
@@ -491,7 +1028,10 @@ router.get('/applications', validatePagination, async (req, res) => {
       search, 
       status, 
       schoolAffiliation,
-      vehicleUserType
+      vehicleUserType,
+      applicationType,
+      userId,
+      plateNumber
     } = req.query;
 
     const skip = (page - 1) * limit;
@@ -522,6 +1062,21 @@ router.get('/applications', validatePagination, async (req, res) => {
       query.vehicleUserType = vehicleUserType;
     }
 
+    // Application type filter (new or renewal)
+    if (applicationType) {
+      query.applicationType = applicationType;
+    }
+
+    // Applications a user filed or is a linked driver/passenger on
+    if (userId) {
+      query.$and = [VehiclePassApplication.userFilter(userId, { includeUnapproved: true })];
+    }
+
+    // Vehicle filter
+    if (plateNumber) {
+      query['vehicleInfo.plateNumber'] = plateNumber;
+    }
+
     const applications = await VehiclePassApplication.find(query)
       .populate('linkedUser', 'firstName lastName email')
       .populate('reviewedBy', 'firstName lastName email')
@@ -575,12 +1130,19 @@ router.get('/dashboard', async (req, res) => {
     const approvedApplications = await VehiclePassApplication.countDocuments({ status: 'approved' });
     const completedApplications = await VehiclePassApplication.countDocuments({ status: 'completed' }); // Added this line
     const rejectedApplications = await VehiclePassApplication.countDocuments({ status: 'rejected' });
+    const forRevisionApplications = await VehiclePassApplication.countDocuments({ status: 'for_revision' });
+    const expiredApplications = await VehiclePassApplication.countDocuments({ status: 'expired' });
+    const revokedApplications = await VehiclePassApplication.countDocuments({ status: 'revoked' });
+    const cancelledApplications = await VehiclePassApplication.countDocuments({ status: 'cancelled' });
 
     // Scan statistics
     const totalScans = await RFIDScan.countDocuments();
     const successfulScans = await RFIDScan.countDocuments({ scanResult: 'success' });
     const deniedScans = await RFIDScan.countDocuments({ scanResult: 'denied' });
 
+    // Occupancy
+    const vehiclesOnCampus = await VehiclePresence.countDocuments({ state: 'inside' });
+
     // Recent activity
     const recentScans = await RFIDScan.find()
       .sort({ scanTimestamp: -1 })
@@ -603,12 +1165,19 @@ router.get('/dashboard', async (req, res) => {
           pending: pendingApplications,
           approved: approvedApplications,
           completed: completedApplications, // Added this line
-          rejected: rejectedApplications
+          rejected: rejectedApplications,
+          forRevision: forRevisionApplications,
+          expired: expiredApplications,
+          revoked: revokedApplications,
+          cancelled: cancelledApplications
         },
         scans: {
           total: totalScans,
           successful: successfulScans,
           denied: deniedScans
+        },
+        occupancy: {
+          onCampus: vehiclesOnCampus
         }
       },
       recentActivity: {
@@ -631,7 +1200,7 @@ router.get('/dashboard', async (req, res) => {
 // @access  Private (Admin)
 router.get('/reports/scans', validateDateRange, async (req, res) => {
   try {
-    const { startDate, endDate, scannerId, scanType } = req.query;
+    const { startDate, endDate, scannerId, scanType, source } = req.query;
 
     const query = {};
     
@@ -650,9 +1219,14 @@ router.get('/reports/scans', validateDateRange, async (req, res) => {
       query.scanType = scanType;
     }
 
+    if (source) {
+      query.source = source;
+    }
+
     const scans = await RFIDScan.find(query)
       .populate('user', 'firstName lastName email')
       .populate('vehicle', 'plateNumber vehicleType')
+      .populate('performedBy', 'firstName lastName email role')
       .sort({ scanTimestamp: -1 });
 
     // Group by scan result
@@ -668,7 +1242,8 @@ router.get('/reports/scans', validateDateRange, async (req, res) => {
           total: 0,
           success: 0,
           denied: 0,
-          error: 0
+          error: 0,
+          override: 0
         };
       }
       acc[scan.scannerId].total += 1;
@@ -676,6 +1251,27 @@ router.get('/reports/scans', validateDateRange, async (req, res) => {
       return acc;
     }, {});
 
+    // Guard overrides, listed separately for supervisor review
+    const overrides = scans.filter((scan) => scan.source === 'manual');
+    const overrideStats = overrides.reduce((acc, scan) => {
+      const type = scan.override && scan.override.type ? scan.override.type : 'unspecified';
+      const reasonCode = scan.override && scan.override.reasonCode ? scan.override.reasonCode : 'unspecified';
+      const performer = scan.performedBy ? scan.performedBy._id.toString() : 'unknown';
+
+      acc.byType[type] = (acc.byType[type] || 0) + 1;
+      acc.byReasonCode[reasonCode] = (acc.byReasonCode[reasonCode] || 0) + 1;
+      if (!acc.byGuard[performer]) {
+        acc.byGuard[performer] = {
+          guard: scan.performedBy
+            ? { id: scan.performedBy._id, firstName: scan.performedBy.firstName, lastName: scan.performedBy.lastName }
+            : null,
+          total: 0
+        };
+      }
+      acc.byGuard[performer].total += 1;
+      return acc;
+    }, { byType: {}, byReasonCode: {}, byGuard: {} });
+
     res.json({
       totalScans: scans.length,
       dateRange: {
@@ -684,6 +1280,11 @@ router.get('/reports/scans', validateDateRange, async (req, res) => {
       },
       scanResults,
       scannerStats,
+      overrides: {
+        total: overrides.length,
+        ...overrideStats,
+        scans: overrides
+      },
       scans
     });
 
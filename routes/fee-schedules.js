@@ -0,0 +1,156 @@
+const express = require('express');
+const FeeSchedule = require('../models/FeeSchedule');
+const { validateFeeSchedule, validateFeeScheduleUpdate } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/fee-schedules
+// @desc    List vehicle pass fees
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const fees = await FeeSchedule.find(query).sort({ name: 1 });
+
+    res.json({
+      fees,
+      total: fees.length
+    });
+
+  } catch (error) {
+    console.error('Get fee schedules error:', error);
+    res.status(500).json({
+      error: 'Failed to get fee schedules',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/fee-schedules
+// @desc    Create a fee
+// @access  Private (Admin)
+router.post('/', validateFeeSchedule, async (req, res) => {
+  try {
+    const { name, description, appliesTo, amount, isActive } = req.body;
+
+    const fee = new FeeSchedule({
+      name,
+      description,
+      appliesTo,
+      amount,
+      isActive,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await fee.save();
+
+    res.status(201).json({
+      message: 'Fee created successfully',
+      fee
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Create fee schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to create fee',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/fee-schedules/:feeId
+// @desc    Get a fee
+// @access  Private (Admin)
+router.get('/:feeId', async (req, res) => {
+  try {
+    const fee = await FeeSchedule.findById(req.params.feeId);
+    if (!fee) {
+      return res.status(404).json({
+        error: 'Fee not found'
+      });
+    }
+
+    res.json({ fee });
+
+  } catch (error) {
+    console.error('Get fee schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to get fee',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/fee-schedules/:feeId
+// @desc    Update a fee (applications already assessed keep their amount)
+// @access  Private (Admin)
+router.put('/:feeId', validateFeeScheduleUpdate, async (req, res) => {
+  try {
+    const fee = await FeeSchedule.findById(req.params.feeId);
+    if (!fee) {
+      return res.status(404).json({
+        error: 'Fee not found'
+      });
+    }
+
+    const assignable = ['name', 'description', 'appliesTo', 'amount', 'isActive'];
+    assignable.forEach((k) => {
+      if (typeof req.body[k] !== 'undefined') {
+        fee[k] = req.body[k];
+      }
+    });
+    fee.updatedBy = req.user._id;
+    await fee.save();
+
+    res.json({
+      message: 'Fee updated successfully',
+      fee
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update fee schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to update fee',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/fee-schedules/:feeId
+// @desc    Delete a fee
+// @access  Private (Admin)
+router.delete('/:feeId', async (req, res) => {
+  try {
+    const fee = await FeeSchedule.findByIdAndDelete(req.params.feeId);
+    if (!fee) {
+      return res.status(404).json({
+        error: 'Fee not found'
+      });
+    }
+
+    res.json({
+      message: 'Fee deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete fee schedule error:', error);
+    res.status(500).json({
+      error: 'Failed to delete fee',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
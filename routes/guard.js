@@ -0,0 +1,326 @@
+const express = require('express');
+const RFIDScan = require('../models/RFIDScan');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const VisitorPass = require('../models/VisitorPass');
+const PresenceService = require('../services/presenceService');
+const WatchlistService = require('../services/watchlistService');
+const GuardConsoleService = require('../services/guardConsoleService');
+const ScanService = require('../services/scanService');
+const { validateGuardLookup, validateGuardRecentScans, validateGateOverride, validateQRScan } = require('../middleware/validation');
+const { authenticateToken, requireSecurityStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply security staff middleware to all routes
+router.use(authenticateToken, requireSecurityStaff);
+
+// Guards posted at a gate work that gate; other security staff pick one
+const resolveGate = (req, requested) => {
+  if (req.user.role === 'security_guard' && req.user.assignedGate) {
+    return req.user.assignedGate;
+  }
+  return requested;
+};
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Case-insensitive exact match on the scanner location
+const gateMatcher = (gate) => new RegExp(`^${escapeRegex(gate.trim())}$`, 'i');
+
+// Plate numbers match regardless of case, spaces and dashes
+const plateMatcher = (plateNumber) => new RegExp(
+  `^${WatchlistEntry.normalizeValue(plateNumber).split('').map(escapeRegex).join('[\\s-]*')}$`,
+  'i'
+);
+
+// @route   GET /api/guard/passes/lookup
+// @desc    Look up passes by plate number or tag ID
+// @access  Private (Security staff)
+router.get('/passes/lookup', validateGuardLookup, async (req, res) => {
+  try {
+    const { plateNumber, tagId } = req.query;
+
+    const query = tagId
+      ? { 'rfidInfo.tagId': tagId }
+      : { 'vehicleInfo.plateNumber': plateMatcher(plateNumber) };
+
+    const applications = await VehiclePassApplication.find(query).limit(10);
+
+    const passes = await Promise.all(applications.map(async (application) => {
+      const presence = await PresenceService.getPresence(application._id);
+      const watchlist = await WatchlistService.check({
+        plateNumber: application.vehicleInfo && application.vehicleInfo.plateNumber,
+        tagId: application.rfidInfo && application.rfidInfo.tagId,
+        idNumber: application.idNumber
+      });
+
+      return {
+        ...GuardConsoleService.describePass(application),
+        presence: presence ? { state: presence.state, lastScanAt: presence.lastScanAt } : { state: 'unknown' },
+        watchlist: WatchlistService.describeHits(watchlist.hits)
+      };
+    }));
+
+    // Visitors are looked up by plate, loaner tag or pass code
+    const visitorPasses = await VisitorPass.find(tagId
+      ? { $or: [{ passCode: tagId }, { loanerTagId: tagId, status: 'active' }] }
+      : { plateNumber: plateMatcher(plateNumber), status: 'active' })
+      .sort({ createdAt: -1 })
+      .limit(10);
+
+    // Unknown vehicles can still be on the watchlist
+    const watchlist = passes.length ? [] : WatchlistService.describeHits((await WatchlistService.check({ plateNumber, tagId })).hits);
+
+    res.json({
+      passes,
+      total: passes.length,
+      visitorPasses: visitorPasses.map((visitorPass) => ({
+        ...GuardConsoleService.describeVisitorPass(visitorPass),
+        presence: visitorPass.presence
+      })),
+      watchlist
+    });
+
+  } catch (error) {
+    console.error('Guard pass lookup error:', error);
+    res.status(500).json({
+      error: 'Failed to look up pass',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/guard/scans/recent
+// @desc    Recent scans at the guard's gate (security staff without a gate pass ?gate=)
+// @access  Private (Security staff)
+router.get('/scans/recent', validateGuardRecentScans, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+    const gate = resolveGate(req, req.query.gate);
+
+    const query = {};
+    if (gate) query.scannerLocation = gateMatcher(gate);
+    if (req.query.scanResult) query.scanResult = req.query.scanResult;
+
+    const scans = await RFIDScan.find(query)
+      .populate('vehicle', 'applicant vehicleInfo.plateNumber vehicleInfo.type status rfidInfo.isActive rfidInfo.validUntil attachments.vehiclePhoto')
+      .populate('performedBy', 'firstName lastName')
+      .sort({ scanTimestamp: -1 })
+      .limit(limit);
+
+    res.json({
+      gate: gate || null,
+      scans
+    });
+
+  } catch (error) {
+    console.error('Guard recent scans error:', error);
+    res.status(500).json({
+      error: 'Failed to get recent scans',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/guard/scan-qr
+// @desc    Validate a QR credential with a guard's phone at their gate
+// @access  Private (Security staff)
+router.post('/scan-qr', validateQRScan, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { qrData, direction } = req.body;
+    const gate = resolveGate(req, req.body.gate);
+
+    if (!gate) {
+      return res.status(400).json({
+        error: 'A gate is required for staff without an assigned gate'
+      });
+    }
+
+    // The guard's phone acts as a gate scanner for the chosen direction, or as a checkpoint
+    const type = direction === 'in' ? 'entry' : (direction === 'out' ? 'exit' : 'checkpoint');
+    const phoneScanner = {
+      scannerId: `GUARD-${req.user._id}`,
+      location: gate,
+      type,
+      direction: type === 'checkpoint' ? 'both' : direction,
+      antiPassbackMode: process.env.ANTI_PASSBACK_DEFAULT_MODE || 'hard',
+      zone: null
+    };
+
+    const outcome = await ScanService.processQRRead({ qrData }, phoneScanner, { startTime, performedBy: req.user._id });
+
+    res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('Guard QR scan error:', error);
+    res.status(500).json({
+      error: 'Failed to validate QR code',
+      message: error.message
+    });
+  }
+});
+
+// Find the pass an override is for. Plate numbers only match non-renewal applications,
+// preferring a completed pass over older or rejected applications for the same plate.
+const findOverridePass = async ({ applicationId, tagId, plateNumber }) => {
+  if (applicationId) {
+    return await VehiclePassApplication.findById(applicationId);
+  }
+  if (tagId) {
+    return await VehiclePassApplication.findOne({ 'rfidInfo.tagId': tagId });
+  }
+  if (plateNumber) {
+    const applications = await VehiclePassApplication.find({
+      'vehicleInfo.plateNumber': plateMatcher(plateNumber),
+      applicationType: { $ne: 'renewal' }
+    }).sort({ createdAt: -1 });
+    return applications.find((application) => application.status === 'completed') || applications[0] || null;
+  }
+  return null;
+};
+
+// @route   POST /api/guard/overrides
+// @desc    Log a manual override: entry/exit when a tag won't read, or a forced grant for a denied vehicle
+// @access  Private (Security staff)
+router.post('/overrides', validateGateOverride, async (req, res) => {
+  try {
+    const { type, applicationId, plateNumber, tagId, deniedScanId, reasonCode, note } = req.body;
+
+    let deniedScan = null;
+    if (deniedScanId) {
+      deniedScan = await RFIDScan.findById(deniedScanId);
+      if (!deniedScan || deniedScan.scanResult !== 'denied') {
+        return res.status(404).json({
+          error: 'Denied scan not found'
+        });
+      }
+    }
+
+    const gate = resolveGate(req, req.body.gate || (deniedScan && deniedScan.scannerLocation));
+    if (!gate) {
+      return res.status(400).json({
+        error: 'A gate is required for staff without an assigned gate'
+      });
+    }
+
+    const application = await findOverridePass({
+      applicationId: applicationId || (deniedScan && deniedScan.vehicle),
+      tagId,
+      plateNumber
+    });
+
+    // Vehicles without a pass can only be let through by plate number
+    if (!application && !plateNumber) {
+      return res.status(404).json({
+        error: 'Vehicle pass not found'
+      });
+    }
+
+    const at = new Date();
+    const vehiclePlate = application && application.vehicleInfo ? application.vehicleInfo.plateNumber : plateNumber;
+    const vehicleTag = (application && application.rfidInfo && application.rfidInfo.tagId) || tagId || (deniedScan && deniedScan.tagId);
+
+    // Banned vehicles are sent to the security office, whoever vouches for them
+    const watchlist = await WatchlistService.check({
+      tagId: vehicleTag,
+      plateNumber: vehiclePlate,
+      idNumber: application && application.idNumber
+    }, at);
+    const alertContext = {
+      source: 'override',
+      tagId: vehicleTag,
+      plateNumber: vehiclePlate,
+      vehicle: application ? application._id : undefined,
+      scannerLocation: gate,
+      performedBy: req.user._id
+    };
+    if (watchlist.banned) {
+      await WatchlistService.raiseAlert(watchlist.hits, { ...alertContext, action: 'denied' });
+      return res.status(403).json({
+        error: 'Vehicle or tag is banned (watchlist); overrides cannot let it through',
+        code: 'WATCHLISTED',
+        watchlist: WatchlistService.describeHits(watchlist.hits)
+      });
+    }
+
+    // Manual entries and exits stand in for a tag that won't read, so the pass must be one the
+    // gate would have accepted; anything else needs a forced grant
+    const ineligible = application ? ScanService.checkPass(application, at, 'none') : null;
+    if (type !== 'forced_grant') {
+      if (!application) {
+        return res.status(404).json({
+          error: 'Vehicle pass not found; log a forced grant to let a vehicle without a pass through'
+        });
+      }
+      if (ineligible) {
+        return res.status(ineligible.status).json({
+          error: `${ineligible.message}; log a forced grant to let the vehicle through`,
+          code: ineligible.code,
+          ...ineligible.extra
+        });
+      }
+    }
+
+    let direction = type === 'exit' ? 'out' : 'in';
+    if (type === 'forced_grant') {
+      direction = req.body.direction ||
+        (deniedScan && ['in', 'out'].includes(deniedScan.direction) ? deniedScan.direction : 'in');
+    }
+    const gateType = direction === 'in' ? 'entry' : 'exit';
+
+    const scan = new RFIDScan({
+      tagId: vehicleTag || 'UNTAGGED',
+      scannerId: 'MANUAL',
+      scannerLocation: gate,
+      scannerType: gateType,
+      user: application ? application.linkedUser : null,
+      vehicle: application ? application._id : null,
+      scanType: gateType,
+      scanResult: 'override',
+      scanMessage: type === 'forced_grant'
+        ? `Forced grant (${gateType}) by guard: ${reasonCode}`
+        : `Manual ${gateType} by guard: ${reasonCode}`,
+      direction,
+      scanTimestamp: at,
+      responseTime: 0,
+      credentialType: 'none',
+      source: 'manual',
+      performedBy: req.user._id,
+      override: {
+        type,
+        reasonCode,
+        note,
+        plateNumber: vehiclePlate,
+        deniedScan: deniedScan ? deniedScan._id : undefined,
+        failedCheck: ineligible ? ineligible.code : (application ? undefined : 'NO_PASS')
+      }
+    });
+    await scan.save();
+    await WatchlistService.raiseAlert(watchlist.hits, { ...alertContext, action: 'allowed', scanId: scan._id });
+
+    // Overrides move the vehicle like a gate scanner would
+    const presence = application
+      ? await PresenceService.recordMovement(application, direction, scan, { type: gateType, zone: null })
+      : null;
+    GuardConsoleService.publishScan(scan, application);
+
+    res.status(201).json({
+      message: type === 'forced_grant' ? 'Forced grant logged successfully' : `Manual ${gateType} logged successfully`,
+      scan,
+      pass: GuardConsoleService.describePass(application),
+      presence: presence ? { state: presence.state, lastScanAt: presence.lastScanAt } : undefined
+    });
+
+  } catch (error) {
+    console.error('Gate override error:', error);
+    res.status(500).json({
+      error: 'Failed to log gate override',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
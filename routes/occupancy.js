@@ -0,0 +1,80 @@
+const express = require('express');
+const VehiclePresence = require('../models/VehiclePresence');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const PresenceService = require('../services/presenceService');
+const { validatePagination } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/occupancy
+// @desc    List vehicles currently on campus
+// @access  Private (Admin)
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, vehicleType, schoolAffiliation } = req.query;
+
+    const skip = (page - 1) * limit;
+    const query = { state: 'inside' };
+
+    // Vehicle type and affiliation live on the application
+    if (vehicleType || schoolAffiliation) {
+      const applicationQuery = {};
+      if (vehicleType) applicationQuery['vehicleInfo.type'] = vehicleType;
+      if (schoolAffiliation) applicationQuery.schoolAffiliation = schoolAffiliation;
+      query.vehicle = { $in: await VehiclePassApplication.find(applicationQuery).distinct('_id') };
+    }
+
+    const vehicles = await VehiclePresence.find(query)
+      .populate('vehicle', 'applicant vehicleInfo.type vehicleInfo.plateNumber schoolAffiliation idNumber linkedUser rfidInfo.tagId')
+      .sort({ lastScanAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await VehiclePresence.countDocuments(query);
+
+    res.json({
+      vehicles,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalVehicles: total,
+        hasNext: skip + vehicles.length < total,
+        hasPrev: page > 1
+      }
+    });
+
+  } catch (error) {
+    console.error('Get occupancy error:', error);
+    res.status(500).json({
+      error: 'Failed to get on-campus vehicles',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/occupancy/summary
+// @desc    Count vehicles on campus by vehicle type and affiliation
+// @access  Private (Admin)
+router.get('/summary', async (req, res) => {
+  try {
+    const summary = await PresenceService.getOccupancySummary();
+
+    res.json({
+      ...summary,
+      asOf: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get occupancy summary error:', error);
+    res.status(500).json({
+      error: 'Failed to get occupancy summary',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,197 @@
+const express = require('express');
+const ParkingZone = require('../models/ParkingZone');
+const Scanner = require('../models/Scanner');
+const PresenceService = require('../services/presenceService');
+const { validateParkingZone, validateParkingZoneUpdate } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// Attach live fill levels to zones
+const withFillLevels = async (zones) => {
+  const counts = await PresenceService.getZoneCounts(zones.map((zone) => zone._id.toString()));
+  return zones.map((zone) => {
+    const occupied = counts[zone._id.toString()] || 0;
+    return {
+      ...zone.toObject(),
+      occupied,
+      available: Math.max(zone.capacity - occupied, 0),
+      fillRate: zone.capacity > 0 ? Math.round((occupied / zone.capacity) * 100) : null
+    };
+  });
+};
+
+// @route   GET /api/admin/parking-zones
+// @desc    List parking zones with live fill levels
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const query = {};
+    if (req.query.isActive !== undefined) query.isActive = req.query.isActive === 'true';
+
+    const zones = await ParkingZone.find(query).sort({ code: 1 });
+
+    res.json({
+      zones: await withFillLevels(zones),
+      total: zones.length,
+      asOf: new Date()
+    });
+
+  } catch (error) {
+    console.error('Get parking zones error:', error);
+    res.status(500).json({
+      error: 'Failed to get parking zones',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/parking-zones
+// @desc    Create a parking zone
+// @access  Private (Admin)
+router.post('/', validateParkingZone, async (req, res) => {
+  try {
+    const { code, name, description, capacity, fullAction, allowedVehicleTypes, allowedAffiliations } = req.body;
+
+    const existing = await ParkingZone.findOne({ code: code.toUpperCase() });
+    if (existing) {
+      return res.status(400).json({
+        error: 'A parking zone with this code already exists'
+      });
+    }
+
+    const zone = new ParkingZone({
+      code,
+      name,
+      description,
+      capacity,
+      fullAction,
+      allowedVehicleTypes,
+      allowedAffiliations,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await zone.save();
+
+    res.status(201).json({
+      message: 'Parking zone created successfully',
+      zone
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Create parking zone error:', error);
+    res.status(500).json({
+      error: 'Failed to create parking zone',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/parking-zones/:zoneId
+// @desc    Get a parking zone with its fill level and scanners
+// @access  Private (Admin)
+router.get('/:zoneId', async (req, res) => {
+  try {
+    const zone = await ParkingZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Parking zone not found'
+      });
+    }
+
+    const [zoneWithFill] = await withFillLevels([zone]);
+    const scanners = await Scanner.find({ zone: zone._id }).select('scannerId name location type direction isEnabled');
+
+    res.json({
+      zone: zoneWithFill,
+      scanners
+    });
+
+  } catch (error) {
+    console.error('Get parking zone error:', error);
+    res.status(500).json({
+      error: 'Failed to get parking zone',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/parking-zones/:zoneId
+// @desc    Update a parking zone
+// @access  Private (Admin)
+router.put('/:zoneId', validateParkingZoneUpdate, async (req, res) => {
+  try {
+    const zone = await ParkingZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Parking zone not found'
+      });
+    }
+
+    const assignable = ['name', 'description', 'capacity', 'fullAction', 'allowedVehicleTypes', 'allowedAffiliations', 'isActive'];
+    assignable.forEach((k) => {
+      if (typeof req.body[k] !== 'undefined') {
+        zone[k] = req.body[k];
+      }
+    });
+    zone.updatedBy = req.user._id;
+    await zone.save();
+
+    res.json({
+      message: 'Parking zone updated successfully',
+      zone
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update parking zone error:', error);
+    res.status(500).json({
+      error: 'Failed to update parking zone',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/parking-zones/:zoneId
+// @desc    Delete a parking zone that no scanner is linked to
+// @access  Private (Admin)
+router.delete('/:zoneId', async (req, res) => {
+  try {
+    const zone = await ParkingZone.findById(req.params.zoneId);
+    if (!zone) {
+      return res.status(404).json({
+        error: 'Parking zone not found'
+      });
+    }
+
+    const linkedScanners = await Scanner.countDocuments({ zone: zone._id });
+    if (linkedScanners > 0) {
+      return res.status(400).json({
+        error: 'Unlink the zone from its scanners before deleting it'
+      });
+    }
+
+    await zone.deleteOne();
+
+    res.json({
+      message: 'Parking zone deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete parking zone error:', error);
+    res.status(500).json({
+      error: 'Failed to delete parking zone',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,175 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const Payment = require('../models/Payment');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const PaymentService = require('../services/paymentService');
+const AccessPolicyService = require('../services/accessPolicyService');
+const RenewalService = require('../services/renewalService');
+const { validatePayment, validateCollectionReport, validatePagination } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Collection reports group payments by campus-local day
+const TIMEZONE = process.env.ACCESS_TIMEZONE || 'Asia/Manila';
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   POST /api/admin/payments
+// @desc    Record a payment for an approved application (the logged-in user is the cashier)
+// @access  Private (Admin)
+router.post('/', validatePayment, async (req, res) => {
+  try {
+    const { applicationId, receiptNumber, amount, notes } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({
+        error: 'Vehicle pass application not found'
+      });
+    }
+
+    // Renewals are only paid for while the pass they extend can still be extended
+    if (application.applicationType === 'renewal') {
+      const renewable = await RenewalService.findRenewablePass(application);
+      if (renewable.error) {
+        return res.status(409).json({ error: renewable.error });
+      }
+    }
+
+    const result = await PaymentService.record(application, { receiptNumber, amount, notes }, req.user);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    await application.save();
+
+    res.status(201).json({
+      message: 'Payment recorded successfully',
+      payment: result.payment,
+      application: {
+        id: application._id,
+        status: application.status,
+        assessment: application.assessment,
+        paymentInfo: application.paymentInfo
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Record payment error:', error);
+    res.status(500).json({
+      error: 'Failed to record payment',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/payments
+// @desc    List payments (filters: receiptNumber, cashierId, applicationId, purpose, startDate, endDate)
+// @access  Private (Admin)
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { receiptNumber, cashierId, applicationId, purpose, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (receiptNumber) query.receiptNumber = String(receiptNumber).trim().toUpperCase();
+    if (cashierId) query.cashier = cashierId;
+    if (applicationId) query.application = applicationId;
+    if (purpose) query.purpose = purpose;
+    if (startDate || endDate) {
+      query.paidAt = {};
+      if (startDate) query.paidAt.$gte = new Date(startDate);
+      if (endDate) query.paidAt.$lte = new Date(endDate);
+    }
+
+    const payments = await Payment.find(query)
+      .populate('application', 'applicant vehicleInfo.plateNumber applicationType')
+      .sort({ paidAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Payment.countDocuments(query);
+
+    res.json({
+      payments,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get payments error:', error);
+    res.status(500).json({
+      error: 'Failed to get payments',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/payments/collections
+// @desc    Daily collection report per cashier (date defaults to today, campus time)
+// @access  Private (Admin)
+router.get('/collections', validateCollectionReport, async (req, res) => {
+  try {
+    const date = req.query.date || AccessPolicyService.toLocal(new Date()).date;
+
+    // Narrow to a window around the day before matching the exact local date
+    const dayStart = new Date(`${date}T00:00:00Z`);
+    const match = {
+      paidAt: {
+        $gte: new Date(dayStart.getTime() - 24 * 60 * 60 * 1000),
+        $lt: new Date(dayStart.getTime() + 2 * 24 * 60 * 60 * 1000)
+      }
+    };
+    if (req.query.cashierId) match.cashier = new mongoose.Types.ObjectId(req.query.cashierId);
+
+    const cashiers = await Payment.aggregate([
+      { $match: match },
+      { $addFields: { localDate: { $dateToString: { format: '%Y-%m-%d', date: '$paidAt', timezone: TIMEZONE } } } },
+      { $match: { localDate: date } },
+      { $sort: { paidAt: 1 } },
+      {
+        $group: {
+          _id: '$cashier',
+          cashierName: { $first: '$cashierName' },
+          count: { $sum: 1 },
+          total: { $sum: '$amount' },
+          payments: {
+            $push: {
+              id: '$_id',
+              receiptNumber: '$receiptNumber',
+              amount: '$amount',
+              application: '$application',
+              applicationType: '$applicationType',
+              purpose: '$purpose',
+              paidAt: '$paidAt'
+            }
+          }
+        }
+      },
+      { $sort: { cashierName: 1 } }
+    ]);
+
+    res.json({
+      date,
+      timezone: TIMEZONE,
+      cashiers: cashiers.map(({ _id, ...summary }) => ({ cashier: _id, ...summary })),
+      totals: {
+        count: cashiers.reduce((sum, c) => sum + c.count, 0),
+        amount: cashiers.reduce((sum, c) => sum + c.total, 0)
+      }
+    });
+
+  } catch (error) {
+    console.error('Get collection report error:', error);
+    res.status(500).json({
+      error: 'Failed to get collection report',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,141 @@
+const express = require('express');
+const RFIDTag = require('../models/RFIDTag');
+const TagInventoryService = require('../services/tagInventoryService');
+const { validateTagImport, validateTagStatusUpdate, validatePagination } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/rfid-tags
+// @desc    List inventory tags (filters: status, batch, epc)
+// @access  Private (Admin)
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { status, batch, epc, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (batch) query.batch = batch;
+    if (epc) query.epc = { $regex: String(epc).replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), $options: 'i' };
+
+    const tags = await RFIDTag.find(query)
+      .select('-history')
+      .populate('application', 'applicant vehicleInfo.plateNumber status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await RFIDTag.countDocuments(query);
+    const byStatus = await RFIDTag.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]);
+
+    res.json({
+      tags,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total,
+      stock: byStatus.reduce((acc, s) => ({ ...acc, [s._id]: s.count }), {})
+    });
+
+  } catch (error) {
+    console.error('Get RFID tags error:', error);
+    res.status(500).json({
+      error: 'Failed to get RFID tags',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/rfid-tags/import
+// @desc    Bulk import a delivery batch of tags into stock
+// @access  Private (Admin)
+router.post('/import', validateTagImport, async (req, res) => {
+  try {
+    const { batch, epcs } = req.body;
+
+    const result = await TagInventoryService.importBatch(batch, epcs, req.user._id);
+
+    res.status(201).json({
+      message: `${result.imported} tag(s) imported`,
+      batch,
+      imported: result.imported,
+      duplicates: result.duplicates
+    });
+
+  } catch (error) {
+    console.error('Import RFID tags error:', error);
+    res.status(500).json({
+      error: 'Failed to import RFID tags',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/rfid-tags/:epc
+// @desc    Get a tag with the history of every application it has been bound to
+// @access  Private (Admin)
+router.get('/:epc', async (req, res) => {
+  try {
+    const tag = await RFIDTag.findOne({ epc: req.params.epc })
+      .populate('application', 'applicant vehicleInfo.plateNumber status')
+      .populate('history.application', 'applicant vehicleInfo.plateNumber status')
+      .populate('history.by', 'firstName lastName');
+    if (!tag) {
+      return res.status(404).json({
+        error: 'RFID tag not found'
+      });
+    }
+
+    res.json({ tag });
+
+  } catch (error) {
+    console.error('Get RFID tag error:', error);
+    res.status(500).json({
+      error: 'Failed to get RFID tag',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/rfid-tags/:epc/status
+// @desc    Mark a tag lost, damaged, retired or back in stock (assigned tags are unbound and deactivated)
+// @access  Private (Admin)
+router.put('/:epc/status', validateTagStatusUpdate, async (req, res) => {
+  try {
+    const { status, note } = req.body;
+
+    const tag = await RFIDTag.findOne({ epc: req.params.epc });
+    if (!tag) {
+      return res.status(404).json({
+        error: 'RFID tag not found'
+      });
+    }
+
+    if (!TagInventoryService.canChangeStatus(tag, status)) {
+      return res.status(400).json({
+        error: `Cannot change tag status from ${tag.status} to ${status}`
+      });
+    }
+
+    const result = await TagInventoryService.changeStatus(tag, status, { by: req.user._id, note });
+
+    res.json({
+      message: 'RFID tag status updated successfully',
+      tag: result.tag,
+      deactivatedApplication: result.application ? result.application._id : undefined
+    });
+
+  } catch (error) {
+    console.error('Update RFID tag status error:', error);
+    res.status(500).json({
+      error: 'Failed to update RFID tag status',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
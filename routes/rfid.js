@@ -2,16 +2,22 @@ const express = require('express');
 const RFIDScan = require('../models/RFIDScan');
 const User = require('../models/User');
 const VehiclePassApplication = require('../models/VehiclePassApplication');
-const { validateRFIDScan, validateRFIDAssignment } = require('../middleware/validation');
-const { authenticateToken, requireAdmin } = require('../middleware/auth');
+const { validateRFIDScan, validateQRScan, validateRFIDScanBatch, validateRFIDAssignment, validatePresenceReset, validateScannerHeartbeat } = require('../middleware/validation');
+const { authenticateToken, requireAdmin, requireSecurityStaff } = require('../middleware/auth');
+const { authenticateScanner } = require('../middleware/scannerAuth');
 const FirebaseService = require('../services/firebaseService'); // Import Firebase service
+const PresenceService = require('../services/presenceService');
+const ScannerHealthService = require('../services/scannerHealthService');
+const ScanService = require('../services/scanService');
+const AllowListService = require('../services/allowListService');
+const TagInventoryService = require('../services/tagInventoryService');
 
 const router = express.Router();
 
 // @route   POST /api/rfid/scan
 // @desc    Validate RFID tag and log the attempt (single consolidated endpoint)
-// @access  Public (for scanner devices)
-router.post('/scan', validateRFIDScan, async (req, res) => {
+// @access  Scanner (registered device API key or HMAC signature)
+router.post('/scan', authenticateScanner, validateRFIDScan, async (req, res) => {
   const startTime = Date.now();
   
   try {
@@ -33,102 +39,21 @@ router.post('/scan', validateRFIDScan, async (req, res) => {
       });
     }
 
-    // Lookup application by tag
-    const application = await VehiclePassApplication.findOne({ 'rfidInfo.tagId': tagId });
+    // Tag reads also count as device activity
+    ScannerHealthService.recordActivity(req.scanner, { systemStatus, batteryLevel, signalStrength })
+      .catch((error) => console.error('Failed to record scanner activity:', error));
 
-    const commonLog = {
+    const outcome = await ScanService.processTagRead({
       tagId,
-      scanType: scanType || 'validation',
-      direction: direction || 'both',
-      scanTimestamp: new Date(),
-      responseTime: Date.now() - startTime,
-      systemStatus: systemStatus || 'online',
+      scanType,
+      direction,
+      systemStatus,
       batteryLevel,
       signalStrength,
       metadata
-    };
-
-    if (!application) {
-      const log = new RFIDScan({
-        ...commonLog,
-        user: null,
-        vehicle: null,
-        scanResult: 'denied',
-        scanMessage: 'RFID tag not found',
-        errorCode: 'TAG_NOT_FOUND'
-      });
-      await log.save();
-      return res.status(404).json({ success: false, code: 'TAG_NOT_FOUND', message: 'RFID tag is not assigned to any application', scanId: log._id, timestamp: log.scanTimestamp });
-    }
-
-    if (!application.rfidInfo || !application.rfidInfo.isActive) {
-      const log = new RFIDScan({
-        ...commonLog,
-        user: application.linkedUser,
-        vehicle: application._id,
-        scanResult: 'denied',
-        scanMessage: 'RFID tag is not active',
-        errorCode: 'TAG_INACTIVE'
-      });
-      await log.save();
-      return res.status(423).json({ success: false, code: 'TAG_INACTIVE', message: 'RFID tag is not active', scanId: log._id, timestamp: log.scanTimestamp });
-    }
-
-    if (application.status !== 'completed') {
-      const log = new RFIDScan({
-        ...commonLog,
-        user: application.linkedUser,
-        vehicle: application._id,
-        scanResult: 'denied',
-        scanMessage: 'Application not completed',
-        errorCode: 'APPLICATION_NOT_COMPLETED'
-      });
-      await log.save();
-      return res.status(409).json({ success: false, code: 'APPLICATION_NOT_COMPLETED', message: 'Vehicle pass application is not marked as completed', scanId: log._id, timestamp: log.scanTimestamp });
-    }
-
-    const now = new Date();
-    if (application.rfidInfo.validUntil && now > new Date(application.rfidInfo.validUntil)) {
-      const log = new RFIDScan({
-        ...commonLog,
-        user: application.linkedUser,
-        vehicle: application._id,
-        scanResult: 'denied',
-        scanMessage: 'RFID tag expired',
-        errorCode: 'TAG_EXPIRED'
-      });
-      await log.save();
-      return res.status(410).json({ success: false, code: 'TAG_EXPIRED', message: 'RFID tag validity has expired', scanId: log._id, timestamp: log.scanTimestamp });
-    }
+    }, req.scanner, { startTime });
 
-    // Valid
-    const successLog = new RFIDScan({
-      ...commonLog,
-      user: application.linkedUser,
-      vehicle: application._id,
-      scanResult: 'success',
-      scanMessage: 'Access granted'
-    });
-    await successLog.save();
-
-    return res.status(200).json({
-      success: true,
-      code: 'TAG_VALID',
-      message: 'RFID tag is valid and active',
-      scanId: successLog._id,
-      timestamp: successLog.scanTimestamp,
-      application: {
-        id: application._id,
-        status: application.status,
-        rfidInfo: {
-          tagId: application.rfidInfo.tagId,
-          isActive: application.rfidInfo.isActive,
-          assignedAt: application.rfidInfo.assignedAt,
-          validUntil: application.rfidInfo.validUntil
-        },
-        vehicleInfo: application.vehicleInfo
-      }
-    });
+    return res.status(outcome.status).json(outcome.body);
 
   } catch (error) {
     console.error('RFID scan error:', error);
@@ -136,6 +61,8 @@ router.post('/scan', validateRFIDScan, async (req, res) => {
     // Log error scan
     const errorScan = new RFIDScan({
       tagId: (typeof req.body === 'string' ? req.body.trim() : (req.body && req.body.tagId)) || 'UNKNOWN',
+      scannerId: req.scanner.scannerId,
+      scannerLocation: req.scanner.location,
       user: null,
       scanType: req.body.scanType || 'unknown',
       scanResult: 'error',
@@ -148,17 +75,201 @@ router.post('/scan', validateRFIDScan, async (req, res) => {
       errorMessage: error.message
     });
 
-    await errorScan.save();
+    // The scanner gets its 500 even if the error itself cannot be logged (e.g. the database is down)
+    let logged = true;
+    try {
+      await errorScan.save();
+    } catch (logError) {
+      logged = false;
+      console.error('Failed to log RFID scan error:', logError);
+    }
 
     res.status(500).json({
       success: false,
       message: 'System error occurred',
-      scanId: errorScan._id,
+      scanId: logged ? errorScan._id : undefined,
       timestamp: errorScan.scanTimestamp
     });
   }
 });
 
+// @route   POST /api/rfid/scan-qr
+// @desc    Validate a scanned QR credential (rotating pass QR or visitor pass code) and log the attempt
+// @access  Scanner (registered device API key or HMAC signature)
+router.post('/scan-qr', authenticateScanner, validateQRScan, async (req, res) => {
+  const startTime = Date.now();
+
+  try {
+    const { qrData, scanType, direction, systemStatus, batteryLevel, signalStrength, metadata } = req.body;
+
+    ScannerHealthService.recordActivity(req.scanner, { systemStatus, batteryLevel, signalStrength })
+      .catch((error) => console.error('Failed to record scanner activity:', error));
+
+    const outcome = await ScanService.processQRRead({
+      qrData,
+      scanType,
+      direction,
+      systemStatus,
+      batteryLevel,
+      signalStrength,
+      metadata
+    }, req.scanner, { startTime });
+
+    return res.status(outcome.status).json(outcome.body);
+
+  } catch (error) {
+    console.error('QR scan error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'System error occurred',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/rfid/scan/batch
+// @desc    Upload reads buffered by a scanner while it was offline
+// @access  Scanner (registered device API key or HMAC signature)
+router.post('/scan/batch', authenticateScanner, validateRFIDScanBatch, async (req, res) => {
+  try {
+    const { reads } = req.body;
+    const { scanner } = req;
+
+    // De-duplicate by device sequence number, both within the batch and against earlier uploads
+    const sequences = reads.map((read) => read.sequence);
+    const alreadyIngested = await RFIDScan.find({
+      scannerId: scanner.scannerId,
+      deviceSequence: { $in: sequences }
+    }).select('deviceSequence');
+    const seen = new Set(alreadyIngested.map((scan) => scan.deviceSequence));
+
+    // Evaluate in the order the reads happened so presence is rebuilt correctly
+    const ordered = [...reads].sort((a, b) => new Date(a.scanTimestamp) - new Date(b.scanTimestamp));
+
+    const results = [];
+    let duplicates = 0;
+
+    for (const read of ordered) {
+      if (seen.has(read.sequence)) {
+        duplicates += 1;
+        results.push({ sequence: read.sequence, status: 'duplicate' });
+        continue;
+      }
+      seen.add(read.sequence);
+
+      try {
+        const outcome = await ScanService.processTagRead({
+          tagId: read.tagId,
+          scanType: read.scanType,
+          direction: read.direction,
+          scanTimestamp: read.scanTimestamp,
+          metadata: read.metadata,
+          deviceSequence: read.sequence,
+          allowListVersion: read.allowListVersion
+        }, scanner, { offline: true });
+
+        results.push({
+          sequence: read.sequence,
+          status: 'ingested',
+          scanId: outcome.scan._id,
+          scanResult: outcome.scan.scanResult,
+          code: outcome.body.code,
+          reevaluated: true
+        });
+      } catch (error) {
+        // Another upload of the same read won the race for the unique index
+        if (error.code === 11000) {
+          duplicates += 1;
+          results.push({ sequence: read.sequence, status: 'duplicate' });
+          continue;
+        }
+        console.error(`Batch read ${read.sequence} from ${scanner.scannerId} failed:`, error);
+        results.push({ sequence: read.sequence, status: 'error', message: error.message });
+      }
+    }
+
+    await ScannerHealthService.recordActivity(scanner);
+
+    const ingested = results.filter((result) => result.status === 'ingested').length;
+    return res.json({
+      success: true,
+      received: reads.length,
+      ingested,
+      duplicates,
+      errors: results.length - ingested - duplicates,
+      results
+    });
+  } catch (error) {
+    console.error('RFID batch scan error:', error);
+    return res.status(500).json({ success: false, code: 'SYSTEM_ERROR', message: 'Failed to ingest buffered reads' });
+  }
+});
+
+// Send a JSON body with its HMAC signature so scanners can verify it before caching
+const sendSigned = (req, res, payload) => {
+  const body = JSON.stringify(payload);
+  res.set('X-Signature', AllowListService.sign(body, req.scanner.apiKey));
+  res.type('application/json').send(body);
+};
+
+// @route   GET /api/rfid/allowlist
+// @desc    Download a signed snapshot of active tags for validating while offline
+// @access  Scanner (registered device API key or HMAC signature)
+router.get('/allowlist', authenticateScanner, async (req, res) => {
+  try {
+    const snapshot = await AllowListService.getSnapshot();
+    return sendSigned(req, res, snapshot);
+  } catch (error) {
+    console.error('Allow-list snapshot error:', error);
+    return res.status(500).json({ success: false, code: 'SYSTEM_ERROR', message: 'Failed to build allow-list' });
+  }
+});
+
+// @route   GET /api/rfid/allowlist/changes?since=<version>
+// @desc    Download signed allow-list changes after a version
+// @access  Scanner (registered device API key or HMAC signature)
+router.get('/allowlist/changes', authenticateScanner, async (req, res) => {
+  try {
+    const since = parseInt(req.query.since);
+    if (isNaN(since) || since < 0) {
+      return res.status(400).json({ success: false, code: 'VERSION_REQUIRED', message: 'since must be a non-negative version number' });
+    }
+
+    const delta = await AllowListService.getChangesSince(since);
+    return sendSigned(req, res, delta);
+  } catch (error) {
+    console.error('Allow-list changes error:', error);
+    return res.status(500).json({ success: false, code: 'SYSTEM_ERROR', message: 'Failed to get allow-list changes' });
+  }
+});
+
+// @route   POST /api/rfid/heartbeat
+// @desc    Report scanner liveness and health telemetry
+// @access  Scanner (registered device API key or HMAC signature)
+router.post('/heartbeat', authenticateScanner, validateScannerHeartbeat, async (req, res) => {
+  try {
+    const { systemStatus, batteryLevel, signalStrength, firmwareVersion, uptime } = req.body;
+
+    const scanner = await ScannerHealthService.recordActivity(req.scanner, {
+      systemStatus,
+      batteryLevel,
+      signalStrength,
+      firmwareVersion,
+      uptime
+    }, true);
+
+    return res.json({
+      success: true,
+      serverTime: new Date().toISOString(),
+      heartbeatIntervalSec: scanner.heartbeatIntervalSec,
+      issues: ScannerHealthService.getIssues(scanner)
+    });
+  } catch (error) {
+    console.error('Scanner heartbeat error:', error);
+    return res.status(500).json({ success: false, code: 'SYSTEM_ERROR', message: 'Failed to record heartbeat' });
+  }
+});
+
 // @route   POST /api/rfid/assign
 // @desc    Assign RFID tag to a completed, paid VehiclePass application
 // @access  Private (Admin)
@@ -183,25 +294,72 @@ router.post('/assign', authenticateToken, requireAdmin, async (req, res) => {
       return res.status(404).json({ error: 'Application not found' });
     }
 
+    // A renewal extends the original pass's tag and never gets one of its own
+    if (application.applicationType === 'renewal') {
+      return res.status(409).json({ error: 'RFID tags are assigned to the original pass, not a renewal application' });
+    }
+
     if (application.status !== 'approved' && application.status !== 'completed') {
       return res.status(409).json({ 
         error: 'Application must be approved or completed to assign RFID' 
       });
     }
 
+    // A pass that already has a tag only gets the tag swapped; validity and activation are
+    // unchanged (renewal extends validity, reactivate-rfid lifts a deactivation)
+    const previousTagId = application.rfidInfo && application.rfidInfo.tagId;
+    if (previousTagId) {
+      if (previousTagId === tagId) {
+        return res.status(409).json({ error: 'RFID tag is already assigned to this application' });
+      }
+
+      const replaced = await TagInventoryService.replace(application, tagId, { by: req.user._id });
+      if (replaced.error) {
+        return res.status(409).json({ error: replaced.error });
+      }
+      await application.save();
+
+      return res.status(200).json({
+        message: 'RFID tag replaced successfully',
+        previousTagId,
+        application: {
+          id: application._id,
+          status: application.status,
+          rfidInfo: application.rfidInfo,
+          vehicleInfo: application.vehicleInfo
+        }
+      });
+    }
+
+    // As with issue-rfid, a pass is only issued once its payment is recorded (/api/admin/payments)
+    if (!(application.paymentInfo && application.paymentInfo.paidAt)) {
+      return res.status(400).json({
+        error: 'Payment must be recorded before issuing the RFID tag'
+      });
+    }
+
+    // New tags must come from stock
+    const claim = await TagInventoryService.assign(tagId, application, req.user._id);
+    if (claim.error) {
+      return res.status(409).json({ error: claim.error });
+    }
+
     const now = new Date();
     const oneYearLater = new Date(now);
     oneYearLater.setFullYear(oneYearLater.getFullYear() + 1);
 
     application.rfidInfo = {
-      tagId,
+      // Stored as the inventory's EPC so scans of the tag match it
+      tagId: claim.tag.epc,
       assignedAt: now,
       assignedBy: req.user._id,
       isActive: true,
       validUntil: oneYearLater
     };
-    // Add this line to change status to 'completed'
-    application.status = 'completed';
+    // Assigning a tag completes an approved application
+    if (application.status === 'approved') {
+      application.transitionTo('completed', { by: req.user._id });
+    }
 
     await application.save();
 
@@ -218,7 +376,7 @@ router.post('/assign', authenticateToken, requireAdmin, async (req, res) => {
         type: 'success',
         data: {
           applicationId: application._id.toString(),
-          tagId: tagId,
+          tagId: claim.tag.epc,
           vehiclePlate: application.vehicleInfo?.plateNumber,
           assignedAt: now.toISOString(),
           validUntil: oneYearLater.toISOString()
@@ -252,10 +410,39 @@ router.post('/assign', authenticateToken, requireAdmin, async (req, res) => {
 router.post('/unassign', authenticateToken, requireAdmin, async (req, res) => {
   return res.status(501).json({
     error: 'RFID functionality has been removed from the User model',
-    message: 'This endpoint is no longer supported'
+    message: 'This endpoint is no longer supported; replace a pass tag with PUT /api/admin/applications/:applicationId/replace-tag'
   });
 });
 
+// @route   PUT /api/rfid/presence/:applicationId/reset
+// @desc    Override a vehicle's presence state when a gate missed a read
+// @access  Private (Security guard/Admin)
+router.put('/presence/:applicationId/reset', authenticateToken, requireSecurityStaff, validatePresenceReset, async (req, res) => {
+  try {
+    const { applicationId } = req.params;
+    const { state = 'unknown', reason } = req.body;
+
+    const application = await VehiclePassApplication.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const previous = await PresenceService.getPresence(application._id);
+    const presence = await PresenceService.resetPresence(application, state, req.user._id, reason);
+
+    console.log(`Presence for application ${applicationId} reset to ${state} by ${req.user._id}`);
+
+    return res.json({
+      message: 'Vehicle presence state reset successfully',
+      previousState: previous ? previous.state : 'unknown',
+      presence
+    });
+  } catch (error) {
+    console.error('Reset presence error:', error);
+    return res.status(500).json({ error: 'Failed to reset presence state', message: error.message });
+  }
+});
+
 // @route   GET /api/rfid/scans/:userId
 // @desc    Get scan history for a user
 // @access  Private
@@ -374,8 +561,8 @@ router.get('/recent', authenticateToken, requireAdmin, async (req, res) => {
 
 // @route   GET /api/rfid/scanId
 // @desc    Check RFID tag status and return only status code
-// @access  Public (no middleware)
-router.get('/scanId', async (req, res) => {
+// @access  Scanner (registered device API key or HMAC signature)
+router.get('/scanId', authenticateScanner, async (req, res) => {
   try {
     const { tagId } = req.query;
 
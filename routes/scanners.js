@@ -0,0 +1,312 @@
+const express = require('express');
+const Scanner = require('../models/Scanner');
+const ParkingZone = require('../models/ParkingZone');
+const ScannerHealthService = require('../services/scannerHealthService');
+const { validateScanner, validateScannerUpdate } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/scanners
+// @desc    List registered scanner devices
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const { type, location, isEnabled } = req.query;
+
+    const query = {};
+    if (type) query.type = type;
+    if (location) query.location = location;
+    if (isEnabled !== undefined) query.isEnabled = isEnabled === 'true';
+
+    const scanners = await Scanner.find(query)
+      .populate('zone', 'code name')
+      .populate('updatedBy', 'firstName lastName email')
+      .sort({ scannerId: 1 });
+
+    res.json({
+      scanners,
+      total: scanners.length
+    });
+
+  } catch (error) {
+    console.error('Get scanners error:', error);
+    res.status(500).json({
+      error: 'Failed to get scanners',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/scanners
+// @desc    Register a scanner device and issue its API key
+// @access  Private (Admin)
+router.post('/', validateScanner, async (req, res) => {
+  try {
+    const { scannerId, name, location, type, direction, isEnabled, antiPassbackMode, heartbeatIntervalSec, zone } = req.body;
+
+    const existing = await Scanner.findOne({ scannerId });
+    if (existing) {
+      return res.status(400).json({
+        error: 'A scanner with this ID is already registered'
+      });
+    }
+
+    if (zone && !(await ParkingZone.exists({ _id: zone }))) {
+      return res.status(400).json({
+        error: 'Parking zone not found'
+      });
+    }
+
+    const scanner = new Scanner({
+      scannerId,
+      name,
+      location,
+      type,
+      direction,
+      isEnabled,
+      antiPassbackMode,
+      heartbeatIntervalSec,
+      zone: zone || null,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    const apiKey = scanner.generateApiKey();
+    await scanner.save();
+
+    res.status(201).json({
+      message: 'Scanner registered successfully. Store the API key now; it will not be shown again.',
+      scanner,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Create scanner error:', error);
+    res.status(500).json({
+      error: 'Failed to register scanner',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/scanners/health
+// @desc    List enabled scanners that are offline, low on battery or have a weak signal
+// @access  Private (Admin)
+router.get('/health', async (req, res) => {
+  try {
+    const { issue } = req.query;
+    const validIssues = ['offline', 'low_battery', 'weak_signal'];
+    if (issue && !validIssues.includes(issue)) {
+      return res.status(400).json({
+        error: `Issue must be one of: ${validIssues.join(', ')}`
+      });
+    }
+
+    const scanners = await Scanner.find({ isEnabled: true }).sort({ scannerId: 1 });
+    const now = new Date();
+
+    const devices = scanners
+      .map((scanner) => ({
+        scannerId: scanner.scannerId,
+        name: scanner.name,
+        location: scanner.location,
+        type: scanner.type,
+        heartbeatIntervalSec: scanner.heartbeatIntervalSec,
+        health: scanner.health,
+        issues: ScannerHealthService.getIssues(scanner, now)
+      }))
+      .filter((device) => (issue ? device.issues.includes(issue) : device.issues.length > 0));
+
+    const summary = validIssues.reduce((acc, key) => {
+      acc[key] = devices.filter((device) => device.issues.includes(key)).length;
+      return acc;
+    }, {});
+
+    res.json({
+      devices,
+      summary,
+      thresholds: ScannerHealthService.thresholds,
+      totalScanners: scanners.length,
+      checkedAt: now
+    });
+
+  } catch (error) {
+    console.error('Get scanner health error:', error);
+    res.status(500).json({
+      error: 'Failed to get scanner health',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/admin/scanners/:scannerId
+// @desc    Get a scanner device
+// @access  Private (Admin)
+router.get('/:scannerId', async (req, res) => {
+  try {
+    const scanner = await Scanner.findOne({ scannerId: req.params.scannerId })
+      .populate('zone', 'code name capacity')
+      .populate('createdBy', 'firstName lastName email')
+      .populate('updatedBy', 'firstName lastName email');
+
+    if (!scanner) {
+      return res.status(404).json({
+        error: 'Scanner not found'
+      });
+    }
+
+    res.json({
+      scanner
+    });
+
+  } catch (error) {
+    console.error('Get scanner error:', error);
+    res.status(500).json({
+      error: 'Failed to get scanner',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/scanners/:scannerId
+// @desc    Update a scanner device (name, location, type, direction, enabled flag, anti-passback mode, heartbeat interval, zone)
+// @access  Private (Admin)
+router.put('/:scannerId', validateScannerUpdate, async (req, res) => {
+  try {
+    const scanner = await Scanner.findOne({ scannerId: req.params.scannerId });
+    if (!scanner) {
+      return res.status(404).json({
+        error: 'Scanner not found'
+      });
+    }
+
+    if (req.body.zone && !(await ParkingZone.exists({ _id: req.body.zone }))) {
+      return res.status(400).json({
+        error: 'Parking zone not found'
+      });
+    }
+
+    const assignable = ['name', 'location', 'type', 'direction', 'isEnabled', 'antiPassbackMode', 'heartbeatIntervalSec', 'zone'];
+    assignable.forEach((k) => {
+      if (typeof req.body[k] !== 'undefined') {
+        scanner[k] = req.body[k];
+      }
+    });
+    scanner.updatedBy = req.user._id;
+    await scanner.save();
+
+    res.json({
+      message: 'Scanner updated successfully',
+      scanner
+    });
+
+  } catch (error) {
+    console.error('Update scanner error:', error);
+    res.status(500).json({
+      error: 'Failed to update scanner',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/scanners/:scannerId/anti-passback
+// @desc    Configure anti-passback mode (hard/soft/off) for a scanner
+// @access  Private (Admin)
+router.put('/:scannerId/anti-passback', async (req, res) => {
+  try {
+    const { mode } = req.body;
+
+    if (!['hard', 'soft', 'off'].includes(mode)) {
+      return res.status(400).json({
+        error: 'Mode must be one of: hard, soft, off'
+      });
+    }
+
+    const scanner = await Scanner.findOneAndUpdate(
+      { scannerId: req.params.scannerId },
+      { $set: { antiPassbackMode: mode, updatedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!scanner) {
+      return res.status(404).json({
+        error: 'Scanner not found'
+      });
+    }
+
+    res.json({
+      message: `Anti-passback mode for scanner ${scanner.scannerId} set to ${mode}`,
+      scanner
+    });
+
+  } catch (error) {
+    console.error('Update anti-passback mode error:', error);
+    res.status(500).json({
+      error: 'Failed to update anti-passback mode',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/scanners/:scannerId/rotate-key
+// @desc    Issue a new API key for a scanner (the old key stops working immediately)
+// @access  Private (Admin)
+router.post('/:scannerId/rotate-key', async (req, res) => {
+  try {
+    const scanner = await Scanner.findOne({ scannerId: req.params.scannerId });
+    if (!scanner) {
+      return res.status(404).json({
+        error: 'Scanner not found'
+      });
+    }
+
+    const apiKey = scanner.generateApiKey();
+    scanner.updatedBy = req.user._id;
+    await scanner.save();
+
+    res.json({
+      message: 'Scanner API key rotated. Store the new key now; it will not be shown again.',
+      scanner,
+      apiKey
+    });
+
+  } catch (error) {
+    console.error('Rotate scanner key error:', error);
+    res.status(500).json({
+      error: 'Failed to rotate scanner API key',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/scanners/:scannerId
+// @desc    Remove a scanner from the registry
+// @access  Private (Admin)
+router.delete('/:scannerId', async (req, res) => {
+  try {
+    const scanner = await Scanner.findOne({ scannerId: req.params.scannerId });
+    if (!scanner) {
+      return res.status(404).json({
+        error: 'Scanner not found'
+      });
+    }
+
+    await scanner.deleteOne();
+
+    res.json({
+      message: 'Scanner deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete scanner error:', error);
+    res.status(500).json({
+      error: 'Failed to delete scanner',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -12,7 +12,8 @@ const createUserValidators = [
   body('phoneNumber').trim().notEmpty(),
   body('address').trim().notEmpty(),
   body('password').isLength({ min: 8 }),
-  body('role').isIn(['security_guard', 'admin', 'super_admin'])
+  body('role').isIn(['security_guard', 'admin', 'super_admin']),
+  body('assignedGate').optional().trim()
 ];
 
 // POST /api/system-admin/users
@@ -24,7 +25,7 @@ router.post('/users', authenticateToken, requireSystemAdmin, createUserValidator
       return res.status(400).json({ errors: errors.array() });
     }
 
-    const { firstName, middleName, lastName, email, phoneNumber, address, password, role } = req.body;
+    const { firstName, middleName, lastName, email, phoneNumber, address, password, role, assignedGate } = req.body;
 
     const existing = await User.findOne({ email });
     if (existing) {
@@ -39,7 +40,8 @@ router.post('/users', authenticateToken, requireSystemAdmin, createUserValidator
       phoneNumber,
       address,
       password,
-      role
+      role,
+      assignedGate: role === 'security_guard' ? assignedGate : undefined
     });
 
     await user.save();
@@ -53,7 +55,8 @@ router.post('/users', authenticateToken, requireSystemAdmin, createUserValidator
         email: user.email,
         phoneNumber: user.phoneNumber,
         address: user.address,
-        role: user.role
+        role: user.role,
+        assignedGate: user.assignedGate
       }
     });
   } catch (err) {
@@ -75,7 +78,7 @@ router.get('/users', authenticateToken, requireSystemAdmin, [
     const { role } = req.query;
     const filter = role ? { role } : { role: { $in: ['security_guard', 'admin', 'super_admin'] } };
 
-    const users = await User.find(filter).select('_id firstName lastName email phoneNumber address role createdAt');
+    const users = await User.find(filter).select('_id firstName lastName email phoneNumber address role assignedGate createdAt');
 
     return res.json({ users });
   } catch (err) {
@@ -93,7 +96,8 @@ router.put('/users/:userId', authenticateToken, requireSystemAdmin, [
   body('phoneNumber').optional().trim().notEmpty(),
   body('address').optional().trim().notEmpty(),
   body('password').optional().isLength({ min: 8 }),
-  body('role').optional().isIn(['security_guard', 'admin', 'super_admin'])
+  body('role').optional().isIn(['security_guard', 'admin', 'super_admin']),
+  body('assignedGate').optional().trim()
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -125,7 +129,7 @@ router.put('/users/:userId', authenticateToken, requireSystemAdmin, [
     }
 
     // Assign allowed fields
-    const assignable = ['firstName', 'middleName', 'lastName', 'email', 'phoneNumber', 'address'];
+    const assignable = ['firstName', 'middleName', 'lastName', 'email', 'phoneNumber', 'address', 'assignedGate'];
     assignable.forEach((k) => {
       if (typeof updates[k] !== 'undefined') {
         console.log(`📝 Updating ${k}: ${target[k]} → ${updates[k]}`);
@@ -161,7 +165,8 @@ router.put('/users/:userId', authenticateToken, requireSystemAdmin, [
         email: target.email,
         phoneNumber: target.phoneNumber,
         address: target.address,
-        role: target.role
+        role: target.role,
+        assignedGate: target.assignedGate
       }
     });
   } catch (err) {
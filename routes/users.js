@@ -3,6 +3,7 @@ const User = require('../models/User');
 const VehiclePassApplication = require('../models/VehiclePassApplication');
 const { validateUserId, validateVehicleId, validateVehicleRegistration } = require('../middleware/validation');
 const { authenticateToken, requireOwnershipOrAdmin } = require('../middleware/auth');
+const { deprecated, LEGACY_APPLICATIONS_SUNSET } = require('../middleware/deprecation');
 
 const router = express.Router();
 
@@ -88,6 +89,28 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// @route   GET /api/users/applications
+// @desc    Get current user's vehicle pass applications (deprecated: use GET /api/vehicle-passes)
+// @access  Private
+// Registered before /:userId, which would otherwise capture it
+router.get('/applications', deprecated({ successor: '/api/vehicle-passes', sunset: LEGACY_APPLICATIONS_SUNSET }), async (req, res) => {
+  try {
+    const applications = await VehiclePassApplication.forUser(req.user._id)
+      .sort({ createdAt: -1 });
+
+    res.json({
+      applications: applications.map((application) => application.toJSONFor(req.user._id))
+    });
+
+  } catch (error) {
+    console.error('Get applications error:', error);
+    res.status(500).json({
+      error: 'Failed to get applications',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/users/:userId
 // @desc    Get specific user (admin or own profile)
 // @access  Private
@@ -117,25 +140,4 @@ router.get('/:userId', validateUserId, requireOwnershipOrAdmin, async (req, res)
   }
 });
 
-// @route   GET /api/users/applications
-// @desc    Get current user's vehicle pass applications
-// @access  Private
-router.get('/applications', async (req, res) => {
-  try {
-    const applications = await VehiclePassApplication.find({ linkedUser: req.user._id })
-      .sort({ createdAt: -1 });
-
-    res.json({
-      applications
-    });
-
-  } catch (error) {
-    console.error('Get applications error:', error);
-    res.status(500).json({
-      error: 'Failed to get applications',
-      message: error.message
-    });
-  }
-});
-
 module.exports = router;
@@ -1,10 +1,21 @@
 const express = require('express');
 const User = require('../models/User');
 const VehiclePassApplication = require('../models/VehiclePassApplication');
-const { validateUserId } = require('../middleware/validation');
+const { validateUserId, validateApplicationUpdate, validateApplicationCancel, validateApplicationListing, validateApplicationLookup, validateDriverLink, validatePagination } = require('../middleware/validation');
+const { deprecated, LEGACY_APPLICATIONS_SUNSET } = require('../middleware/deprecation');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 const { uploadVehiclePassFiles, uploadSingleFile, handleUploadError, validateFileUpload } = require('../middleware/fileUpload');
 const gridfsStorage = require('../services/gridfsStorage');
+const WatchlistService = require('../services/watchlistService');
+const QRCredentialService = require('../services/qrCredentialService');
+const RenewalService = require('../services/renewalService');
+const RevisionService = require('../services/revisionService');
+const PaymentService = require('../services/paymentService');
+const PassDocumentService = require('../services/passDocumentService');
+const SharedVehicleService = require('../services/sharedVehicleService');
+const ApplicationListingService = require('../services/applicationListingService');
+const FirebaseService = require('../services/firebaseService');
+const { emitToRoom } = require('../services/realtime');
 
 const router = express.Router();
 
@@ -57,28 +68,27 @@ router.post('/application', authenticateToken, uploadVehiclePassFiles, handleUpl
     }
 
     // Check if any other user has already registered a vehicle with the same plate number, OR number, or CR number
-    const duplicateVehicle = await VehiclePassApplication.findOne({
-      $or: [
-        { 'vehicleInfo.plateNumber': vehicleInfo.plateNumber },
-        { 'vehicleInfo.orNumber': vehicleInfo.orNumber },
-        { 'vehicleInfo.crNumber': vehicleInfo.crNumber }
-      ]
-    });
-
-    if (duplicateVehicle) {
-      const duplicateFields = [];
-      if (duplicateVehicle.vehicleInfo.plateNumber === vehicleInfo.plateNumber) {
-        duplicateFields.push('plate number');
-      }
-      if (duplicateVehicle.vehicleInfo.orNumber === vehicleInfo.orNumber) {
-        duplicateFields.push('OR number');
-      }
-      if (duplicateVehicle.vehicleInfo.crNumber === vehicleInfo.crNumber) {
-        duplicateFields.push('CR number');
-      }
-      
+    const duplicateFields = await VehiclePassApplication.findDuplicateVehicleFields(vehicleInfo);
+    if (duplicateFields.length) {
       return res.status(400).json({ 
-        error: `Vehicle with the same ${duplicateFields.join(', ')} has already been registered by another user` 
+        error: `Vehicle with the same ${duplicateFields.join(', ')} has already been registered by another user`,
+        message: 'To use a household vehicle, ask its owner to add you as a driver or passenger on their pass'
+      });
+    }
+
+    // Banned plates/IDs are refused; other watchlist hits are accepted but reported to security
+    const watchlist = await WatchlistService.check({ plateNumber: vehicleInfo.plateNumber, idNumber });
+    if (watchlist.banned) {
+      await WatchlistService.raiseAlert(watchlist.hits, {
+        source: 'online_application',
+        action: 'denied',
+        plateNumber: vehicleInfo.plateNumber,
+        idNumber,
+        user: req.user._id
+      });
+      return res.status(403).json({
+        error: 'This application cannot be accepted. Please contact the security office.',
+        code: 'WATCHLISTED'
       });
     }
 
@@ -208,6 +218,31 @@ router.post('/application', authenticateToken, uploadVehiclePassFiles, handleUpl
           mimeType: uploadResult.mimeType
         };
       }
+
+      // Upload vehicle photo if provided
+      if (req.files.vehiclePhoto && req.files.vehiclePhoto[0]) {
+        const file = req.files.vehiclePhoto[0];
+        const fileName = gridfsStorage.generateUniqueFileName(
+          file.originalname, 
+          req.user._id.toString(), 
+          'vehiclePhoto'
+        );
+        
+        const uploadResult = await gridfsStorage.uploadFile(
+          file.buffer, 
+          fileName, 
+          file.mimetype,
+          { userId: req.user._id.toString(), fileType: 'vehiclePhoto' }
+        );
+        
+        attachments.vehiclePhoto = {
+          fileId: uploadResult.fileId,
+          fileName: uploadResult.fileName,
+          uploadedAt: uploadResult.uploadedAt,
+          fileSize: uploadResult.fileSize,
+          mimeType: uploadResult.mimeType
+        };
+      }
     } catch (uploadError) {
       console.error('File upload error:', uploadError);
       return res.status(500).json({
@@ -248,6 +283,15 @@ router.post('/application', authenticateToken, uploadVehiclePassFiles, handleUpl
 
     await application.save();
 
+    await WatchlistService.raiseAlert(watchlist.hits, {
+      source: 'online_application',
+      action: 'allowed',
+      application: application._id,
+      plateNumber: vehicleInfo.plateNumber,
+      idNumber,
+      user: req.user._id
+    });
+
     res.status(201).json({
       message: 'Vehicle pass application submitted successfully',
       application
@@ -264,16 +308,57 @@ router.post('/application', authenticateToken, uploadVehiclePassFiles, handleUpl
 
 // Walk-in routes moved to routes/walkins.js
 
+// @route   GET /api/vehicle-passes
+// @desc    List the current user's applications with documents, pass validity and latest scan (filters: status, vehicleType, plateNumber, applicationType)
+// @access  Private
+router.get('/', authenticateToken, validatePagination, validateApplicationListing, async (req, res) => {
+  try {
+    const { status, vehicleType, plateNumber, applicationType, page = 1, limit = 20 } = req.query;
+
+    const filter = {};
+    if (status) filter.status = { $in: String(status).split(',').map((s) => s.trim()) };
+    if (vehicleType) filter['vehicleInfo.type'] = vehicleType;
+    if (plateNumber) filter['vehicleInfo.plateNumber'] = plateNumber;
+    if (applicationType) filter.applicationType = applicationType;
+
+    const query = { ...filter, ...VehiclePassApplication.userFilter(req.user._id) };
+    const applications = await VehiclePassApplication.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(parseInt(limit));
+
+    const total = await VehiclePassApplication.countDocuments(query);
+
+    res.json({
+      applications: await ApplicationListingService.summarize(applications, req.user._id),
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+
+  } catch (error) {
+    console.error('List applications error:', error);
+    res.status(500).json({
+      error: 'Failed to get applications',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/vehicle-passes/my-applications
-// @desc    Get current user's vehicle pass applications
+// @desc    Get current user's vehicle pass applications (deprecated: use GET /api/vehicle-passes)
 // @access  Private
-router.get('/my-applications', authenticateToken, async (req, res) => {
+router.get('/my-applications', authenticateToken, deprecated({ successor: '/api/vehicle-passes', sunset: LEGACY_APPLICATIONS_SUNSET }), async (req, res) => {
   try {
-    const applications = await VehiclePassApplication.find({ linkedUser: req.user._id })
+    const filter = req.query.plateNumber ? { 'vehicleInfo.plateNumber': req.query.plateNumber } : {};
+    const applications = await VehiclePassApplication.forUser(req.user._id, filter)
       .sort({ createdAt: -1 });
 
     res.json({
-      applications,
+      applications: applications.map((application) => ({
+        ...application.toJSONFor(req.user._id),
+        role: application.roleOf(req.user._id)
+      })),
       total: applications.length
     });
 
@@ -286,12 +371,46 @@ router.get('/my-applications', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/vehicle-passes/my-vehicles
+// @desc    Get current user's vehicles with the pass and applications for each
+// @access  Private
+router.get('/my-vehicles', authenticateToken, async (req, res) => {
+  try {
+    const applications = await VehiclePassApplication.forUser(req.user._id)
+      .select('vehicleInfo vehicleUserType applicationType status linkedUser drivers createdAt');
+
+    const vehicles = SharedVehicleService.groupByVehicle(applications, req.user._id);
+
+    res.json({
+      vehicles,
+      total: vehicles.length
+    });
+
+  } catch (error) {
+    console.error('Get user vehicles error:', error);
+    res.status(500).json({
+      error: 'Failed to get user vehicles',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/vehicle-passes/my-application
-// @desc    Get current user's vehicle pass application
+// @desc    Get current user's vehicle pass application (deprecated: use GET /api/vehicle-passes/:applicationId)
 // @access  Private
-router.get('/my-application', authenticateToken, async (req, res) => {
+router.get('/my-application', authenticateToken, deprecated({ successor: '/api/vehicle-passes', sunset: LEGACY_APPLICATIONS_SUNSET }), validateApplicationLookup, async (req, res) => {
   try {
-    const application = await VehiclePassApplication.findOne({ linkedUser: req.user._id })
+    const { plateNumber, applicationId } = req.query;
+
+    const filter = {};
+    if (plateNumber) filter['vehicleInfo.plateNumber'] = plateNumber;
+    if (applicationId) filter._id = applicationId;
+
+    const applications = await VehiclePassApplication.forUser(req.user._id)
+      .select('vehicleInfo vehicleUserType applicationType status linkedUser drivers createdAt');
+
+    const application = await VehiclePassApplication.findOne({ ...filter, ...VehiclePassApplication.userFilter(req.user._id) })
+      .sort({ createdAt: -1 })
       .populate('reviewedBy', 'firstName lastName email')
       .populate('linkedUser', 'firstName lastName email phoneNumber address affiliation');
 
@@ -299,7 +418,11 @@ router.get('/my-application', authenticateToken, async (req, res) => {
       return res.status(404).json({ error: 'No vehicle pass application found' });
     }
 
-    res.json({ application });
+    res.json({
+      application: application.toJSONFor(req.user._id),
+      role: application.roleOf(req.user._id),
+      vehicles: SharedVehicleService.groupByVehicle(applications, req.user._id)
+    });
 
   } catch (error) {
     console.error('Get vehicle pass application error:', error);
@@ -310,22 +433,617 @@ router.get('/my-application', authenticateToken, async (req, res) => {
   }
 });
 
+// @route   GET /api/vehicle-passes/:applicationId
+// @desc    Get one of the current user's applications with documents, pass validity, latest scan and history
+// @access  Private (Owner or linked driver/passenger)
+router.get('/:applicationId', authenticateToken, validateApplicationLookup, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findOne({
+      _id: req.params.applicationId,
+      ...VehiclePassApplication.userFilter(req.user._id)
+    }).populate('drivers.user', 'firstName lastName email');
+
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const [summary] = await ApplicationListingService.summarize([application], req.user._id);
+    const isApplicant = summary.role.isApplicant;
+
+    res.json({
+      application: {
+        ...summary,
+        statusHistory: application.statusHistory,
+        openRevisionRequest: application.getOpenRevisionRequest(),
+        // Fees and other household members are only shown to the applicant
+        assessment: isApplicant ? application.assessment : undefined,
+        paymentInfo: isApplicant ? application.paymentInfo : undefined,
+        drivers: isApplicant ? application.drivers : undefined
+      }
+    });
+
+  } catch (error) {
+    console.error('Get application error:', error);
+    res.status(500).json({
+      error: 'Failed to get application',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/vehicle-passes/:applicationId/drivers
+// @desc    Share the vehicle with another registered user as a driver or passenger (pending admin approval)
+// @access  Private (Owner)
+router.post('/:applicationId/drivers', authenticateToken, validateDriverLink, async (req, res) => {
+  try {
+    const { email, vehicleUserType, relationship, licenseNumber } = req.body;
+
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const user = await User.findOne({ email: email.toLowerCase() }).select('firstName lastName email');
+    if (!user) {
+      return res.status(404).json({ error: 'No registered user with this email' });
+    }
+
+    const result = SharedVehicleService.addDriver(application, user, { vehicleUserType, relationship, licenseNumber }, req.user._id);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    await application.save();
+
+    emitToRoom('admins', 'application:driverAdded', {
+      applicationId: application._id,
+      plateNumber: application.vehicleInfo.plateNumber,
+      driver: result.driver
+    });
+
+    try {
+      await FirebaseService.addUserNotification(user._id.toString(), {
+        title: 'Vehicle Shared With You',
+        message: `Hi ${user.firstName || 'there'}, ${application.applicant.givenName || 'a vehicle owner'} added you as a ${vehicleUserType} of vehicle ${application.vehicleInfo.plateNumber}. The link becomes active once an administrator approves it.`,
+        type: 'info',
+        data: {
+          applicationId: application._id.toString(),
+          vehiclePlate: application.vehicleInfo.plateNumber,
+          driverId: result.driver._id.toString(),
+          status: 'pending'
+        }
+      });
+    } catch (notificationError) {
+      console.error('Failed to send driver link notification:', notificationError);
+      // Don't fail the main request if notification fails
+    }
+
+    res.status(201).json({
+      message: `${vehicleUserType === 'driver' ? 'Driver' : 'Passenger'} added and waiting for approval`,
+      driver: result.driver
+    });
+
+  } catch (error) {
+    console.error('Add driver error:', error);
+    res.status(500).json({
+      error: 'Failed to add driver',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/vehicle-passes/:applicationId/drivers/:driverId
+// @desc    Remove a driver or passenger from a shared vehicle (the owner, or the linked user leaving)
+// @access  Private (Owner or linked user)
+router.delete('/:applicationId/drivers/:driverId', authenticateToken, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    const driver = application.drivers.id(req.params.driverId);
+    if (!driver || driver.status === 'removed') {
+      return res.status(404).json({ error: 'Driver not found on this application' });
+    }
+
+    const isOwner = application.linkedUser && application.linkedUser.toString() === req.user._id.toString();
+    if (!isOwner && driver.user.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    driver.status = 'removed';
+    driver.reviewedBy = req.user._id;
+    driver.reviewedAt = new Date();
+    driver.reason = isOwner ? 'Removed by owner' : 'Left the shared vehicle';
+    await application.save();
+
+    res.json({
+      message: 'Removed from the shared vehicle',
+      driver
+    });
+
+  } catch (error) {
+    console.error('Remove driver error:', error);
+    res.status(500).json({
+      error: 'Failed to remove driver',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/vehicle-passes/:applicationId/qr-credential
+// @desc    Get the current rotating QR credential of a completed pass (refetch when it expires)
+// @access  Private (Owner or approved driver)
+router.get('/:applicationId/qr-credential', authenticateToken, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    // Approved drivers of a shared vehicle carry their own copy of the credential
+    const role = application.roleOf(req.user._id);
+    if (!role || !(role.isApplicant || role.status === 'approved')) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (application.status !== 'completed') {
+      return res.status(409).json({ error: 'QR credentials are only available for completed applications' });
+    }
+
+    // Completed renewals only extend the pass they renew; the credential belongs to that pass
+    if (application.applicationType === 'renewal' || !application.rfidInfo || !application.rfidInfo.validUntil) {
+      return res.status(409).json({ error: 'QR credentials are only available for passes with a validity period' });
+    }
+
+    const credential = await QRCredentialService.issue(application);
+
+    res.set('Cache-Control', 'no-store');
+    res.json({
+      credential,
+      application: {
+        id: application._id,
+        plateNumber: application.vehicleInfo.plateNumber,
+        vehicleType: application.vehicleInfo.type,
+        validUntil: application.rfidInfo && application.rfidInfo.validUntil
+      }
+    });
+
+  } catch (error) {
+    console.error('Get QR credential error:', error);
+    res.status(500).json({
+      error: 'Failed to get QR credential',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/vehicle-passes/:applicationId/assessment
+// @desc    Fee to pay for an approved application (or a renewal under review) and its payment
+// @access  Private (Owner)
+router.get('/:applicationId/assessment', authenticateToken, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const paid = !!(application.paymentInfo && application.paymentInfo.paidAt);
+    let assessment = application.assessment && application.assessment.amount !== undefined ? application.assessment : null;
+    // Renewals are only assessed when paid, so show the current fee while they are under review
+    if (!assessment && !paid && PaymentService.isPayable(application)) {
+      assessment = await PaymentService.assess(application);
+    }
+
+    if (!assessment && !paid) {
+      return res.status(409).json({ error: 'No fee has been assessed for this application yet' });
+    }
+
+    res.json({
+      applicationId: application._id,
+      status: application.status,
+      assessment,
+      paid,
+      paymentInfo: paid ? {
+        paidAt: application.paymentInfo.paidAt,
+        orReceiptNumber: application.paymentInfo.orReceiptNumber,
+        amount: application.paymentInfo.amount
+      } : null
+    });
+
+  } catch (error) {
+    console.error('Get assessment error:', error);
+    res.status(500).json({
+      error: 'Failed to get assessment',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/vehicle-passes/:applicationId/documents/:kind
+// @desc    Download the printable pass (kind=pass) or payment acknowledgement (kind=receipt) as PDF
+// @access  Private (Owner)
+router.get('/:applicationId/documents/:kind(pass|receipt)', authenticateToken, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    await PassDocumentService.send(res, req.params.kind, application, `${req.protocol}://${req.get('host')}`);
+
+  } catch (error) {
+    console.error('Get pass document error:', error);
+    res.status(500).json({
+      error: 'Failed to generate document',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vehicle-passes/:applicationId
+// @desc    Correct details of a pending application (admins see it through vehiclePass:updated)
+// @access  Private (Owner)
+router.put('/:applicationId', authenticateToken, validateApplicationUpdate, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    // Applications sent back for revision are corrected through /resubmit instead
+    if (application.status !== 'pending') {
+      return res.status(409).json({ error: `Application cannot be edited while it is ${application.status}` });
+    }
+
+    const changes = [];
+    VehiclePassApplication.REVISABLE_FIELDS.forEach((field) => {
+      const value = field.split('.').reduce((source, key) => (source == null ? undefined : source[key]), req.body);
+      if (value !== undefined && value !== application.get(field)) {
+        changes.push({ field, from: application.get(field), to: value });
+        application.set(field, value);
+      }
+    });
+
+    if (!changes.length) {
+      return res.status(400).json({ error: 'No changes to apply' });
+    }
+
+    const changedFields = changes.map((change) => change.field);
+    // A renewal is for the vehicle on the pass it renews
+    if (application.applicationType === 'renewal' && changedFields.includes('vehicleInfo.plateNumber')) {
+      return res.status(400).json({ error: 'The plate number of a renewal cannot be changed' });
+    }
+    if (['vehicleInfo.plateNumber', 'vehicleInfo.orNumber', 'vehicleInfo.crNumber'].some((field) => changedFields.includes(field))) {
+      const duplicateFields = await VehiclePassApplication.findDuplicateVehicleFields(
+        application.vehicleInfo,
+        [application._id, application.renewalOf].filter(Boolean)
+      );
+      if (duplicateFields.length) {
+        return res.status(400).json({
+          error: `Vehicle with the same ${duplicateFields.join(', ')} has already been registered by another user`
+        });
+      }
+    }
+
+    if (changedFields.includes('vehicleInfo.plateNumber') || changedFields.includes('idNumber')) {
+      const watchlist = await WatchlistService.check({ plateNumber: application.vehicleInfo.plateNumber, idNumber: application.idNumber });
+      if (watchlist.banned) {
+        await WatchlistService.raiseAlert(watchlist.hits, {
+          source: 'online_application',
+          action: 'denied',
+          application: application._id,
+          plateNumber: application.vehicleInfo.plateNumber,
+          idNumber: application.idNumber,
+          user: req.user._id
+        });
+        return res.status(403).json({
+          error: 'This application cannot be accepted. Please contact the security office.',
+          code: 'WATCHLISTED'
+        });
+      }
+      await WatchlistService.raiseAlert(watchlist.hits, {
+        source: 'online_application',
+        action: 'allowed',
+        application: application._id,
+        plateNumber: application.vehicleInfo.plateNumber,
+        idNumber: application.idNumber,
+        user: req.user._id
+      });
+    }
+
+    await application.save();
+
+    res.json({
+      message: 'Application updated successfully',
+      changes,
+      application
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update application error:', error);
+    res.status(500).json({
+      error: 'Failed to update application',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/vehicle-passes/:applicationId/cancel
+// @desc    Withdraw an application that has not been completed yet
+// @access  Private (Owner)
+router.post('/:applicationId/cancel', authenticateToken, validateApplicationCancel, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (!application.canTransitionTo('cancelled')) {
+      return res.status(409).json({ error: `Application cannot be cancelled while it is ${application.status}` });
+    }
+
+    application.transitionTo('cancelled', { by: req.user._id, reason: req.body.reason || 'Withdrawn by applicant' });
+    await application.save();
+
+    res.json({
+      message: 'Application cancelled successfully',
+      application: {
+        id: application._id,
+        status: application.status,
+        statusHistory: application.statusHistory
+      }
+    });
+
+  } catch (error) {
+    console.error('Cancel application error:', error);
+    res.status(500).json({
+      error: 'Failed to cancel application',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/vehicle-passes/:applicationId/resubmit
+// @desc    Correct the fields flagged for revision and send the application back to review
+// @access  Private (Owner)
+router.put('/:applicationId/resubmit', authenticateToken, async (req, res) => {
+  try {
+    const application = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!application) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!application.linkedUser || application.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    if (application.status !== 'for_revision') {
+      return res.status(409).json({ error: 'Only applications sent back for revision can be resubmitted' });
+    }
+
+    const result = await RevisionService.resubmit(application, req.body, req.user._id);
+    if (result.error) {
+      return res.status(result.status || 400).json({ error: result.error, code: result.code, fields: result.fields });
+    }
+
+    emitToRoom('admins', 'application:resubmitted', {
+      applicationId: application._id,
+      plateNumber: application.vehicleInfo.plateNumber,
+      changes: result.changes,
+      resubmittedAt: new Date()
+    });
+
+    res.json({
+      message: 'Application resubmitted for review',
+      changes: result.changes,
+      application
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Resubmit application error:', error);
+    res.status(500).json({
+      error: 'Failed to resubmit application',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/vehicle-passes/:applicationId/renewal
+// @desc    Request renewal of an expiring pass with fresh OR/CR copies (same tag, new validity period)
+// @access  Private (Owner)
+router.post('/:applicationId/renewal', authenticateToken, uploadVehiclePassFiles, handleUploadError, validateFileUpload, async (req, res) => {
+  try {
+    const original = await VehiclePassApplication.findById(req.params.applicationId);
+    if (!original) {
+      return res.status(404).json({ error: 'Application not found' });
+    }
+
+    if (!original.linkedUser || original.linkedUser.toString() !== req.user._id.toString()) {
+      return res.status(403).json({ error: 'Access denied' });
+    }
+
+    const ineligible = RenewalService.getIneligibilityReason(original);
+    if (ineligible) {
+      return res.status(409).json({ error: ineligible });
+    }
+
+    const openRenewal = await RenewalService.findOpenRenewal(original._id);
+    if (openRenewal) {
+      return res.status(409).json({
+        error: 'A renewal for this pass is already being processed',
+        renewalId: openRenewal._id
+      });
+    }
+
+    // Registration documents must be current for every renewal
+    if (!req.files.orCopy || !req.files.orCopy[0] || !req.files.crCopy || !req.files.crCopy[0]) {
+      return res.status(400).json({ error: 'Fresh OR and CR copies are required to renew a pass' });
+    }
+
+    const { contactNumber, homeAddress, orNumber, crNumber } = req.body;
+    const source = original.toObject();
+    const vehicleInfo = {
+      ...source.vehicleInfo,
+      orNumber: orNumber || source.vehicleInfo.orNumber,
+      crNumber: crNumber || source.vehicleInfo.crNumber
+    };
+
+    // New OR/CR numbers must not belong to another vehicle; the pass and its renewals are not duplicates
+    const duplicateFields = await VehiclePassApplication.findDuplicateVehicleFields(vehicleInfo, [original._id]);
+    if (duplicateFields.length) {
+      return res.status(400).json({
+        error: `Vehicle with the same ${duplicateFields.join(', ')} has already been registered by another user`
+      });
+    }
+
+    // Banned since the pass was issued: the renewal is refused like a new application
+    const watchlist = await WatchlistService.check({ plateNumber: vehicleInfo.plateNumber, idNumber: source.idNumber });
+    if (watchlist.banned) {
+      await WatchlistService.raiseAlert(watchlist.hits, {
+        source: 'online_application',
+        action: 'denied',
+        application: original._id,
+        plateNumber: vehicleInfo.plateNumber,
+        idNumber: source.idNumber,
+        user: req.user._id
+      });
+      return res.status(403).json({
+        error: 'This application cannot be accepted. Please contact the security office.',
+        code: 'WATCHLISTED'
+      });
+    }
+
+    const attachments = {};
+    try {
+      for (const fileType of Object.keys(req.files)) {
+        const file = req.files[fileType][0];
+        const fileName = gridfsStorage.generateUniqueFileName(
+          file.originalname,
+          req.user._id.toString(),
+          fileType
+        );
+        const uploadResult = await gridfsStorage.uploadFile(
+          file.buffer,
+          fileName,
+          file.mimetype,
+          { userId: req.user._id.toString(), fileType }
+        );
+        attachments[fileType] = {
+          fileId: uploadResult.fileId,
+          fileName: uploadResult.fileName,
+          uploadedAt: uploadResult.uploadedAt,
+          fileSize: uploadResult.fileSize,
+          mimeType: uploadResult.mimeType
+        };
+      }
+    } catch (uploadError) {
+      console.error('File upload error:', uploadError);
+      return res.status(500).json({
+        error: 'Failed to upload files',
+        message: uploadError.message
+      });
+    }
+
+    // Clone the pass into a new review cycle; applicant details may be updated
+    const renewal = new VehiclePassApplication({
+      applicant: source.applicant,
+      homeAddress: homeAddress || source.homeAddress,
+      schoolAffiliation: source.schoolAffiliation,
+      otherAffiliation: source.otherAffiliation,
+      idNumber: source.idNumber,
+      contactNumber: contactNumber || source.contactNumber,
+      employmentStatus: source.employmentStatus,
+      company: source.company,
+      purpose: source.purpose,
+      guardianName: source.guardianName,
+      guardianAddress: source.guardianAddress,
+      vehicleUserType: source.vehicleUserType,
+      vehicleInfo,
+      attachments,
+      status: 'pending',
+      linkedUser: original.linkedUser,
+      applicationType: 'renewal',
+      renewalOf: original._id
+    });
+    await renewal.save();
+
+    await WatchlistService.raiseAlert(watchlist.hits, {
+      source: 'online_application',
+      action: 'allowed',
+      application: renewal._id,
+      plateNumber: vehicleInfo.plateNumber,
+      idNumber: renewal.idNumber,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Renewal request submitted successfully',
+      application: renewal,
+      currentValidUntil: original.rfidInfo.validUntil
+    });
+
+  } catch (error) {
+    console.error('Renewal request error:', error);
+    res.status(500).json({
+      error: 'Failed to submit renewal request',
+      message: error.message
+    });
+  }
+});
+
 // @route   GET /api/vehicle-passes/user/:userId
-// @desc    Get user's vehicle pass application (admin only)
+// @desc    Get a user's vehicle pass applications and vehicles (admin only; query: plateNumber)
 // @access  Private (Admin)
 router.get('/user/:userId', authenticateToken, requireAdmin, validateUserId, async (req, res) => {
   try {
     const { userId } = req.params;
+    const filter = req.query.plateNumber ? { 'vehicleInfo.plateNumber': req.query.plateNumber } : {};
 
-    const application = await VehiclePassApplication.findOne({ linkedUser: userId })
+    const applications = await VehiclePassApplication.forUser(userId, filter, { includeUnapproved: true })
+      .sort({ createdAt: -1 })
       .populate('reviewedBy', 'firstName lastName email')
       .populate('linkedUser', 'firstName lastName email phoneNumber address');
 
-    if (!application) {
+    if (!applications.length) {
       return res.status(404).json({ error: 'No vehicle pass application found for this user' });
     }
 
-    res.json({ application });
+    res.json({
+      // Most recent application, kept for clients that expect a single one
+      application: applications[0],
+      applications: applications.map((application) => ({
+        ...application.toJSON(),
+        role: application.roleOf(userId)
+      })),
+      vehicles: SharedVehicleService.groupByVehicle(applications, userId)
+    });
 
   } catch (error) {
     console.error('Get user vehicle pass application error:', error);
@@ -344,7 +1062,7 @@ router.get('/files/:applicationId/:fileType', authenticateToken, async (req, res
     const { applicationId, fileType } = req.params;
     
     // Validate file type
-    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale'];
+    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale', 'vehiclePhoto'];
     if (!validFileTypes.includes(fileType)) {
       return res.status(400).json({ error: 'Invalid file type' });
     }
@@ -355,11 +1073,12 @@ router.get('/files/:applicationId/:fileType', authenticateToken, async (req, res
       return res.status(404).json({ error: 'Application not found' });
     }
 
-    // Check permissions (user can only access their own files, admin can access any)
+    // Check permissions (user can only access their own files, admin can access any, guards can see vehicle photos)
     const isAdmin = ['admin', 'super_admin'].includes(req.user.role);
-    const isOwner = application.linkedUser.toString() === req.user._id.toString();
+    const isOwner = application.linkedUser && application.linkedUser.toString() === req.user._id.toString();
+    const isGuardPhoto = fileType === 'vehiclePhoto' && req.user.role === 'security_guard';
     
-    if (!isAdmin && !isOwner) {
+    if (!isAdmin && !isOwner && !isGuardPhoto) {
       return res.status(403).json({ error: 'Access denied' });
     }
 
@@ -400,7 +1119,7 @@ router.put('/files/:applicationId/:fileType', authenticateToken, uploadSingleFil
     const { applicationId, fileType } = req.params;
     
     // Validate file type
-    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale'];
+    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale', 'vehiclePhoto'];
     if (!validFileTypes.includes(fileType)) {
       return res.status(400).json({ error: 'Invalid file type' });
     }
@@ -424,11 +1143,17 @@ router.put('/files/:applicationId/:fileType', authenticateToken, uploadSingleFil
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if application is still editable (not approved or rejected)
-    if (application.status === 'approved' || application.status === 'rejected') {
+    // Check if application is still editable (pending or sent back for revision)
+    if (!['pending', 'for_revision'].includes(application.status)) {
       return res.status(400).json({ error: 'Cannot update files for processed applications' });
     }
 
+    // While under revision, applicants may only replace the documents that were flagged
+    const revisionRequest = application.getOpenRevisionRequest();
+    if (!isAdmin && revisionRequest && !revisionRequest.comments.some((c) => c.field === fileType)) {
+      return res.status(400).json({ error: 'Only documents flagged for revision can be replaced' });
+    }
+
     const file = req.file;
     const fileName = gridfsStorage.generateUniqueFileName(
       file.originalname, 
@@ -492,7 +1217,7 @@ router.delete('/files/:applicationId/:fileType', authenticateToken, async (req,
     const { applicationId, fileType } = req.params;
     
     // Validate file type
-    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale'];
+    const validFileTypes = ['orCopy', 'crCopy', 'driversLicenseCopy', 'authLetter', 'deedOfSale', 'vehiclePhoto'];
     if (!validFileTypes.includes(fileType)) {
       return res.status(400).json({ error: 'Invalid file type' });
     }
@@ -511,11 +1236,17 @@ router.delete('/files/:applicationId/:fileType', authenticateToken, async (req,
       return res.status(403).json({ error: 'Access denied' });
     }
 
-    // Check if application is still editable (not approved or rejected)
-    if (application.status === 'approved' || application.status === 'rejected') {
+    // Check if application is still editable (pending or sent back for revision)
+    if (!['pending', 'for_revision'].includes(application.status)) {
       return res.status(400).json({ error: 'Cannot delete files from processed applications' });
     }
 
+    // While under revision, applicants may only remove the documents that were flagged
+    const revisionRequest = application.getOpenRevisionRequest();
+    if (!isAdmin && revisionRequest && !revisionRequest.comments.some((c) => c.field === fileType)) {
+      return res.status(400).json({ error: 'Only documents flagged for revision can be deleted' });
+    }
+
     // Handle different file types
     // Single file types
     if (!application.attachments || !application.attachments[fileType] || !application.attachments[fileType].fileId) {
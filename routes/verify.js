@@ -0,0 +1,63 @@
+const express = require('express');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const PassDocumentService = require('../services/passDocumentService');
+
+const router = express.Router();
+
+// Plate numbers are shown partly masked on the public page
+const maskPlate = (plate) => (plate ? plate.replace(/[A-Za-z0-9](?=[A-Za-z0-9]{2})/g, '*') : plate);
+
+// @route   GET /api/verify/:kind/:applicationId/:signature
+// @desc    Confirm that a printed vehicle pass or payment acknowledgement is genuine (URL encoded in its QR code)
+// @access  Public
+router.get('/:kind(pass|receipt)/:applicationId/:signature', async (req, res) => {
+  try {
+    const { kind, applicationId, signature } = req.params;
+
+    if (!/^[a-f0-9]{24}$/i.test(applicationId) || !PassDocumentService.isValidSignature(kind, applicationId, signature)) {
+      return res.status(404).json({ valid: false, error: 'Document not recognised' });
+    }
+
+    const application = await VehiclePassApplication.findById(applicationId);
+    if (!application) {
+      return res.status(404).json({ valid: false, error: 'Document not recognised' });
+    }
+
+    const vehicleInfo = application.vehicleInfo || {};
+
+    if (kind === 'receipt') {
+      const paymentInfo = application.paymentInfo || {};
+      return res.json({
+        valid: !!paymentInfo.paidAt,
+        document: 'receipt',
+        orReceiptNumber: paymentInfo.orReceiptNumber,
+        amount: paymentInfo.amount,
+        paidAt: paymentInfo.paidAt,
+        plateNumber: maskPlate(vehicleInfo.plateNumber)
+      });
+    }
+
+    const rfidInfo = application.rfidInfo || {};
+    res.json({
+      // The document is genuine; whether it still grants access is reported separately
+      valid: true,
+      document: 'pass',
+      // Passes without a validity period are refused at the gate too (NO_VALIDITY_PERIOD)
+      currentlyValid: application.status === 'completed' && !!rfidInfo.isActive &&
+        !!rfidInfo.validUntil && rfidInfo.validUntil > new Date(),
+      status: application.status,
+      plateNumber: maskPlate(vehicleInfo.plateNumber),
+      vehicleType: vehicleInfo.type,
+      validUntil: rfidInfo.validUntil
+    });
+
+  } catch (error) {
+    console.error('Verify document error:', error);
+    res.status(500).json({
+      error: 'Failed to verify document',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
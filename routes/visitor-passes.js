@@ -0,0 +1,255 @@
+const express = require('express');
+const VisitorPass = require('../models/VisitorPass');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const RFIDScan = require('../models/RFIDScan');
+const WatchlistService = require('../services/watchlistService');
+const { validateVisitorPass, validateVisitorPassClose, validatePagination } = require('../middleware/validation');
+const { authenticateToken, requireSecurityStaff } = require('../middleware/auth');
+
+const router = express.Router();
+
+const DEFAULT_HOURS = parseInt(process.env.VISITOR_PASS_DEFAULT_HOURS || '8', 10);
+const MAX_DAYS = parseInt(process.env.VISITOR_PASS_MAX_DAYS || '7', 10);
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Apply security staff middleware to all routes
+router.use(authenticateToken, requireSecurityStaff);
+
+// @route   POST /api/visitor-passes
+// @desc    Issue a temporary visitor pass to a plate
+// @access  Private (Security staff)
+router.post('/', validateVisitorPass, async (req, res) => {
+  try {
+    const { visitorName, contactNumber, plateNumber, vehicleType, hostName, purpose, loanerTagId, durationHours } = req.body;
+
+    const validFrom = req.body.validFrom ? new Date(req.body.validFrom) : new Date();
+    const validUntil = req.body.validUntil
+      ? new Date(req.body.validUntil)
+      : new Date(validFrom.getTime() + (durationHours || DEFAULT_HOURS) * 60 * 60 * 1000);
+    const expectedExitAt = req.body.expectedExitAt ? new Date(req.body.expectedExitAt) : validUntil;
+
+    if (validUntil <= validFrom) {
+      return res.status(400).json({ error: 'Pass must end after it starts' });
+    }
+    if (validUntil - validFrom > MAX_DAYS * 24 * 60 * 60 * 1000) {
+      return res.status(400).json({ error: `Visitor passes cannot last longer than ${MAX_DAYS} days` });
+    }
+    if (expectedExitAt < validFrom || expectedExitAt > validUntil) {
+      return res.status(400).json({ error: 'Expected exit time must fall within the pass validity' });
+    }
+
+    // A loaner tag can only be out with one visitor, and never collide with an annual pass.
+    // Passes that were never closed free their tag once they expire.
+    if (loanerTagId) {
+      const [assignedToApplication, onActivePass] = await Promise.all([
+        VehiclePassApplication.exists({ 'rfidInfo.tagId': loanerTagId }),
+        VisitorPass.exists({ loanerTagId, status: 'active', validUntil: { $gt: new Date() } })
+      ]);
+      if (assignedToApplication || onActivePass) {
+        return res.status(400).json({
+          error: 'Loaner tag is already in use'
+        });
+      }
+    }
+
+    const watchlist = await WatchlistService.check({ plateNumber });
+    if (watchlist.banned) {
+      await WatchlistService.raiseAlert(watchlist.hits, {
+        source: 'visitor_pass',
+        action: 'denied',
+        plateNumber,
+        user: req.user._id
+      });
+      return res.status(403).json({
+        error: 'Vehicle is banned by the watchlist',
+        code: 'WATCHLISTED',
+        watchlist: WatchlistService.describeHits(watchlist.hits)
+      });
+    }
+
+    const visitorPass = new VisitorPass({
+      visitorName,
+      contactNumber,
+      plateNumber,
+      vehicleType,
+      hostName,
+      purpose,
+      loanerTagId,
+      validFrom,
+      validUntil,
+      expectedExitAt,
+      issuedBy: req.user._id
+    });
+    await visitorPass.save();
+
+    await WatchlistService.raiseAlert(watchlist.hits, {
+      source: 'visitor_pass',
+      action: 'allowed',
+      visitorPass: visitorPass._id,
+      plateNumber,
+      user: req.user._id
+    });
+
+    res.status(201).json({
+      message: 'Visitor pass issued successfully',
+      visitorPass,
+      // Encode this in the printed QR code; scanners submit it as the tag ID
+      qrPayload: visitorPass.passCode,
+      watchlist: watchlist.hits.length ? WatchlistService.describeHits(watchlist.hits) : undefined
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Issue visitor pass error:', error);
+    res.status(500).json({
+      error: 'Failed to issue visitor pass',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/visitor-passes
+// @desc    List visitor passes (filters: status, current, plateNumber)
+// @access  Private (Security staff)
+router.get('/', validatePagination, async (req, res) => {
+  try {
+    const { status, current, plateNumber, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (plateNumber) query.plateNumber = { $regex: escapeRegex(String(plateNumber)), $options: 'i' };
+    if (current === 'true') {
+      const now = new Date();
+      query.status = 'active';
+      query.validFrom = { $lte: now };
+      query.validUntil = { $gt: now };
+    }
+
+    const visitorPasses = await VisitorPass.find(query)
+      .populate('issuedBy', 'firstName lastName')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await VisitorPass.countDocuments(query);
+
+    res.json({
+      visitorPasses,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get visitor passes error:', error);
+    res.status(500).json({
+      error: 'Failed to get visitor passes',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/visitor-passes/overstayed
+// @desc    Visitors still on campus after their expected exit time
+// @access  Private (Security staff)
+router.get('/overstayed', async (req, res) => {
+  try {
+    const now = new Date();
+    const visitorPasses = await VisitorPass.find(VisitorPass.overstayedQuery(now))
+      .populate('issuedBy', 'firstName lastName')
+      .sort({ expectedExitAt: 1 });
+
+    res.json({
+      visitorPasses: visitorPasses.map((visitorPass) => ({
+        ...visitorPass.toJSON(),
+        overstayMinutes: Math.floor((now - visitorPass.expectedExitAt) / 60000)
+      })),
+      total: visitorPasses.length,
+      asOf: now
+    });
+
+  } catch (error) {
+    console.error('Get overstayed visitors error:', error);
+    res.status(500).json({
+      error: 'Failed to get overstayed visitors',
+      message: error.message
+    });
+  }
+});
+
+// @route   GET /api/visitor-passes/:passId
+// @desc    Get a visitor pass and its scans
+// @access  Private (Security staff)
+router.get('/:passId', async (req, res) => {
+  try {
+    const visitorPass = await VisitorPass.findById(req.params.passId)
+      .populate('issuedBy', 'firstName lastName')
+      .populate('closedBy', 'firstName lastName');
+    if (!visitorPass) {
+      return res.status(404).json({
+        error: 'Visitor pass not found'
+      });
+    }
+
+    const scans = await RFIDScan.find({ visitorPass: visitorPass._id })
+      .sort({ scanTimestamp: -1 })
+      .limit(50);
+
+    res.json({
+      visitorPass,
+      scans
+    });
+
+  } catch (error) {
+    console.error('Get visitor pass error:', error);
+    res.status(500).json({
+      error: 'Failed to get visitor pass',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/visitor-passes/:passId/close
+// @desc    Close a visitor pass (visit over, loaner tag returned) or revoke it
+// @access  Private (Security staff)
+router.put('/:passId/close', validateVisitorPassClose, async (req, res) => {
+  try {
+    const { revoke, reason } = req.body;
+
+    const visitorPass = await VisitorPass.findById(req.params.passId);
+    if (!visitorPass) {
+      return res.status(404).json({
+        error: 'Visitor pass not found'
+      });
+    }
+
+    if (visitorPass.status !== 'active') {
+      return res.status(400).json({
+        error: `Visitor pass is already ${visitorPass.status}`
+      });
+    }
+
+    visitorPass.status = revoke ? 'revoked' : 'closed';
+    visitorPass.closedBy = req.user._id;
+    visitorPass.closedAt = new Date();
+    visitorPass.closeReason = reason;
+    await visitorPass.save();
+
+    res.json({
+      message: revoke ? 'Visitor pass revoked successfully' : 'Visitor pass closed successfully',
+      visitorPass
+    });
+
+  } catch (error) {
+    console.error('Close visitor pass error:', error);
+    res.status(500).json({
+      error: 'Failed to close visitor pass',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,5 +1,6 @@
 const express = require('express');
 const VehiclePassApplication = require('../models/VehiclePassApplication');
+const WatchlistService = require('../services/watchlistService');
 const { authenticateToken, requireAdmin } = require('../middleware/auth');
 
 const router = express.Router();
@@ -80,6 +81,23 @@ router.post('/application', authenticateToken, requireAdmin, async (req, res) =>
       });
     }
 
+    // Banned plates/IDs are refused; other watchlist hits are accepted but reported to security
+    const watchlist = await WatchlistService.check({ plateNumber, idNumber });
+    if (watchlist.banned) {
+      await WatchlistService.raiseAlert(watchlist.hits, {
+        source: 'walkin_application',
+        action: 'denied',
+        plateNumber,
+        idNumber,
+        user: req.user._id
+      });
+      return res.status(403).json({
+        error: 'Applicant or vehicle is banned by the watchlist',
+        code: 'WATCHLISTED',
+        watchlist: WatchlistService.describeHits(watchlist.hits)
+      });
+    }
+
     const app = new VehiclePassApplication({
       applicant: {
         familyName,
@@ -104,16 +122,27 @@ router.post('/application', authenticateToken, requireAdmin, async (req, res) =>
         crNumber,
         driverName,
         driverLicense
-      },
-      status: 'approved'
+      }
       // reviewedBy will be set by admin actions; linkedUser omitted for walk-ins
     });
+    // Walk-ins are reviewed at the counter, so they start out approved
+    app.transitionTo('approved', { by: req.user._id, reason: 'Walk-in application' });
 
     await app.save();
 
+    await WatchlistService.raiseAlert(watchlist.hits, {
+      source: 'walkin_application',
+      action: 'allowed',
+      application: app._id,
+      plateNumber,
+      idNumber,
+      user: req.user._id
+    });
+
     res.status(201).json({
       message: 'Walk-in application created',
-      application: app
+      application: app,
+      watchlist: watchlist.hits.length ? WatchlistService.describeHits(watchlist.hits) : undefined
     });
   } catch (error) {
     console.error('Walk-in application error:', error);
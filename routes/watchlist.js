@@ -0,0 +1,158 @@
+const express = require('express');
+const WatchlistEntry = require('../models/WatchlistEntry');
+const { validateWatchlistEntry, validateWatchlistEntryUpdate } = require('../middleware/validation');
+const { authenticateToken, requireAdmin } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Apply admin middleware to all routes
+router.use(authenticateToken, requireAdmin);
+
+// @route   GET /api/admin/watchlist
+// @desc    List watchlist entries (filters: matchType, severity, isActive, search)
+// @access  Private (Admin)
+router.get('/', async (req, res) => {
+  try {
+    const { matchType, severity, isActive, search, page = 1, limit = 20 } = req.query;
+
+    const query = {};
+    if (matchType) query.matchType = matchType;
+    if (severity) query.severity = severity;
+    if (isActive !== undefined) query.isActive = isActive === 'true';
+    if (search) query.value = { $regex: WatchlistEntry.normalizeValue(search), $options: 'i' };
+
+    const entries = await WatchlistEntry.find(query)
+      .populate('createdBy', 'firstName lastName email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WatchlistEntry.countDocuments(query);
+
+    res.json({
+      entries,
+      totalPages: Math.ceil(total / limit),
+      currentPage: parseInt(page),
+      total
+    });
+
+  } catch (error) {
+    console.error('Get watchlist error:', error);
+    res.status(500).json({
+      error: 'Failed to get watchlist',
+      message: error.message
+    });
+  }
+});
+
+// @route   POST /api/admin/watchlist
+// @desc    Add a plate number, tag ID or ID number to the watchlist
+// @access  Private (Admin)
+router.post('/', validateWatchlistEntry, async (req, res) => {
+  try {
+    const { matchType, value, reason, severity, expiresAt } = req.body;
+
+    const existing = await WatchlistEntry.findOne({
+      matchType,
+      value: WatchlistEntry.normalizeValue(value),
+      isActive: true
+    });
+    if (existing) {
+      return res.status(400).json({
+        error: 'An active watchlist entry already exists for this value',
+        entry: existing
+      });
+    }
+
+    const entry = new WatchlistEntry({
+      matchType,
+      value,
+      reason,
+      severity,
+      expiresAt,
+      createdBy: req.user._id,
+      updatedBy: req.user._id
+    });
+    await entry.save();
+
+    res.status(201).json({
+      message: 'Watchlist entry created successfully',
+      entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Create watchlist entry error:', error);
+    res.status(500).json({
+      error: 'Failed to create watchlist entry',
+      message: error.message
+    });
+  }
+});
+
+// @route   PUT /api/admin/watchlist/:entryId
+// @desc    Update a watchlist entry (reason, severity, expiry, active flag)
+// @access  Private (Admin)
+router.put('/:entryId', validateWatchlistEntryUpdate, async (req, res) => {
+  try {
+    const entry = await WatchlistEntry.findById(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Watchlist entry not found'
+      });
+    }
+
+    const assignable = ['reason', 'severity', 'expiresAt', 'isActive'];
+    assignable.forEach((k) => {
+      if (typeof req.body[k] !== 'undefined') {
+        entry[k] = req.body[k];
+      }
+    });
+    entry.updatedBy = req.user._id;
+    await entry.save();
+
+    res.json({
+      message: 'Watchlist entry updated successfully',
+      entry
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ error: 'Validation failed', message: error.message });
+    }
+    console.error('Update watchlist entry error:', error);
+    res.status(500).json({
+      error: 'Failed to update watchlist entry',
+      message: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/admin/watchlist/:entryId
+// @desc    Remove a watchlist entry
+// @access  Private (Admin)
+router.delete('/:entryId', async (req, res) => {
+  try {
+    const entry = await WatchlistEntry.findByIdAndDelete(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({
+        error: 'Watchlist entry not found'
+      });
+    }
+
+    res.json({
+      message: 'Watchlist entry deleted successfully'
+    });
+
+  } catch (error) {
+    console.error('Delete watchlist entry error:', error);
+    res.status(500).json({
+      error: 'Failed to delete watchlist entry',
+      message: error.message
+    });
+  }
+});
+
+module.exports = router;
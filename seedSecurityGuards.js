@@ -15,6 +15,7 @@ const createSecurityGuards = async () => {
         lastName: 'Dela Cruz',
         email: 'security.guard1@cnsc.edu.ph',
         address: 'CNSC Main Gate',
+        assignedGate: 'Main Gate',
         phoneNumber: '09123456780',
         password: 'security123!',
         role: 'security_guard',
@@ -25,6 +26,7 @@ const createSecurityGuards = async () => {
         lastName: 'Santos',
         email: 'security.guard2@cnsc.edu.ph',
         address: 'CNSC Back Gate',
+        assignedGate: 'Back Gate',
         phoneNumber: '09123456781',
         password: 'security123!',
         role: 'security_guard',
@@ -45,6 +47,7 @@ const createSecurityGuards = async () => {
         lastName: 'Guard Alpha',
         email: 'guard.alpha@cnsc.edu.ph',
         address: 'CNSC Main Gate',
+        assignedGate: 'Main Gate',
         phoneNumber: '09120000001',
         password: 'guardpass1!',
         role: 'security_guard',
@@ -17,6 +17,9 @@ const server = http.createServer(app);
 const io = new Server(server, {
   cors: { origin: '*', methods: ['GET', 'POST'] }
 });
+const realtime = require('./services/realtime');
+const User = require('./models/User');
+realtime.setIo(io);
 
 // Import routes
 const authRoutes = require('./routes/auth');
@@ -25,15 +28,32 @@ const vehiclePassRoutes = require('./routes/vehicle-passes');
 const walkInRoutes = require('./routes/walkins');
 const rfidRoutes = require('./routes/rfid');
 const adminRoutes = require('./routes/admin');
+const scannerRoutes = require('./routes/scanners');
+const occupancyRoutes = require('./routes/occupancy');
+const parkingZoneRoutes = require('./routes/parking-zones');
+const accessPolicyRoutes = require('./routes/access-policies');
+const accessCalendarRoutes = require('./routes/access-calendar');
+const watchlistRoutes = require('./routes/watchlist');
+const feeScheduleRoutes = require('./routes/fee-schedules');
+const paymentRoutes = require('./routes/payments');
+const rfidTagRoutes = require('./routes/rfid-tags');
+const guardRoutes = require('./routes/guard');
+const visitorPassRoutes = require('./routes/visitor-passes');
 const systemAdminRoutes = require('./routes/system-admin');
+const verifyRoutes = require('./routes/verify');
 
 // Middleware
 app.use(helmet());
-app.use(cors());
+// Let browser clients read the deprecation headers of legacy endpoints
+app.use(cors({ exposedHeaders: ['Deprecation', 'Sunset', 'Link'] }));
 app.use(morgan('combined'));
-app.use(express.json({ limit: '10mb' }));
+// Keep the raw body so scanner HMAC signatures can be verified
+const captureRawBody = (req, res, buf) => {
+  req.rawBody = buf.toString('utf8');
+};
+app.use(express.json({ limit: '10mb', verify: captureRawBody }));
 app.use(express.urlencoded({ extended: true }));
-app.use(express.text({ type: 'text/plain' }));
+app.use(express.text({ type: 'text/plain', verify: captureRawBody }));
 
 // Rate limiting
 const limiter = rateLimit({
@@ -72,11 +92,21 @@ io.on('connection', async (socket) => {
       socket.join(`user:${decoded.userId}`);
     }
 
+    // Tokens only carry the user ID, so the role comes from the user record
+    const user = decoded && decoded.userId ? await User.findById(decoded.userId).select('role assignedGate') : null;
+    const role = decoded.role || (user && user.role);
+
     // Join admins room if role is admin/super_admin
-    if (decoded && (decoded.role === 'admin' || decoded.role === 'super_admin')) {
+    if (role === 'admin' || role === 'super_admin') {
       socket.join('admins');
     }
 
+    // Join guards room for security guards (watchlist alerts), plus their gate's room for live scans
+    if (role === 'security_guard') {
+      socket.join('guards');
+      socket.join(user && user.assignedGate ? realtime.gateRoom(user.assignedGate) : realtime.ALL_GATES_ROOM);
+    }
+
     socket.emit('realtime:connected', { rooms: Array.from(socket.rooms) });
   } catch (err) {
     socket.emit('error', { error: 'Invalid or expired token for realtime' });
@@ -84,6 +114,26 @@ io.on('connection', async (socket) => {
   }
 });
 
+// --- Scanner health: alert admins when a scanner misses its heartbeat window ---
+const ScannerHealthService = require('./services/scannerHealthService');
+mongoose.connection.once('open', () => {
+  ScannerHealthService.startMonitor();
+});
+
+// --- Scheduled jobs: pass expiry reminders and tag deactivation ---
+const JobScheduler = require('./services/jobScheduler');
+const PassExpiryService = require('./services/passExpiryService');
+const EXPIRY_JOB_INTERVAL_MS = (parseInt(process.env.EXPIRY_JOB_INTERVAL_MIN) || 60) * 60 * 1000;
+JobScheduler.register('pass-expiry-reminders', EXPIRY_JOB_INTERVAL_MS, (now) => PassExpiryService.sendReminders(now));
+JobScheduler.register('pass-expiry-deactivation', EXPIRY_JOB_INTERVAL_MS, (now) => PassExpiryService.expirePasses(now));
+// --- Scheduled jobs: end RFID tag suspensions ---
+const TagActivationService = require('./services/tagActivationService');
+const SUSPENSION_JOB_INTERVAL_MS = (parseInt(process.env.SUSPENSION_JOB_INTERVAL_MIN) || 15) * 60 * 1000;
+JobScheduler.register('rfid-suspension-reactivation', SUSPENSION_JOB_INTERVAL_MS, (now) => TagActivationService.endSuspensions(now));
+mongoose.connection.once('open', () => {
+  JobScheduler.start();
+});
+
 // --- Realtime: MongoDB Change Streams for VehiclePassApplication ---
 const VehiclePassApplication = require('./models/VehiclePassApplication');
 mongoose.connection.once('open', () => {
@@ -102,9 +152,12 @@ mongoose.connection.once('open', () => {
       }
 
       if (change.operationType === 'update') {
-        io.to('admins').emit('vehiclePass:updated', { application: doc });
-
         const updatedFields = (change.updateDescription && change.updateDescription.updatedFields) || {};
+        io.to('admins').emit('vehiclePass:updated', {
+          application: doc,
+          updatedFields: Object.keys(updatedFields)
+        });
+
         if (Object.prototype.hasOwnProperty.call(updatedFields, 'status')) {
           const linkedUserId = doc && doc.linkedUser && doc.linkedUser.toString();
           if (linkedUserId) {
@@ -132,8 +185,20 @@ app.use('/api/users', userRoutes);
 app.use('/api/vehicle-passes', vehiclePassRoutes);
 app.use('/api/walkins', walkInRoutes);
 app.use('/api/rfid', rfidRoutes);
+app.use('/api/admin/scanners', scannerRoutes);
+app.use('/api/admin/occupancy', occupancyRoutes);
+app.use('/api/admin/parking-zones', parkingZoneRoutes);
+app.use('/api/admin/access-policies', accessPolicyRoutes);
+app.use('/api/admin/access-calendar', accessCalendarRoutes);
+app.use('/api/admin/watchlist', watchlistRoutes);
+app.use('/api/admin/fee-schedules', feeScheduleRoutes);
+app.use('/api/admin/payments', paymentRoutes);
+app.use('/api/admin/rfid-tags', rfidTagRoutes);
 app.use('/api/admin', adminRoutes);
+app.use('/api/guard', guardRoutes);
+app.use('/api/visitor-passes', visitorPassRoutes);
 app.use('/api/system-admin', systemAdminRoutes);
+app.use('/api/verify', verifyRoutes);
 
 // Health check endpoint
 app.get('/api/health', (req, res) => {
@@ -0,0 +1,100 @@
+const AccessPolicy = require('../models/AccessPolicy');
+const CalendarEvent = require('../models/CalendarEvent');
+
+const ACCESS_TIMEZONE = process.env.ACCESS_TIMEZONE || 'Asia/Manila';
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+class AccessPolicyService {
+  /**
+   * Break a timestamp into campus-local date, weekday and time
+   * @param {Date} at - Timestamp to convert
+   * @returns {Object} - { date: 'YYYY-MM-DD', day: 0-6, time: 'HH:mm' }
+   */
+  static toLocal(at) {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+      timeZone: ACCESS_TIMEZONE,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      weekday: 'short',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(at).forEach(({ type, value }) => {
+      parts[type] = value;
+    });
+
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      day: DAY_NAMES.indexOf(parts.weekday),
+      time: `${parts.hour}:${parts.minute}`
+    };
+  }
+
+  // Whether a local weekday/time falls inside an access window
+  static inWindow(window, day, time) {
+    if (window.start <= window.end) {
+      const dayMatches = !window.days || !window.days.length || window.days.includes(day);
+      return dayMatches && time >= window.start && time < window.end;
+    }
+
+    // Overnight window: the part after midnight belongs to the previous day's window
+    const previousDay = (day + 6) % 7;
+    const matchesDay = (d) => !window.days || !window.days.length || window.days.includes(d);
+    return (matchesDay(day) && time >= window.start) || (matchesDay(previousDay) && time < window.end);
+  }
+
+  /**
+   * Evaluate the calendar and schedule policies for a vehicle entering at a given time
+   * @param {Object} application - VehiclePassApplication document
+   * @param {Date} at - Time of the read
+   * @returns {Promise<Object|null>} - null when entry is allowed, otherwise { code, scanMessage, message, ... }
+   */
+  static async evaluateEntry(application, at) {
+    const local = AccessPolicyService.toLocal(at);
+    const events = await CalendarEvent.findForDate(local.date);
+
+    const closure = events.find((event) => event.type === 'closure' &&
+      !(event.allowedAffiliations || []).includes(application.schoolAffiliation));
+    if (closure) {
+      return {
+        code: 'CAMPUS_CLOSED',
+        scanMessage: `Campus closed: ${closure.name}`,
+        message: `Entry denied: campus is closed (${closure.name})`,
+        calendarEvent: { id: closure._id, name: closure.name, type: closure.type }
+      };
+    }
+
+    const isSchoolDay = local.day >= 1 && local.day <= 5 && events.length === 0;
+    const policies = await AccessPolicy.find({ isActive: true });
+
+    for (const policy of policies) {
+      if (!policy.appliesToApplication(application)) continue;
+
+      const outsideSchoolDays = policy.schoolDaysOnly && !isSchoolDay;
+      const outsideWindows = policy.windows.length > 0 &&
+        !policy.windows.some((window) => AccessPolicyService.inWindow(window, local.day, local.time));
+
+      if (outsideSchoolDays || outsideWindows) {
+        return {
+          code: 'OUTSIDE_ACCESS_WINDOW',
+          scanMessage: `Outside access schedule: ${policy.name}`,
+          message: outsideSchoolDays
+            ? `Entry denied: ${policy.name} only allows entry on school days`
+            : `Entry denied: outside the allowed hours for ${policy.name}`,
+          policy: {
+            id: policy._id,
+            name: policy.name,
+            schoolDaysOnly: policy.schoolDaysOnly,
+            windows: policy.windows
+          }
+        };
+      }
+    }
+
+    return null;
+  }
+}
+
+module.exports = AccessPolicyService;
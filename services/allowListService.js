@@ -0,0 +1,69 @@
+const crypto = require('crypto');
+const AllowListChange = require('../models/AllowListChange');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+
+const toEpochSeconds = (date) => (date ? Math.floor(new Date(date).getTime() / 1000) : null);
+
+class AllowListService {
+  /**
+   * Full list of tags that should be admitted, as compact [tagId, validUntil] pairs
+   * (validUntil in Unix seconds)
+   */
+  static async getSnapshot() {
+    // Read the version first: changes racing with the query are replayed by the next delta
+    const version = await AllowListChange.currentVersion();
+    const now = new Date();
+
+    const applications = await VehiclePassApplication.find({
+      status: 'completed',
+      'rfidInfo.isActive': true,
+      applicationType: { $ne: 'renewal' },
+      'rfidInfo.tagId': { $exists: true, $ne: null },
+      // Passes without a validity period are refused at the gate, so they are left off
+      'rfidInfo.validUntil': { $gt: now }
+    }).select('rfidInfo.tagId rfidInfo.validUntil').lean();
+
+    return {
+      version,
+      generatedAt: toEpochSeconds(now),
+      count: applications.length,
+      tags: applications.map((app) => [app.rfidInfo.tagId, toEpochSeconds(app.rfidInfo.validUntil)])
+    };
+  }
+
+  /**
+   * Changes after a version, as [version, action, tagId, validUntil] tuples.
+   * resyncRequired is set when any change a scanner needs has expired or is missing.
+   */
+  static async getChangesSince(since) {
+    const version = await AllowListChange.currentVersion();
+
+    if (since > version) {
+      return { since, version, resyncRequired: true, changes: [] };
+    }
+
+    const changes = await AllowListChange.find({ version: { $gt: since, $lte: version } })
+      .sort({ version: 1 })
+      .lean();
+
+    // Versions are unique, so every one up to the current version must be there: the oldest may have
+    // expired, and a change whose version was taken but not yet (or never) written leaves a hole
+    const resyncRequired = changes.length !== version - since;
+
+    return {
+      since,
+      version,
+      resyncRequired,
+      changes: resyncRequired
+        ? []
+        : changes.map((change) => [change.version, change.action, change.tagId, toEpochSeconds(change.validUntil)])
+    };
+  }
+
+  // Hex HMAC-SHA256 of a response body, keyed with the requesting scanner's API key
+  static sign(body, key) {
+    return crypto.createHmac('sha256', key).update(body).digest('hex');
+  }
+}
+
+module.exports = AllowListService;
@@ -0,0 +1,109 @@
+const RFIDScan = require('../models/RFIDScan');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ApplicationListingService {
+  /**
+   * Where a pass stands for getting through the gates
+   * @param {Object} application - VehiclePassApplication document
+   * @returns {Object} - { state, tagId, isActive, validUntil, daysLeft, suspendedUntil }
+   *   state is none (no tag yet), active, suspended, inactive or expired
+   */
+  static validityOf(application, now = new Date()) {
+    const rfidInfo = application.rfidInfo || {};
+    if (!rfidInfo.tagId) {
+      return { state: 'none' };
+    }
+
+    const validUntil = rfidInfo.validUntil || null;
+    let state = 'active';
+    if (application.status === 'expired' || (validUntil && validUntil <= now)) {
+      state = 'expired';
+    } else if (!rfidInfo.isActive) {
+      state = rfidInfo.suspendedUntil ? 'suspended' : 'inactive';
+    } else if (application.status !== 'completed') {
+      state = 'inactive';
+    }
+
+    return {
+      state,
+      tagId: rfidInfo.tagId,
+      isActive: !!rfidInfo.isActive,
+      validUntil,
+      daysLeft: validUntil ? Math.max(0, Math.ceil((validUntil - now) / DAY_MS)) : null,
+      suspendedUntil: rfidInfo.suspendedUntil || null
+    };
+  }
+
+  // Uploaded documents without GridFS internals, with the URL to download each one
+  static attachmentsOf(application) {
+    return application.getAllAttachments().map((attachment) => ({
+      documentType: attachment.documentType,
+      displayName: attachment.displayName,
+      fileName: attachment.fileName,
+      fileSize: attachment.fileSize,
+      mimeType: attachment.mimeType,
+      uploadedAt: attachment.uploadedAt,
+      url: `/api/vehicle-passes/files/${application._id}/${attachment.documentType}`
+    }));
+  }
+
+  // Most recent scan of each application's vehicle, keyed by application ID
+  static async latestScans(applications) {
+    if (!applications.length) {
+      return new Map();
+    }
+
+    const scans = await RFIDScan.aggregate([
+      { $match: { vehicle: { $in: applications.map((application) => application._id) } } },
+      { $sort: { scanTimestamp: -1 } },
+      {
+        $group: {
+          _id: '$vehicle',
+          scanTimestamp: { $first: '$scanTimestamp' },
+          scanResult: { $first: '$scanResult' },
+          scanType: { $first: '$scanType' },
+          direction: { $first: '$direction' },
+          scannerLocation: { $first: '$scannerLocation' },
+          errorCode: { $first: '$errorCode' }
+        }
+      }
+    ]);
+
+    return new Map(scans.map(({ _id, ...scan }) => [_id.toString(), scan]));
+  }
+
+  /**
+   * Owner-facing view of applications: the user's role, documents (applicant only), pass validity and latest scan
+   * @param {Object[]} applications - VehiclePassApplication documents
+   * @param {Object} userId - The user the list is for
+   * @returns {Promise<Object[]>}
+   */
+  static async summarize(applications, userId) {
+    const scans = await this.latestScans(applications);
+    const now = new Date();
+
+    return applications.map((application) => {
+      const role = application.roleOf(userId);
+      return {
+        id: application._id,
+        applicationType: application.applicationType,
+        renewalOf: application.renewalOf,
+        status: application.status,
+        role,
+        applicant: application.applicant,
+        schoolAffiliation: application.schoolAffiliation,
+        vehicleUserType: application.vehicleUserType,
+        vehicleInfo: application.vehicleInfo,
+        // Only the applicant can download the documents (see GET /api/vehicle-passes/files)
+        attachments: role && role.isApplicant ? this.attachmentsOf(application) : [],
+        validity: this.validityOf(application, now),
+        latestScan: scans.get(application._id.toString()) || null,
+        createdAt: application.createdAt,
+        updatedAt: application.updatedAt
+      };
+    });
+  }
+}
+
+module.exports = ApplicationListingService;
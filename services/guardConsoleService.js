@@ -0,0 +1,94 @@
+const { emitToRoom, gateRoom, ALL_GATES_ROOM } = require('./realtime');
+
+class GuardConsoleService {
+  /**
+   * Summary of a pass for the guard console
+   * @param {Object} application - VehiclePassApplication document
+   * @returns {Object|null}
+   */
+  static describePass(application) {
+    if (!application) {
+      return null;
+    }
+
+    const rfidInfo = application.rfidInfo || {};
+    const applicant = application.applicant || {};
+    const hasPhoto = application.attachments && application.attachments.vehiclePhoto && application.attachments.vehiclePhoto.fileId;
+
+    return {
+      id: application._id,
+      status: application.status,
+      holderName: [applicant.givenName, applicant.middleName, applicant.familyName].filter(Boolean).join(' '),
+      schoolAffiliation: application.schoolAffiliation,
+      idNumber: application.idNumber,
+      vehicleInfo: application.vehicleInfo,
+      rfidInfo: {
+        tagId: rfidInfo.tagId,
+        isActive: rfidInfo.isActive,
+        validUntil: rfidInfo.validUntil
+      },
+      isValid: application.status === 'completed' && !!rfidInfo.isActive &&
+        (!rfidInfo.validUntil || new Date(rfidInfo.validUntil) > new Date()),
+      vehiclePhotoUrl: hasPhoto ? `/api/vehicle-passes/files/${application._id}/vehiclePhoto` : null
+    };
+  }
+
+  /**
+   * Summary of a visitor pass for the guard console
+   * @param {Object} visitorPass - VisitorPass document
+   * @returns {Object|null}
+   */
+  static describeVisitorPass(visitorPass) {
+    if (!visitorPass) {
+      return null;
+    }
+
+    return {
+      id: visitorPass._id,
+      passCode: visitorPass.passCode,
+      loanerTagId: visitorPass.loanerTagId,
+      status: visitorPass.status,
+      visitorName: visitorPass.visitorName,
+      plateNumber: visitorPass.plateNumber,
+      vehicleType: visitorPass.vehicleType,
+      hostName: visitorPass.hostName,
+      purpose: visitorPass.purpose,
+      validUntil: visitorPass.validUntil,
+      expectedExitAt: visitorPass.expectedExitAt,
+      isValid: visitorPass.status === 'active' && visitorPass.validFrom <= new Date() && visitorPass.validUntil > new Date()
+    };
+  }
+
+  /**
+   * Push a scan to the room of the gate it happened at (and to guards following all gates)
+   * @param {Object} scan - RFIDScan document
+   * @param {Object} application - VehiclePassApplication document, if the tag is known
+   * @param {Object} visitorPass - VisitorPass document, for loaner tags and visitor pass codes
+   */
+  static publishScan(scan, application, visitorPass) {
+    try {
+      const rooms = [ALL_GATES_ROOM];
+      if (scan.scannerLocation) rooms.push(gateRoom(scan.scannerLocation));
+
+      emitToRoom(rooms, 'scan:new', {
+        scanId: scan._id,
+        tagId: scan.tagId,
+        scannerId: scan.scannerId,
+        scannerLocation: scan.scannerLocation,
+        scanType: scan.scanType,
+        direction: scan.direction,
+        scanResult: scan.scanResult,
+        scanMessage: scan.scanMessage,
+        errorCode: scan.errorCode,
+        source: scan.source,
+        scanTimestamp: scan.scanTimestamp,
+        pass: this.describePass(application),
+        visitorPass: this.describeVisitorPass(visitorPass)
+      });
+    } catch (error) {
+      console.error('Failed to publish scan event:', error);
+    }
+  }
+}
+
+module.exports = GuardConsoleService;
@@ -0,0 +1,105 @@
+const os = require('os');
+const JobRun = require('../models/JobRun');
+
+// How often the scheduler looks for due jobs
+const TICK_INTERVAL_MS = parseInt(process.env.JOB_SCHEDULER_TICK_MS) || 60 * 1000;
+// A run still marked running after this long is assumed to belong to a crashed instance
+const RUN_LEASE_MS = parseInt(process.env.JOB_RUN_LEASE_MS) || 15 * 60 * 1000;
+
+const INSTANCE = `${os.hostname()}:${process.pid}`;
+const jobs = new Map();
+
+class JobScheduler {
+  /**
+   * Register a recurring job
+   * @param {string} name - Job name, recorded on each JobRun
+   * @param {number} intervalMs - Length of the slot each run covers
+   * @param {Function} handler - async (now) => result summary
+   */
+  static register(name, intervalMs, handler) {
+    jobs.set(name, { name, intervalMs, handler, running: false });
+  }
+
+  // Run key of the slot a time falls in; every instance computes the same key
+  static runKeyFor(job, now = new Date()) {
+    return new Date(Math.floor(now.getTime() / job.intervalMs) * job.intervalMs).toISOString();
+  }
+
+  /**
+   * Claim a run for this instance. Completed runs and runs held by a live instance are
+   * left alone; failed or abandoned runs are taken over.
+   * @returns {Promise<Object|null>} - The claimed JobRun, or null when another instance has it
+   */
+  static async claim(jobName, runKey, now = new Date()) {
+    try {
+      return await JobRun.findOneAndUpdate(
+        {
+          jobName,
+          runKey,
+          $or: [
+            { status: 'failed' },
+            { status: 'running', startedAt: { $lt: new Date(now.getTime() - RUN_LEASE_MS) } }
+          ]
+        },
+        {
+          $set: { status: 'running', instance: INSTANCE, startedAt: now },
+          $unset: { finishedAt: '', error: '' },
+          $inc: { attempts: 1 }
+        },
+        { new: true }
+      ) || await JobRun.create({ jobName, runKey, instance: INSTANCE, startedAt: now });
+    } catch (error) {
+      // Duplicate key: the run exists and is completed or still held by another instance
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Run a job for the current slot unless it already ran
+  static async runJob(job, now = new Date()) {
+    if (job.running) {
+      return null;
+    }
+
+    const run = await this.claim(job.name, this.runKeyFor(job, now), now);
+    if (!run) {
+      return null;
+    }
+
+    job.running = true;
+    try {
+      const result = await job.handler(now);
+      run.status = 'completed';
+      run.result = result;
+    } catch (error) {
+      console.error(`Job ${job.name} failed:`, error);
+      run.status = 'failed';
+      run.error = error.message;
+    } finally {
+      job.running = false;
+    }
+
+    run.finishedAt = new Date();
+    await run.save();
+    return run;
+  }
+
+  static async tick() {
+    for (const job of jobs.values()) {
+      await this.runJob(job).catch((error) => {
+        console.error(`Job ${job.name} could not be scheduled:`, error);
+      });
+    }
+  }
+
+  static start() {
+    this.tick();
+    const timer = setInterval(() => this.tick(), TICK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = JobScheduler;
@@ -0,0 +1,170 @@
+const crypto = require('crypto');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+const VEHICLE_TYPE_LABELS = {
+  motorcycle: 'Motorcycle',
+  car: 'Car',
+  suv: 'SUV',
+  tricycle: 'Tricycle',
+  double_cab: 'Double Cab',
+  single_cab: 'Single Cab',
+  heavy_truck: 'Heavy Truck',
+  heavy_equipment: 'Heavy Equipment',
+  bicycle: 'Bicycle',
+  e_vehicle: 'E-Vehicle'
+};
+
+// Institution printed at the top of passes and receipts
+const ISSUER_NAME = process.env.DOCUMENT_ISSUER_NAME || 'CNSC';
+
+const signingSecret = () => process.env.DOCUMENT_SIGNING_SECRET || process.env.JWT_SECRET;
+
+const formatDate = (date) => (date ? new Date(date).toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }) : 'N/A');
+
+const holderName = (application) => {
+  const applicant = application.applicant || {};
+  return [applicant.givenName, applicant.middleName, applicant.familyName].filter(Boolean).join(' ');
+};
+
+// Collect a PDFKit document into a buffer
+const toBuffer = (doc) => new Promise((resolve, reject) => {
+  const chunks = [];
+  doc.on('data', (chunk) => chunks.push(chunk));
+  doc.on('end', () => resolve(Buffer.concat(chunks)));
+  doc.on('error', reject);
+  doc.end();
+});
+
+class PassDocumentService {
+  /**
+   * Signature for a document's verification URL. It only depends on the document kind and
+   * application ID, so reprinting a pass or receipt keeps the same URL.
+   * @param {string} kind - 'pass' or 'receipt'
+   * @param {string} applicationId - VehiclePassApplication ID
+   */
+  static sign(kind, applicationId) {
+    return crypto
+      .createHmac('sha256', signingSecret())
+      .update(`${kind}:${applicationId}`)
+      .digest('base64url')
+      .slice(0, 22);
+  }
+
+  static isValidSignature(kind, applicationId, signature) {
+    const expected = this.sign(kind, applicationId);
+    return typeof signature === 'string' && signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+  }
+
+  // Public URL that confirms a printed document is genuine
+  static verificationUrl(kind, applicationId, baseUrl) {
+    const base = (process.env.PUBLIC_BASE_URL || baseUrl).replace(/\/+$/, '');
+    return `${base}/api/verify/${kind}/${applicationId}/${this.sign(kind, applicationId)}`;
+  }
+
+  static header(doc, title) {
+    doc.fontSize(16).font('Helvetica-Bold').text(ISSUER_NAME, { align: 'center' });
+    doc.fontSize(11).font('Helvetica').text('Vehicle Pass System', { align: 'center' });
+    doc.moveDown(0.5);
+    doc.fontSize(14).font('Helvetica-Bold').text(title, { align: 'center' });
+    doc.moveDown();
+  }
+
+  static field(doc, label, value) {
+    doc.fontSize(10).font('Helvetica-Bold').text(`${label}: `, { continued: true });
+    doc.font('Helvetica').text(value === undefined || value === null || value === '' ? 'N/A' : String(value));
+  }
+
+  static async footer(doc, url) {
+    const qr = await QRCode.toBuffer(url, { margin: 1, width: 160 });
+    doc.moveDown();
+    doc.image(qr, { width: 110 });
+    doc.moveDown(0.5);
+    doc.fontSize(8).font('Helvetica').text(`Verify this document: ${url}`);
+  }
+
+  /**
+   * Printable vehicle pass for a completed application
+   * @param {Object} application - VehiclePassApplication document
+   * @param {string} baseUrl - Base URL of the API, used when PUBLIC_BASE_URL is not set
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  static async renderPass(application, baseUrl) {
+    const rfidInfo = application.rfidInfo || {};
+    const vehicleInfo = application.vehicleInfo || {};
+    const doc = new PDFDocument({ size: 'A6', margin: 24, info: { Title: `Vehicle Pass ${vehicleInfo.plateNumber}` } });
+
+    this.header(doc, 'VEHICLE PASS');
+    this.field(doc, 'Name', holderName(application));
+    this.field(doc, 'Affiliation', application.schoolAffiliation);
+    this.field(doc, 'Plate Number', vehicleInfo.plateNumber);
+    this.field(doc, 'Vehicle Type', VEHICLE_TYPE_LABELS[vehicleInfo.type] || vehicleInfo.type);
+    this.field(doc, 'RFID Tag', rfidInfo.tagId);
+    this.field(doc, 'Valid From', formatDate(rfidInfo.assignedAt));
+    this.field(doc, 'Valid Until', formatDate(rfidInfo.validUntil));
+    await this.footer(doc, this.verificationUrl('pass', application._id, baseUrl));
+
+    return toBuffer(doc);
+  }
+
+  /**
+   * Official payment acknowledgement from an application's paymentInfo
+   * @param {Object} application - VehiclePassApplication document with a recorded payment
+   * @param {string} baseUrl - Base URL of the API, used when PUBLIC_BASE_URL is not set
+   * @returns {Promise<Buffer>} - PDF file
+   */
+  static async renderReceipt(application, baseUrl) {
+    const paymentInfo = application.paymentInfo || {};
+    const vehicleInfo = application.vehicleInfo || {};
+    const doc = new PDFDocument({ size: 'A5', margin: 36, info: { Title: `Payment Acknowledgement ${paymentInfo.orReceiptNumber}` } });
+
+    this.header(doc, 'OFFICIAL PAYMENT ACKNOWLEDGEMENT');
+    this.field(doc, 'OR Number', paymentInfo.orReceiptNumber);
+    this.field(doc, 'Date Paid', formatDate(paymentInfo.paidAt));
+    this.field(doc, 'Received From', holderName(application));
+    this.field(doc, 'Amount', typeof paymentInfo.amount === 'number' ? `PHP ${paymentInfo.amount.toFixed(2)}` : null);
+    this.field(doc, 'For', `${application.applicationType === 'renewal' ? 'Renewal' : 'Issuance'} of vehicle pass (${vehicleInfo.plateNumber})`);
+    if (application.assessment && application.assessment.feeName) {
+      this.field(doc, 'Fee', application.assessment.feeName);
+    }
+    this.field(doc, 'Cashier', paymentInfo.cashierName);
+    await this.footer(doc, this.verificationUrl('receipt', application._id, baseUrl));
+
+    return toBuffer(doc);
+  }
+
+  /**
+   * Send a pass or receipt PDF for an application, or an error when it is not available yet
+   * @param {Object} res - Express response
+   * @param {string} kind - 'pass' or 'receipt'
+   * @param {Object} application - VehiclePassApplication document
+   * @param {string} baseUrl - Base URL of the API
+   */
+  static async send(res, kind, application, baseUrl) {
+    // A completed renewal only extends the original pass, which is the one to print
+    if (kind === 'pass' && application.applicationType === 'renewal') {
+      return res.status(409).json({ error: 'Print the original pass, not a renewal application' });
+    }
+    if (kind === 'pass' && application.status !== 'completed') {
+      return res.status(409).json({ error: 'Printable passes are only available for completed applications' });
+    }
+    if (kind === 'receipt' && !(application.paymentInfo && application.paymentInfo.paidAt)) {
+      return res.status(409).json({ error: 'No payment has been recorded for this application' });
+    }
+
+    const pdf = kind === 'pass'
+      ? await this.renderPass(application, baseUrl)
+      : await this.renderReceipt(application, baseUrl);
+
+    const plate = String(application.vehicleInfo.plateNumber || application._id).replace(/[^A-Za-z0-9-]/g, '');
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${kind === 'pass' ? 'vehicle-pass' : 'receipt'}-${plate}.pdf"`,
+      'Content-Length': pdf.length
+    });
+    return res.send(pdf);
+  }
+}
+
+module.exports = PassDocumentService;
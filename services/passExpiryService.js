@@ -0,0 +1,144 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const FirebaseService = require('./firebaseService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Days before rfidInfo.validUntil at which owners are reminded, largest first
+const REMINDER_DAYS = (process.env.EXPIRY_REMINDER_DAYS || '30,7,1')
+  .split(',')
+  .map((days) => parseInt(days, 10))
+  .filter((days) => days > 0)
+  .sort((a, b) => b - a);
+
+class PassExpiryService {
+  static get reminderDays() {
+    return REMINDER_DAYS;
+  }
+
+  // Smallest reminder threshold the remaining days fall under, if any
+  static dueReminder(validUntil, now = new Date()) {
+    const daysLeft = Math.ceil((new Date(validUntil) - now) / DAY_MS);
+    const due = REMINDER_DAYS.filter((days) => daysLeft <= days);
+    return due.length ? { daysBefore: due[due.length - 1], daysLeft } : null;
+  }
+
+  /**
+   * Remind owners of active passes that are about to expire. Each threshold is claimed on the
+   * application before sending, so it goes out once per validity period across instances; a
+   * pass first seen inside a small window only gets the reminder for that window.
+   * @returns {Promise<Object>} - { checked, sent, failed }
+   */
+  static async sendReminders(now = new Date()) {
+    if (!REMINDER_DAYS.length) {
+      return { checked: 0, sent: 0, failed: 0 };
+    }
+
+    const applications = await VehiclePassApplication.find({
+      status: 'completed',
+      'rfidInfo.isActive': true,
+      'rfidInfo.validUntil': { $gt: now, $lte: new Date(now.getTime() + REMINDER_DAYS[0] * DAY_MS) },
+      linkedUser: { $exists: true, $ne: null }
+    }).populate('linkedUser', 'firstName');
+
+    let sent = 0;
+    let failed = 0;
+    for (const application of applications) {
+      const validUntil = application.rfidInfo.validUntil;
+      const due = this.dueReminder(validUntil, now);
+      if (!due) {
+        continue;
+      }
+
+      // Skip when this or a closer reminder already went out for the current period
+      const claimed = await VehiclePassApplication.updateOne(
+        {
+          _id: application._id,
+          expiryReminders: { $not: { $elemMatch: { validUntil, daysBefore: { $lte: due.daysBefore } } } }
+        },
+        { $push: { expiryReminders: { daysBefore: due.daysBefore, validUntil, sentAt: now } } }
+      );
+      if (!claimed.modifiedCount) {
+        continue;
+      }
+
+      try {
+        await this.notifyExpiring(application, due.daysLeft);
+        sent++;
+      } catch (error) {
+        // Release the claim so the next run retries
+        await VehiclePassApplication.updateOne(
+          { _id: application._id },
+          { $pull: { expiryReminders: { daysBefore: due.daysBefore, validUntil } } }
+        );
+        failed++;
+      }
+    }
+
+    return { checked: applications.length, sent, failed };
+  }
+
+  static async notifyExpiring(application, daysLeft) {
+    const user = application.linkedUser;
+    const plateNumber = application.vehicleInfo.plateNumber;
+    const validUntil = application.rfidInfo.validUntil;
+    const when = daysLeft <= 1 ? 'tomorrow' : `in ${daysLeft} days`;
+
+    await FirebaseService.addUserNotification(user._id.toString(), {
+      title: 'Vehicle Pass Expiring Soon ⏰',
+      message: `Hi ${user.firstName || 'there'}, your vehicle pass (${plateNumber}) expires ${when}, on ${validUntil.toDateString()}. Renew it to keep your RFID tag active.`,
+      type: 'warning',
+      data: {
+        applicationId: application._id.toString(),
+        vehiclePlate: plateNumber,
+        status: 'expiring',
+        daysLeft,
+        validUntil: validUntil.toISOString()
+      }
+    });
+  }
+
+  /**
+   * Deactivate the tags of passes past their validity and mark them expired. Passes are saved
+   * one by one so the scanner allow-list records each removal.
+   * @returns {Promise<Object>} - { expired, notified }
+   */
+  static async expirePasses(now = new Date()) {
+    const applications = await VehiclePassApplication.find({
+      status: 'completed',
+      'rfidInfo.isActive': true,
+      'rfidInfo.validUntil': { $lte: now }
+    }).populate('linkedUser', 'firstName');
+
+    let expired = 0;
+    let notified = 0;
+    for (const application of applications) {
+      application.transitionTo('expired', { at: now, reason: 'Validity period ended' });
+      application.rfidInfo.isActive = false;
+      await application.save();
+      expired++;
+
+      if (!application.linkedUser) {
+        continue;
+      }
+      try {
+        const plateNumber = application.vehicleInfo.plateNumber;
+        await FirebaseService.addUserNotification(application.linkedUser._id.toString(), {
+          title: 'Vehicle Pass Expired',
+          message: `Hi ${application.linkedUser.firstName || 'there'}, your vehicle pass (${plateNumber}) expired on ${application.rfidInfo.validUntil.toDateString()} and its RFID tag has been deactivated. Submit a renewal to restore access.`,
+          type: 'error',
+          data: {
+            applicationId: application._id.toString(),
+            vehiclePlate: plateNumber,
+            status: 'expired'
+          }
+        });
+        notified++;
+      } catch (error) {
+        // The pass is already expired; a missed notification is not retried
+      }
+    }
+
+    return { expired, notified };
+  }
+}
+
+module.exports = PassExpiryService;
@@ -0,0 +1,142 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const Payment = require('../models/Payment');
+
+class PaymentService {
+  /**
+   * Compute the fee an application owes from the fee schedule
+   * @param {Object} application - VehiclePassApplication document
+   * @returns {Promise<Object|null>} - { amount, feeSchedule, feeName, assessedAt }, or null when no fee applies
+   */
+  static async assess(application) {
+    const fee = await FeeSchedule.findForApplication(application);
+    if (!fee) {
+      return null;
+    }
+
+    return {
+      amount: fee.amount,
+      feeSchedule: fee._id,
+      feeName: fee.name,
+      assessedAt: new Date()
+    };
+  }
+
+  // Whether an application is waiting for payment: approved, or a renewal under review
+  static isPayable(application) {
+    return application.status === 'approved' ||
+      (application.applicationType === 'renewal' && application.status === 'pending');
+  }
+
+  /**
+   * Record a payment against an application and copy it to the application's paymentInfo.
+   * The application is saved by the caller.
+   * @param {Object} application - VehiclePassApplication document
+   * @param {Object} details - { receiptNumber, amount, notes }
+   * @param {Object} cashier - Logged-in user taking the payment
+   * @returns {Promise<Object>} - { payment } on success, otherwise { error }
+   */
+  static async record(application, { receiptNumber, amount, notes }, cashier) {
+    if (!this.isPayable(application)) {
+      return { error: `Payments cannot be recorded while the application is ${application.status}` };
+    }
+    if (application.paymentInfo && application.paymentInfo.paidAt) {
+      return { error: 'Payment has already been recorded for this application' };
+    }
+
+    // Renewals are assessed when their payment is taken
+    if (!application.assessment || application.assessment.amount === undefined) {
+      const assessment = await this.assess(application);
+      if (assessment) application.assessment = assessment;
+    }
+    const assessedAmount = application.assessment ? application.assessment.amount : undefined;
+
+    const paidAmount = amount !== undefined && amount !== null ? Number(amount) : assessedAmount;
+    if (paidAmount === undefined) {
+      return { error: 'No fee applies to this application; enter the amount collected' };
+    }
+    if (assessedAmount !== undefined && paidAmount !== assessedAmount) {
+      return { error: `Amount must match the assessed fee of ${assessedAmount}` };
+    }
+
+    const cashierName = [cashier.firstName, cashier.lastName].filter(Boolean).join(' ');
+
+    // A retry after the application itself failed to save reuses the payment already taken for it
+    const recorded = await Payment.findOne({
+      receiptNumber: String(receiptNumber).trim().toUpperCase(),
+      application: application._id,
+      purpose: 'pass'
+    });
+    if (recorded && recorded.amount !== paidAmount) {
+      return { error: `Receipt number was already recorded for this application with an amount of ${recorded.amount}` };
+    }
+
+    const saved = recorded ? { payment: recorded } : await this.save({
+      application: application._id,
+      receiptNumber,
+      amount: paidAmount,
+      assessedAmount,
+      feeSchedule: application.assessment ? application.assessment.feeSchedule : undefined,
+      applicationType: application.applicationType,
+      cashier: cashier._id,
+      cashierName,
+      notes
+    });
+    if (saved.error) {
+      return saved;
+    }
+    const { payment } = saved;
+
+    application.paymentInfo = {
+      paidAt: payment.paidAt,
+      orReceiptNumber: payment.receiptNumber,
+      amount: payment.amount,
+      cashierName,
+      cashier: cashier._id,
+      payment: payment._id
+    };
+
+    return { payment };
+  }
+
+  /**
+   * Record the fee for a replacement RFID tag. It is kept apart from the pass's own paymentInfo.
+   * @param {Object} application - VehiclePassApplication document
+   * @param {Object} details - { receiptNumber, amount, notes }
+   * @param {Object} cashier - Logged-in user taking the payment
+   * @returns {Promise<Object>} - { payment } on success, otherwise { error }
+   */
+  static async recordReplacement(application, { receiptNumber, amount, notes }, cashier) {
+    return this.save({
+      application: application._id,
+      receiptNumber,
+      amount: Number(amount),
+      applicationType: application.applicationType,
+      purpose: 'tag_replacement',
+      cashier: cashier._id,
+      cashierName: [cashier.firstName, cashier.lastName].filter(Boolean).join(' '),
+      notes
+    });
+  }
+
+  // Save a payment, refusing receipt numbers that were already used
+  static async save(details) {
+    if (await Payment.exists({ receiptNumber: String(details.receiptNumber).trim().toUpperCase() })) {
+      return { error: 'Receipt number has already been used' };
+    }
+
+    const payment = new Payment(details);
+    try {
+      await payment.save();
+    } catch (error) {
+      // Two cashiers entering the same receipt at once
+      if (error.code === 11000) {
+        return { error: 'Receipt number has already been used' };
+      }
+      throw error;
+    }
+
+    return { payment };
+  }
+}
+
+module.exports = PaymentService;
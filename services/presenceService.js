@@ -0,0 +1,285 @@
+const mongoose = require('mongoose');
+const VehiclePresence = require('../models/VehiclePresence');
+const RFIDScan = require('../models/RFIDScan');
+const { emitToRoom } = require('./realtime');
+
+class PresenceService {
+  // Map a scan's direction/scanType to a campus movement ('in', 'out' or null)
+  static resolveMovement(direction, scanType) {
+    if (direction === 'in' || direction === 'out') {
+      return direction;
+    }
+    if (scanType === 'entry') return 'in';
+    if (scanType === 'exit') return 'out';
+    return null;
+  }
+
+  static async getPresence(vehicleId) {
+    return await VehiclePresence.findOne({ vehicle: vehicleId });
+  }
+
+  static isViolation(movement, state) {
+    return (movement === 'in' && state === 'inside') ||
+      (movement === 'out' && state === 'outside');
+  }
+
+  // Check whether a movement repeats the vehicle's last direction
+  static async checkAntiPassback(vehicleId, movement) {
+    if (!movement) {
+      return { violation: false, state: 'unknown', presence: null };
+    }
+
+    const presence = await this.getPresence(vehicleId);
+    const state = presence ? presence.state : 'unknown';
+
+    return {
+      violation: this.isViolation(movement, state),
+      state,
+      lastScanAt: presence ? presence.lastScanAt : undefined,
+      presence
+    };
+  }
+
+  // Same check against the vehicle's state at a past moment, rebuilt from scan history
+  // (used for buffered reads uploaded after the fact)
+  static async checkAntiPassbackAt(vehicleId, movement, at) {
+    if (!movement) {
+      return { violation: false, state: 'unknown' };
+    }
+
+    const lastMovement = await RFIDScan.findOne({
+      vehicle: vehicleId,
+      scanResult: { $in: ['success', 'override'] },
+      scanTimestamp: { $lt: at },
+      $and: [
+        {
+          $or: [
+            { scannerType: { $in: ['entry', 'exit'] } },
+            { scannerType: 'checkpoint', zone: null }
+          ]
+        },
+        {
+          $or: [
+            { direction: { $in: ['in', 'out'] } },
+            { scanType: { $in: ['entry', 'exit'] } }
+          ]
+        }
+      ]
+    }).sort({ scanTimestamp: -1 });
+
+    const lastDirection = lastMovement && this.resolveMovement(lastMovement.direction, lastMovement.scanType);
+    const state = lastDirection ? (lastDirection === 'in' ? 'inside' : 'outside') : 'unknown';
+
+    return {
+      violation: this.isViolation(movement, state),
+      state,
+      lastScanAt: lastMovement ? lastMovement.scanTimestamp : undefined
+    };
+  }
+
+  // Record a successful entry/exit scan as the vehicle's current presence.
+  // Campus movements (see isCampusMovement) move the vehicle on or off campus; scanners linked to a
+  // parking zone move it in or out of that zone.
+  // Reads older than the current state (late offline uploads, manual resets) do not overwrite it.
+  // With antiPassback, a campus movement is only recorded if it does not repeat the current state;
+  // null is returned when it does. The checks are part of the update's filter, so two reads racing
+  // through the gate cannot both move the vehicle.
+  static async recordMovement(application, movement, scan, scanner, { antiPassback = false } = {}) {
+    if (!movement) {
+      return null;
+    }
+
+    const set = {
+      tagId: application.rfidInfo && application.rfidInfo.tagId,
+      lastScan: scan._id,
+      lastScanAt: scan.scanTimestamp,
+      lastScannerId: scan.scannerId
+    };
+
+    const campusMovement = this.isCampusMovement(scanner, movement);
+    if (campusMovement) {
+      set.state = movement === 'in' ? 'inside' : 'outside';
+      set.lastDirection = movement;
+      // Leaving campus also leaves any parking zone
+      if (movement === 'out') set.zone = null;
+    }
+
+    if (scanner.zone) {
+      if (movement === 'in') {
+        set.zone = scanner.zone;
+        set.zoneEnteredAt = scan.scanTimestamp;
+      } else {
+        set.zone = null;
+      }
+    }
+
+    const filter = {
+      vehicle: application._id,
+      $nor: [
+        { lastScanAt: { $gt: scan.scanTimestamp } },
+        { resetAt: { $gt: scan.scanTimestamp } }
+      ]
+    };
+    if (antiPassback && campusMovement) {
+      filter.state = { $ne: set.state };
+    }
+
+    let previous;
+    try {
+      previous = await VehiclePresence.findOneAndUpdate(
+        filter,
+        { $set: set },
+        { upsert: true, new: false, setDefaultsOnInsert: true }
+      );
+    } catch (error) {
+      // The vehicle has a presence record that the filter rejected, so the upsert hit the unique index
+      if (error.code !== 11000) {
+        throw error;
+      }
+      const current = await this.getPresence(application._id);
+      return antiPassback && campusMovement && current && current.state === set.state ? null : current;
+    }
+
+    const presence = await this.getPresence(application._id);
+    await this.notifyChange(application, previous, presence, 'scan');
+    return presence;
+  }
+
+  // Whether a read moves the vehicle on or off campus, which is what presence and anti-passback follow.
+  // Any read that resolves to in or out counts, whatever the scanner type, except at checkpoints
+  // guarding a parking zone (their movement is in or out of the zone) and registration desks.
+  static isCampusMovement(scanner, movement) {
+    if (!movement) {
+      return false;
+    }
+    return scanner.type === 'entry' || scanner.type === 'exit' || (scanner.type === 'checkpoint' && !scanner.zone);
+  }
+
+  // Manually override a vehicle's presence state
+  static async resetPresence(application, state, userId, reason) {
+    const current = await this.getPresence(application._id);
+    const presence = await VehiclePresence.findOneAndUpdate(
+      { vehicle: application._id },
+      {
+        $set: {
+          tagId: application.rfidInfo && application.rfidInfo.tagId,
+          state,
+          ...(state !== 'inside' ? { zone: null } : {}),
+          resetBy: userId,
+          resetAt: new Date(),
+          resetReason: reason
+        }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await this.notifyChange(application, current, presence, 'reset');
+    return presence;
+  }
+
+  // Push campus and zone occupancy changes to the admins room
+  static async notifyChange(application, previous, presence, source) {
+    const previousState = previous ? previous.state : 'unknown';
+    const previousZone = previous && previous.zone ? previous.zone.toString() : null;
+    const zone = presence.zone ? presence.zone.toString() : null;
+
+    try {
+      if (previousState !== presence.state) {
+        const onCampus = await VehiclePresence.countDocuments({ state: 'inside' });
+        emitToRoom('admins', 'occupancy:changed', {
+          vehicle: application._id,
+          plateNumber: application.vehicleInfo && application.vehicleInfo.plateNumber,
+          vehicleType: application.vehicleInfo && application.vehicleInfo.type,
+          schoolAffiliation: application.schoolAffiliation,
+          previousState,
+          state: presence.state,
+          source,
+          scannerId: presence.lastScannerId,
+          at: source === 'reset' ? presence.resetAt : presence.lastScanAt,
+          onCampus
+        });
+      }
+
+      if (previousZone !== zone) {
+        const zoneIds = [previousZone, zone].filter(Boolean);
+        const counts = await this.getZoneCounts(zoneIds);
+        emitToRoom('admins', 'zone:occupancy', {
+          vehicle: application._id,
+          plateNumber: application.vehicleInfo && application.vehicleInfo.plateNumber,
+          fromZone: previousZone,
+          toZone: zone,
+          zones: zoneIds.map((id) => ({ zone: id, occupied: counts[id] || 0 }))
+        });
+      }
+    } catch (error) {
+      console.error('Failed to publish occupancy change:', error);
+    }
+  }
+
+  // Number of vehicles in a zone, optionally ignoring one vehicle (e.g. the one entering)
+  static async countInZone(zoneId, excludeVehicleId) {
+    const query = { zone: zoneId };
+    if (excludeVehicleId) query.vehicle = { $ne: excludeVehicleId };
+    return await VehiclePresence.countDocuments(query);
+  }
+
+  // Number of vehicles currently in each zone, keyed by zone ID
+  static async getZoneCounts(zoneIds) {
+    const match = { zone: { $ne: null } };
+    if (zoneIds) {
+      match.zone = { $in: zoneIds.map((id) => new mongoose.Types.ObjectId(id)) };
+    }
+
+    const rows = await VehiclePresence.aggregate([
+      { $match: match },
+      { $group: { _id: '$zone', count: { $sum: 1 } } }
+    ]);
+
+    return rows.reduce((acc, row) => {
+      acc[row._id.toString()] = row.count;
+      return acc;
+    }, {});
+  }
+
+  // Occupancy counts by vehicle type and affiliation for vehicles currently inside
+  static async getOccupancySummary() {
+    const [result] = await VehiclePresence.aggregate([
+      { $match: { state: 'inside' } },
+      {
+        $lookup: {
+          from: 'vehiclepassapplications',
+          localField: 'vehicle',
+          foreignField: '_id',
+          as: 'application'
+        }
+      },
+      { $unwind: '$application' },
+      {
+        $facet: {
+          total: [{ $count: 'count' }],
+          byVehicleType: [
+            { $group: { _id: '$application.vehicleInfo.type', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ],
+          byAffiliation: [
+            { $group: { _id: '$application.schoolAffiliation', count: { $sum: 1 } } },
+            { $sort: { count: -1 } }
+          ]
+        }
+      }
+    ]);
+
+    const toMap = (rows) => rows.reduce((acc, row) => {
+      acc[row._id || 'unknown'] = row.count;
+      return acc;
+    }, {});
+
+    return {
+      onCampus: result.total.length ? result.total[0].count : 0,
+      byVehicleType: toMap(result.byVehicleType),
+      byAffiliation: toMap(result.byAffiliation)
+    };
+  }
+}
+
+module.exports = PresenceService;
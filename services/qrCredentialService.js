@@ -0,0 +1,83 @@
+const crypto = require('crypto');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+
+// Prefix and version of application QR credentials; anything else is treated as a visitor pass code
+const PREFIX = 'CNSC1';
+// How long each rotating code is shown (seconds) and how many neighbouring windows are accepted
+const ROTATION_SEC = parseInt(process.env.QR_CREDENTIAL_ROTATION_SEC) || 30;
+const WINDOW_TOLERANCE = parseInt(process.env.QR_CREDENTIAL_WINDOW_TOLERANCE) || 1;
+
+const currentWindow = (at = new Date()) => Math.floor(at.getTime() / 1000 / ROTATION_SEC);
+
+const sign = (secret, applicationId, window) => crypto
+  .createHmac('sha256', secret)
+  .update(`${applicationId}.${window}`)
+  .digest('base64url')
+  .slice(0, 22);
+
+class QRCredentialService {
+  // Whether a scanned payload is an application QR credential
+  static isApplicationCredential(payload) {
+    return typeof payload === 'string' && payload.startsWith(`${PREFIX}.`);
+  }
+
+  /**
+   * Current QR credential of a completed application, creating its signing secret on first use
+   * @param {Object} application - VehiclePassApplication document
+   * @returns {Promise<Object>} - { payload, issuedAt, expiresAt, rotationSec }
+   */
+  static async issue(application) {
+    const withSecret = await VehiclePassApplication.findById(application._id).select('+qrSecret');
+    if (!withSecret.qrSecret) {
+      withSecret.qrSecret = crypto.randomBytes(32).toString('hex');
+      await withSecret.save();
+    }
+
+    const window = currentWindow();
+    return {
+      payload: `${PREFIX}.${application._id}.${window}.${sign(withSecret.qrSecret, application._id, window)}`,
+      issuedAt: new Date(window * ROTATION_SEC * 1000),
+      expiresAt: new Date((window + 1) * ROTATION_SEC * 1000),
+      rotationSec: ROTATION_SEC
+    };
+  }
+
+  /**
+   * Check a scanned application QR credential
+   * @param {string} payload - Scanned QR payload
+   * @param {Date} at - Time of the scan
+   * @returns {Promise<Object>} - { application } when valid, otherwise { code, message }
+   *   (plus the application when a genuine code has expired)
+   */
+  static async verify(payload, at = new Date()) {
+    const parts = payload.split('.');
+    const [, applicationId, windowText, signature] = parts;
+    const window = parseInt(windowText, 10);
+
+    if (parts.length !== 4 || !/^[a-f0-9]{24}$/i.test(applicationId) || Number.isNaN(window)) {
+      return { code: 'QR_INVALID', message: 'QR code is not a valid vehicle pass credential' };
+    }
+
+    const application = await VehiclePassApplication.findById(applicationId).select('+qrSecret');
+    if (!application || !application.qrSecret) {
+      return { code: 'QR_INVALID', message: 'QR code is not a valid vehicle pass credential' };
+    }
+
+    const expected = sign(application.qrSecret, application._id, window);
+    const signatureMatches = typeof signature === 'string' && signature.length === expected.length &&
+      crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+    if (!signatureMatches) {
+      // A forged code says nothing about the pass it names, so the read is not tied to it
+      return { code: 'QR_INVALID', message: 'QR code is not a valid vehicle pass credential' };
+    }
+
+    // Screenshots stop working once the code has rotated
+    if (Math.abs(currentWindow(at) - window) > WINDOW_TOLERANCE) {
+      return { code: 'QR_EXPIRED', message: 'QR code has expired; refresh it and scan again', application };
+    }
+
+    return { application };
+  }
+}
+
+module.exports = QRCredentialService;
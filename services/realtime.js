@@ -0,0 +1,27 @@
+// Shared access to the Socket.IO server for routes and background services
+let io = null;
+
+const setIo = (server) => {
+  io = server;
+};
+
+// Room for guards posted at a gate; gate names match scanner locations case-insensitively
+const gateRoom = (gate) => `gate:${gate.toString().trim().toLowerCase()}`;
+
+// Guards without an assigned gate follow every gate
+const ALL_GATES_ROOM = 'gate:*';
+
+// Emit an event to a room (or list of rooms); a no-op until the Socket.IO server is registered
+const emitToRoom = (room, event, payload) => {
+  if (!io) {
+    return;
+  }
+  io.to(room).emit(event, payload);
+};
+
+module.exports = {
+  setIo,
+  emitToRoom,
+  gateRoom,
+  ALL_GATES_ROOM
+};
@@ -0,0 +1,110 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+
+// How many days before expiry owners may file a renewal
+const RENEWAL_WINDOW_DAYS = parseInt(process.env.RENEWAL_WINDOW_DAYS) || 60;
+// How long each renewal extends a pass
+const RENEWAL_PERIOD_MONTHS = parseInt(process.env.RENEWAL_PERIOD_MONTHS) || 12;
+
+class RenewalService {
+  /**
+   * Why a pass cannot be renewed yet
+   * @param {Object} application - VehiclePassApplication being renewed
+   * @returns {string|null} - Reason, or null when a renewal may be filed
+   */
+  static getIneligibilityReason(application, now = new Date()) {
+    if (application.applicationType === 'renewal') {
+      return 'Renew the original pass, not a renewal application';
+    }
+    if (!['completed', 'expired'].includes(application.status) || !application.rfidInfo || !application.rfidInfo.tagId) {
+      return 'Only completed or expired passes with an RFID tag can be renewed';
+    }
+    if (!application.rfidInfo.validUntil) {
+      return 'This pass has no expiry date to extend';
+    }
+
+    const opensAt = new Date(application.rfidInfo.validUntil);
+    opensAt.setDate(opensAt.getDate() - RENEWAL_WINDOW_DAYS);
+    if (now < opensAt) {
+      return `Renewal opens ${RENEWAL_WINDOW_DAYS} days before the pass expires (${opensAt.toISOString().slice(0, 10)})`;
+    }
+    return null;
+  }
+
+  // Renewal of a pass that is still being processed, if any
+  static async findOpenRenewal(applicationId) {
+    return await VehiclePassApplication.findOne({
+      renewalOf: applicationId,
+      status: { $in: ['pending', 'approved'] }
+    });
+  }
+
+  /**
+   * The pass a renewal extends, if it can still be extended: it must exist, be completed or
+   * expired and still have its tag. Checked before payment is taken.
+   * @param {Object} renewal - Renewal VehiclePassApplication
+   * @returns {Promise<Object>} - { original } on success, otherwise { error }
+   */
+  static async findRenewablePass(renewal) {
+    const original = await VehiclePassApplication.findById(renewal.renewalOf);
+    if (!original) {
+      return { error: 'The pass being renewed no longer exists' };
+    }
+    if (!['completed', 'expired'].includes(original.status)) {
+      return { error: `The pass being renewed is ${original.status} and cannot be extended` };
+    }
+    if (!original.rfidInfo || !original.rfidInfo.tagId) {
+      return { error: 'The pass being renewed no longer has an RFID tag' };
+    }
+    return { original };
+  }
+
+  /**
+   * Complete an approved, paid renewal: archive the current validity period and extend the
+   * original pass on the same tag. The renewal application is marked completed.
+   * @param {Object} renewal - Renewal VehiclePassApplication
+   * @param {Object} reviewer - User ID of the admin completing it
+   * @returns {Promise<Object>} - The extended original application
+   */
+  static async completeRenewal(renewal, reviewer) {
+    const { original, error } = await this.findRenewablePass(renewal);
+    if (error) {
+      throw new Error(error);
+    }
+
+    const now = new Date();
+    const previousUntil = original.rfidInfo.validUntil;
+    const lastPeriod = original.validityHistory[original.validityHistory.length - 1];
+
+    original.validityHistory.push({
+      tagId: original.rfidInfo.tagId,
+      validFrom: lastPeriod ? lastPeriod.validUntil : original.rfidInfo.assignedAt,
+      validUntil: previousUntil,
+      renewal: renewal._id
+    });
+
+    // Renewing early keeps the remaining days; renewing a lapsed pass starts from today
+    const validUntil = new Date(previousUntil && previousUntil > now ? previousUntil : now);
+    validUntil.setMonth(validUntil.getMonth() + RENEWAL_PERIOD_MONTHS);
+    original.rfidInfo.validUntil = validUntil;
+
+    // Passes deactivated by the expiry job come back into service
+    if (original.status === 'expired') {
+      original.transitionTo('completed', { by: reviewer, reason: 'Renewed' });
+      original.rfidInfo.isActive = true;
+    }
+
+    // The renewal carries the current registration documents
+    original.vehicleInfo.orNumber = renewal.vehicleInfo.orNumber;
+    original.vehicleInfo.crNumber = renewal.vehicleInfo.crNumber;
+    await original.save();
+
+    renewal.transitionTo('approved', { by: reviewer });
+    renewal.transitionTo('completed', { by: reviewer });
+    renewal.reviewedBy = reviewer;
+    await renewal.save();
+
+    return original;
+  }
+}
+
+module.exports = RenewalService;
@@ -0,0 +1,127 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const WatchlistService = require('./watchlistService');
+
+const getPath = (source, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), source);
+
+const normalize = (value) => (value === undefined || value === null || value === '' ? null : String(value).trim());
+
+class RevisionService {
+  /**
+   * Send an application back to the applicant with comments on the fields and documents to fix
+   * @param {Object} application - Pending VehiclePassApplication
+   * @param {Object} request - { comments: [{ field, comment }], message, by }
+   * @returns {Object} - The new revision request
+   */
+  static requestRevision(application, { comments, message, by }) {
+    application.transitionTo('for_revision', { by, reason: message || comments.map((c) => `${c.field}: ${c.comment}`).join('; ') });
+    application.revisionRequests.push({
+      comments: comments.map(({ field, comment }) => ({
+        field,
+        comment,
+        previousFileName: application.attachments[field] ? application.attachments[field].fileName : undefined
+      })),
+      message,
+      requestedBy: by
+    });
+    return application.revisionRequests[application.revisionRequests.length - 1];
+  }
+
+  /**
+   * Apply the applicant's corrections and put the application back in the review queue.
+   * Only flagged fields may change and every flagged document must be re-uploaded first.
+   * @param {Object} application - VehiclePassApplication in for_revision
+   * @param {Object} body - Corrected values, shaped like the application (e.g. { vehicleInfo: { orNumber } })
+   * @param {Object} by - User ID of the applicant
+   * @returns {Promise<Object>} - { changes } on success, otherwise { error, fields } (with status and code for watchlist bans)
+   */
+  static async resubmit(application, body, by) {
+    const request = application.getOpenRevisionRequest();
+    if (!request) {
+      return { error: 'Application has no open revision request' };
+    }
+
+    const flagged = request.comments.map((c) => c.field);
+
+    const notFlagged = VehiclePassApplication.REVISABLE_FIELDS.filter((field) =>
+      !flagged.includes(field) &&
+      getPath(body, field) !== undefined &&
+      normalize(getPath(body, field)) !== normalize(application.get(field))
+    );
+    if (notFlagged.length) {
+      return { error: 'Only the fields flagged for revision can be changed', fields: notFlagged };
+    }
+
+    const missingDocuments = flagged.filter((field) =>
+      VehiclePassApplication.REVISABLE_DOCUMENTS.includes(field) &&
+      !(application.attachments[field] && application.attachments[field].fileId &&
+        application.attachments[field].uploadedAt > request.requestedAt)
+    );
+    if (missingDocuments.length) {
+      return { error: 'Re-upload the flagged documents before resubmitting', fields: missingDocuments };
+    }
+
+    const changes = [];
+    flagged.forEach((field) => {
+      if (VehiclePassApplication.REVISABLE_DOCUMENTS.includes(field)) {
+        const comment = request.comments.find((c) => c.field === field);
+        changes.push({ field, from: comment.previousFileName || null, to: application.attachments[field].fileName });
+        return;
+      }
+      const value = getPath(body, field);
+      if (value !== undefined && normalize(value) !== normalize(application.get(field))) {
+        changes.push({ field, from: application.get(field), to: value });
+        application.set(field, value);
+      }
+    });
+
+    // Corrected vehicle identifiers must still be unique, as when editing a pending application
+    const changedFields = changes.map((c) => c.field);
+    // A renewal is for the vehicle on the pass it renews
+    if (application.applicationType === 'renewal' && changedFields.includes('vehicleInfo.plateNumber')) {
+      return { error: 'The plate number of a renewal cannot be changed', fields: ['vehicleInfo.plateNumber'] };
+    }
+    const identifiers = changedFields.filter((field) => ['vehicleInfo.plateNumber', 'vehicleInfo.orNumber', 'vehicleInfo.crNumber'].includes(field));
+    if (identifiers.length) {
+      const duplicateFields = await VehiclePassApplication.findDuplicateVehicleFields(
+        application.vehicleInfo,
+        [application._id, application.renewalOf].filter(Boolean)
+      );
+      if (duplicateFields.length) {
+        return {
+          error: `Vehicle with the same ${duplicateFields.join(', ')} has already been registered by another user`,
+          fields: identifiers
+        };
+      }
+    }
+
+    // Banned plates/IDs are refused; other watchlist hits are accepted but reported to security
+    if (changedFields.includes('vehicleInfo.plateNumber') || changedFields.includes('idNumber')) {
+      const watchlist = await WatchlistService.check({ plateNumber: application.vehicleInfo.plateNumber, idNumber: application.idNumber });
+      const alert = {
+        source: 'online_application',
+        application: application._id,
+        plateNumber: application.vehicleInfo.plateNumber,
+        idNumber: application.idNumber,
+        user: by
+      };
+      if (watchlist.banned) {
+        await WatchlistService.raiseAlert(watchlist.hits, { ...alert, action: 'denied' });
+        return {
+          status: 403,
+          code: 'WATCHLISTED',
+          error: 'This application cannot be accepted. Please contact the security office.'
+        };
+      }
+      await WatchlistService.raiseAlert(watchlist.hits, { ...alert, action: 'allowed' });
+    }
+
+    request.resubmittedAt = new Date();
+    request.changes = changes;
+    application.transitionTo('pending', { by, reason: 'Resubmitted after revision' });
+    await application.save();
+
+    return { changes };
+  }
+}
+
+module.exports = RevisionService;
@@ -0,0 +1,393 @@
+const RFIDScan = require('../models/RFIDScan');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const ParkingZone = require('../models/ParkingZone');
+const VisitorPass = require('../models/VisitorPass');
+const PresenceService = require('./presenceService');
+const AccessPolicyService = require('./accessPolicyService');
+const WatchlistService = require('./watchlistService');
+const GuardConsoleService = require('./guardConsoleService');
+const QRCredentialService = require('./qrCredentialService');
+
+class ScanService {
+  /**
+   * Evaluate a tag read against the pass state at the time of the read and log it as an RFIDScan.
+   * Live reads are evaluated at the current time. Buffered (offline) reads are re-evaluated on upload as of their
+   * original scanTimestamp: status, activation, tag binding, validity and presence; the watchlist as it is now.
+   * @param {Object} read - { tagId, scanType, direction, scanTimestamp, systemStatus, batteryLevel, signalStrength, metadata, deviceSequence, allowListVersion }
+   * @param {Object} scanner - Registered Scanner document the read came from
+   * @param {Object} options - { offline, startTime, credentialType, application, performedBy }
+   *   QR reads pass the application their credential resolved to; RFID reads are looked up by tag
+   * @returns {Promise<Object>} - { status, body, scan } where status/body form the scanner response
+   */
+  static async processTagRead(read, scanner, options = {}) {
+    const { offline = false, startTime = Date.now(), credentialType = 'rfid', performedBy } = options;
+    const { tagId } = read;
+    const at = read.scanTimestamp ? new Date(read.scanTimestamp) : new Date();
+
+    // Lookup application by tag; loaner tags and visitor pass codes resolve to visitor passes
+    const application = options.application !== undefined
+      ? options.application
+      : await this.findPassByTag(tagId, offline ? at : null);
+    const visitorPass = application ? null : await VisitorPass.findByCredential(tagId);
+
+    // Scanner details come from the registry, not the request body
+    const commonLog = {
+      tagId,
+      scannerId: scanner.scannerId,
+      scannerLocation: scanner.location,
+      scannerType: scanner.type,
+      zone: scanner.zone || undefined,
+      scanType: read.scanType || (scanner.type !== 'checkpoint' ? scanner.type : 'validation'),
+      direction: scanner.direction !== 'both' ? scanner.direction : (read.direction || 'both'),
+      scanTimestamp: at,
+      responseTime: Date.now() - startTime,
+      systemStatus: read.systemStatus || 'online',
+      batteryLevel: read.batteryLevel,
+      signalStrength: read.signalStrength,
+      metadata: read.metadata,
+      offline,
+      deviceSequence: read.deviceSequence,
+      receivedAt: offline ? new Date() : undefined,
+      reevaluated: offline || undefined,
+      allowListVersion: read.allowListVersion,
+      visitorPass: visitorPass ? visitorPass._id : undefined,
+      credentialType,
+      performedBy
+    };
+    const plateNumber = application && application.vehicleInfo
+      ? application.vehicleInfo.plateNumber
+      : (visitorPass ? visitorPass.plateNumber : undefined);
+
+    // Watchlist hits alert security whatever the outcome of the read
+    const watchlist = await WatchlistService.check({
+      tagId,
+      plateNumber,
+      idNumber: application && application.idNumber
+    });
+    const alertWatchlist = (log) => WatchlistService.raiseAlert(watchlist.hits, {
+      source: 'scan',
+      action: log.scanResult === 'success' ? 'allowed' : 'denied',
+      scanId: log._id,
+      tagId,
+      plateNumber,
+      vehicle: application ? application._id : undefined,
+      visitorPass: visitorPass ? visitorPass._id : undefined,
+      scannerId: scanner.scannerId,
+      scannerLocation: scanner.location,
+      offline,
+      scanTimestamp: log.scanTimestamp
+    });
+
+    const deny = async (status, code, scanMessage, message, extra = {}) => {
+      const log = new RFIDScan({
+        ...commonLog,
+        user: application ? application.linkedUser : null,
+        vehicle: application ? application._id : null,
+        scanResult: 'denied',
+        scanMessage,
+        errorCode: code
+      });
+      await log.save();
+      await alertWatchlist(log);
+      if (!offline) GuardConsoleService.publishScan(log, application, visitorPass);
+      return {
+        status,
+        scan: log,
+        body: { success: false, code, message, ...extra, scanId: log._id, timestamp: log.scanTimestamp }
+      };
+    };
+
+    if (watchlist.banned) {
+      return deny(403, 'WATCHLISTED', 'Vehicle or tag is banned (watchlist)', 'Access denied: please proceed to the security office');
+    }
+
+    if (options.credentialError) {
+      const { status, code, message } = options.credentialError;
+      return deny(status, code, message, message);
+    }
+
+    if (!application && visitorPass) {
+      return this.processVisitorRead(visitorPass, { commonLog, at, offline, watchlist, deny, alertWatchlist });
+    }
+
+    // Tags swapped out for a replacement are reported as such, so guards can spot a lost or stolen sticker
+    if (!application && await VehiclePassApplication.exists({ 'tagReplacements.oldTagId': tagId })) {
+      return deny(410, 'TAG_REPLACED', 'RFID tag replaced', 'RFID tag has been replaced and is no longer valid');
+    }
+
+    if (!application) {
+      return deny(404, 'TAG_NOT_FOUND', 'RFID tag not found', 'RFID tag is not assigned to any application');
+    }
+
+    const ineligible = this.checkPass(application, at, credentialType, { historical: offline });
+    if (ineligible) {
+      const { status, code, scanMessage, message, extra } = ineligible;
+      return deny(status, code, scanMessage, message, extra);
+    }
+
+    const movement = PresenceService.resolveMovement(commonLog.direction, commonLog.scanType);
+
+    // Schedules and the closure calendar only restrict coming onto campus; exits are always allowed
+    if (movement === 'in' && PresenceService.isCampusMovement(scanner, movement)) {
+      const restriction = await AccessPolicyService.evaluateEntry(application, at);
+      if (restriction) {
+        const { code, scanMessage, message, ...extra } = restriction;
+        return deny(403, code, scanMessage, message, extra);
+      }
+    }
+
+    // Anti-passback: deny (hard) or flag (soft) a repeat of the vehicle's last direction
+    const antiPassbackMode = PresenceService.isCampusMovement(scanner, movement) ? scanner.antiPassbackMode : 'off';
+    const warnings = watchlist.hits.length ? ['WATCHLIST'] : [];
+    const denyPassback = (state, lastScanAt) => deny(
+      403,
+      'ANTI_PASSBACK',
+      movement === 'in' ? 'Vehicle is already inside campus' : 'Vehicle is not inside campus',
+      movement === 'in'
+        ? 'Entry denied: vehicle is already recorded inside campus'
+        : 'Exit denied: vehicle is already recorded outside campus',
+      { presence: { state, lastScanAt } }
+    );
+
+    if (antiPassbackMode !== 'off') {
+      const { violation, state, lastScanAt } = offline
+        ? await PresenceService.checkAntiPassbackAt(application._id, movement, at)
+        : await PresenceService.checkAntiPassback(application._id, movement);
+      if (violation) warnings.push('ANTI_PASSBACK');
+
+      if (violation && antiPassbackMode === 'hard') {
+        return denyPassback(state, lastScanAt);
+      }
+    }
+
+    // Parking zone: the pass must cover the zone, and the zone must have room
+    let zone = null;
+    if (scanner.zone && movement === 'in') {
+      zone = await ParkingZone.findById(scanner.zone);
+    }
+
+    if (zone && zone.isActive) {
+      if (!zone.allowsApplication(application)) {
+        return deny(403, 'ZONE_NOT_ALLOWED', `Pass does not cover zone ${zone.code}`, `Vehicle pass does not cover parking zone ${zone.name}`, {
+          zone: { id: zone._id, code: zone.code, name: zone.name }
+        });
+      }
+
+      // Past fill levels cannot be reconstructed, so capacity is only enforced live
+      if (!offline) {
+        const occupied = await PresenceService.countInZone(zone._id, application._id);
+        if (occupied >= zone.capacity) {
+          const zoneInfo = { id: zone._id, code: zone.code, name: zone.name, capacity: zone.capacity, occupied };
+          if (zone.fullAction === 'deny') {
+            return deny(409, 'ZONE_FULL', `Zone ${zone.code} is full`, `Parking zone ${zone.name} is full`, { zone: zoneInfo });
+          }
+          warnings.push('ZONE_FULL');
+        }
+      }
+    }
+
+    // Valid
+    const successLog = new RFIDScan({
+      ...commonLog,
+      user: application.linkedUser,
+      vehicle: application._id,
+      scanResult: 'success',
+      scanMessage: warnings.length ? `Access granted (warnings: ${warnings.join(', ')})` : 'Access granted',
+      errorCode: warnings.length ? warnings[0] : undefined,
+      metadata: warnings.length ? { ...(commonLog.metadata || {}), warnings } : commonLog.metadata
+    });
+
+    // Hard anti-passback moves the vehicle before granting, in one conditional update, so a second
+    // read racing through the gate finds the vehicle already moved and is denied
+    const claimMovement = antiPassbackMode === 'hard' && !offline;
+    if (claimMovement) {
+      const presence = await PresenceService.recordMovement(application, movement, successLog, scanner, { antiPassback: true });
+      if (!presence) {
+        const current = await PresenceService.getPresence(application._id);
+        return denyPassback(current ? current.state : 'unknown', current ? current.lastScanAt : undefined);
+      }
+    }
+
+    await successLog.save();
+    await alertWatchlist(successLog);
+    if (!offline) GuardConsoleService.publishScan(successLog, application);
+
+    if (!claimMovement) {
+      await PresenceService.recordMovement(application, movement, successLog, scanner);
+    }
+
+    return {
+      status: 200,
+      scan: successLog,
+      body: {
+        success: true,
+        code: 'TAG_VALID',
+        message: credentialType === 'qr' ? 'QR credential is valid' : 'RFID tag is valid and active',
+        warnings,
+        scanId: successLog._id,
+        timestamp: successLog.scanTimestamp,
+        application: {
+          id: application._id,
+          status: application.status,
+          rfidInfo: application.rfidInfo ? {
+            tagId: application.rfidInfo.tagId,
+            isActive: application.rfidInfo.isActive,
+            assignedAt: application.rfidInfo.assignedAt,
+            validUntil: application.rfidInfo.validUntil
+          } : undefined,
+          vehicleInfo: application.vehicleInfo
+        },
+        zone: zone ? { id: zone._id, code: zone.code, name: zone.name } : undefined
+      }
+    };
+  }
+
+  // Pass a tag belongs to. Buffered reads also match tags that were replaced after the read was made.
+  static async findPassByTag(tagId, readAt = null) {
+    const application = await VehiclePassApplication.findOne({ 'rfidInfo.tagId': tagId });
+    if (application || !readAt) {
+      return application;
+    }
+    return await VehiclePassApplication.findOne({
+      tagReplacements: { $elemMatch: { oldTagId: tagId, replacedAt: { $gt: readAt } } }
+    });
+  }
+
+  /**
+   * Whether a pass may go through the gates at a given time: status, activation and validity.
+   * Watchlist, schedule, anti-passback and zone rules are checked separately.
+   * @param {Object} application - VehiclePassApplication
+   * @param {Date} at - Time of the read
+   * @param {string} credentialType - rfid, qr or none (guard override)
+   * @param {Object} options - { historical: judge status and activation as they were at `at` (buffered reads) }
+   * @returns {Object|null} - null when the pass is eligible, otherwise { status, code, scanMessage, message, extra }
+   */
+  static checkPass(application, at = new Date(), credentialType = 'rfid', { historical = false } = {}) {
+    const rfidInfo = application.rfidInfo || {};
+    const state = historical
+      ? application.stateAt(at)
+      : { status: application.status, isActive: !!rfidInfo.isActive, suspendedUntil: rfidInfo.suspendedUntil };
+
+    // Passes deactivated by the expiry job report the expiry rather than a disabled tag
+    if (state.status === 'expired') {
+      return { status: 410, code: 'TAG_EXPIRED', scanMessage: 'RFID tag expired', message: 'RFID tag validity has expired' };
+    }
+
+    // QR credentials also serve passes without an RFID sticker; a deactivated tag still blocks them
+    const hasTag = rfidInfo.tagId;
+    if (hasTag && !state.isActive && state.suspendedUntil) {
+      return { status: 423, code: 'TAG_SUSPENDED', scanMessage: 'RFID tag is suspended', message: 'RFID tag is suspended', extra: { suspendedUntil: state.suspendedUntil } };
+    }
+    if ((credentialType === 'rfid' || hasTag) && !state.isActive) {
+      return { status: 423, code: 'TAG_INACTIVE', scanMessage: 'RFID tag is not active', message: 'RFID tag is not active' };
+    }
+
+    if (state.status !== 'completed') {
+      return { status: 409, code: 'APPLICATION_NOT_COMPLETED', scanMessage: 'Application not completed', message: 'Vehicle pass application is not marked as completed' };
+    }
+
+    // Renewal records and passes issued without an expiry never admit anyone
+    if (application.applicationType === 'renewal' || !rfidInfo.validUntil) {
+      return { status: 409, code: 'NO_VALIDITY_PERIOD', scanMessage: 'Pass has no validity period', message: 'Vehicle pass has no validity period' };
+    }
+
+    if (at > new Date(rfidInfo.validUntil)) {
+      return { status: 410, code: 'TAG_EXPIRED', scanMessage: 'RFID tag expired', message: 'RFID tag validity has expired' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Evaluate a scanned QR code: an application's rotating credential, or a visitor pass code.
+   * The read is checked and logged like a tag read, with credentialType 'qr'.
+   * @param {Object} read - Same fields as processTagRead, with qrData instead of tagId
+   * @param {Object} scanner - Registered Scanner document (or the guard's gate) the read came from
+   * @param {Object} options - { startTime, performedBy }
+   * @returns {Promise<Object>} - { status, body, scan }
+   */
+  static async processQRRead(read, scanner, options = {}) {
+    const { qrData, ...rest } = read;
+
+    // Visitor passes print their pass code as the QR payload
+    if (!QRCredentialService.isApplicationCredential(qrData)) {
+      return this.processTagRead({ ...rest, tagId: qrData }, scanner, { ...options, credentialType: 'qr', application: null });
+    }
+
+    const { application, code, message } = await QRCredentialService.verify(qrData);
+    const tagId = application
+      ? (application.rfidInfo && application.rfidInfo.tagId) || `QR-${application._id}`
+      : 'QR-INVALID';
+
+    return this.processTagRead({ ...rest, tagId }, scanner, {
+      ...options,
+      credentialType: 'qr',
+      application: application || null,
+      credentialError: code ? { status: code === 'QR_EXPIRED' ? 410 : 403, code, message } : undefined
+    });
+  }
+
+  /**
+   * Evaluate a read of a visitor pass (loaner tag or pass code) and log it.
+   * Visitors may enter between validFrom and validUntil; leaving is always allowed,
+   * but a late exit is flagged as an overstay.
+   * @param {Object} visitorPass - VisitorPass document
+   * @param {Object} context - { commonLog, at, offline, watchlist, deny, alertWatchlist } from processTagRead
+   * @returns {Promise<Object>} - { status, body, scan }
+   */
+  static async processVisitorRead(visitorPass, context) {
+    const { commonLog, at, offline, watchlist, deny, alertWatchlist } = context;
+    const movement = PresenceService.resolveMovement(commonLog.direction, commonLog.scanType);
+    const warnings = watchlist.hits.length ? ['WATCHLIST'] : [];
+
+    if (visitorPass.status === 'revoked') {
+      return deny(423, 'VISITOR_PASS_REVOKED', 'Visitor pass revoked', 'Visitor pass has been revoked');
+    }
+
+    if (visitorPass.status === 'closed') {
+      return deny(410, 'VISITOR_PASS_CLOSED', 'Visitor pass closed', 'Visitor pass has already been closed');
+    }
+
+    if (movement === 'out') {
+      if (at > visitorPass.expectedExitAt || at > visitorPass.validUntil) warnings.push('VISITOR_OVERSTAYED');
+    } else {
+      if (at < visitorPass.validFrom) {
+        return deny(403, 'VISITOR_PASS_NOT_STARTED', 'Visitor pass not yet valid', 'Visitor pass is not valid yet');
+      }
+      if (at > visitorPass.validUntil) {
+        return deny(410, 'VISITOR_PASS_EXPIRED', 'Visitor pass expired', 'Visitor pass has expired');
+      }
+    }
+
+    const successLog = new RFIDScan({
+      ...commonLog,
+      scanResult: 'success',
+      scanMessage: warnings.length ? `Visitor access granted (warnings: ${warnings.join(', ')})` : 'Visitor access granted',
+      errorCode: warnings.length ? warnings[0] : undefined,
+      metadata: warnings.length ? { ...(commonLog.metadata || {}), warnings } : commonLog.metadata
+    });
+    await successLog.save();
+    await alertWatchlist(successLog);
+    if (!offline) GuardConsoleService.publishScan(successLog, null, visitorPass);
+
+    if (PresenceService.isCampusMovement({ type: commonLog.scannerType, zone: commonLog.zone }, movement)) {
+      await visitorPass.recordMovement(movement, at);
+    }
+
+    return {
+      status: 200,
+      scan: successLog,
+      body: {
+        success: true,
+        code: 'VISITOR_PASS_VALID',
+        message: 'Visitor pass is valid',
+        warnings,
+        scanId: successLog._id,
+        timestamp: successLog.scanTimestamp,
+        visitorPass: GuardConsoleService.describeVisitorPass(visitorPass)
+      }
+    };
+  }
+}
+
+module.exports = ScanService;
@@ -0,0 +1,130 @@
+const Scanner = require('../models/Scanner');
+const { emitToRoom } = require('./realtime');
+
+const LOW_BATTERY_THRESHOLD = parseInt(process.env.SCANNER_LOW_BATTERY_THRESHOLD) || 20;
+const WEAK_SIGNAL_THRESHOLD = parseInt(process.env.SCANNER_WEAK_SIGNAL_THRESHOLD) || 30;
+// Number of heartbeat intervals a scanner may miss before it is considered offline
+const MISSED_HEARTBEATS = parseInt(process.env.SCANNER_MISSED_HEARTBEATS) || 3;
+const CHECK_INTERVAL_MS = parseInt(process.env.SCANNER_HEALTH_CHECK_INTERVAL_MS) || 30 * 1000;
+
+class ScannerHealthService {
+  static get thresholds() {
+    return {
+      lowBattery: LOW_BATTERY_THRESHOLD,
+      weakSignal: WEAK_SIGNAL_THRESHOLD,
+      missedHeartbeats: MISSED_HEARTBEATS
+    };
+  }
+
+  // Time after which a silent scanner is considered offline
+  static offlineAfterMs(scanner) {
+    return scanner.heartbeatIntervalSec * MISSED_HEARTBEATS * 1000;
+  }
+
+  // Record device activity (heartbeat or tag read) and any telemetry it carried
+  static async recordActivity(scanner, telemetry = {}, isHeartbeat = false) {
+    const now = new Date();
+    const set = {
+      'health.lastSeenAt': now,
+      'health.isOnline': true
+    };
+    const unset = { 'health.offlineSince': '' };
+
+    if (isHeartbeat) set['health.lastHeartbeatAt'] = now;
+    ['systemStatus', 'batteryLevel', 'signalStrength', 'firmwareVersion', 'uptime'].forEach((k) => {
+      if (telemetry[k] !== undefined && telemetry[k] !== null) {
+        set[`health.${k}`] = telemetry[k];
+      }
+    });
+
+    // The scanner was loaded when the request was authenticated, so it still shows whether it was offline
+    const offlineSince = scanner.health && scanner.health.offlineSince;
+
+    const updated = await Scanner.findOneAndUpdate(
+      { _id: scanner._id },
+      { $set: set, $unset: unset },
+      { new: true }
+    );
+
+    if (updated && offlineSince) {
+      emitToRoom('admins', 'scanner:online', {
+        scannerId: updated.scannerId,
+        name: updated.name,
+        location: updated.location,
+        offlineSince,
+        onlineAt: now
+      });
+    }
+
+    return updated;
+  }
+
+  // List the health issues (offline, low_battery, weak_signal) of a scanner
+  static getIssues(scanner, now = new Date()) {
+    const issues = [];
+    const health = scanner.health || {};
+
+    if (!health.lastSeenAt || now - health.lastSeenAt > this.offlineAfterMs(scanner)) {
+      issues.push('offline');
+    }
+    if (typeof health.batteryLevel === 'number' && health.batteryLevel < LOW_BATTERY_THRESHOLD) {
+      issues.push('low_battery');
+    }
+    if (typeof health.signalStrength === 'number' && health.signalStrength < WEAK_SIGNAL_THRESHOLD) {
+      issues.push('weak_signal');
+    }
+
+    return issues;
+  }
+
+  // Mark scanners that missed their heartbeat window as offline and alert admins.
+  // The conditional update ensures only one instance raises each alert.
+  static async checkMissedHeartbeats() {
+    const now = new Date();
+    const candidates = await Scanner.find({
+      isEnabled: true,
+      'health.isOnline': true,
+      'health.lastSeenAt': { $exists: true }
+    });
+
+    const wentOffline = [];
+    for (const scanner of candidates) {
+      if (now - scanner.health.lastSeenAt <= this.offlineAfterMs(scanner)) {
+        continue;
+      }
+
+      const updated = await Scanner.findOneAndUpdate(
+        { _id: scanner._id, 'health.isOnline': true, 'health.lastSeenAt': scanner.health.lastSeenAt },
+        { $set: { 'health.isOnline': false, 'health.offlineSince': now } },
+        { new: true }
+      );
+
+      if (updated) {
+        wentOffline.push(updated);
+        console.warn(`Scanner ${updated.scannerId} missed its heartbeat window (last seen ${updated.health.lastSeenAt.toISOString()})`);
+        emitToRoom('admins', 'scanner:offline', {
+          scannerId: updated.scannerId,
+          name: updated.name,
+          location: updated.location,
+          lastSeenAt: updated.health.lastSeenAt,
+          offlineSince: now,
+          heartbeatIntervalSec: updated.heartbeatIntervalSec
+        });
+      }
+    }
+
+    return wentOffline;
+  }
+
+  static startMonitor() {
+    const timer = setInterval(() => {
+      this.checkMissedHeartbeats().catch((error) => {
+        console.error('Scanner heartbeat check failed:', error);
+      });
+    }, CHECK_INTERVAL_MS);
+    timer.unref();
+    return timer;
+  }
+}
+
+module.exports = ScannerHealthService;
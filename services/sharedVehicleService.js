@@ -0,0 +1,110 @@
+// Applications whose vehicle can still be shared
+const SHAREABLE_STATUSES = ['pending', 'for_revision', 'approved', 'completed'];
+
+// Admin decisions allowed from each driver link status
+const DRIVER_REVIEWS = {
+  pending: ['approved', 'rejected', 'removed'],
+  approved: ['removed'],
+  rejected: ['approved', 'removed'],
+  removed: []
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+class SharedVehicleService {
+  /**
+   * Link another registered user to the vehicle on a pass. Only applicants who own the
+   * vehicle can share it; the link waits for admin approval. The application is saved by the caller.
+   * @param {Object} application - VehiclePassApplication filed by the owner
+   * @param {Object} user - User being linked
+   * @param {Object} details - { vehicleUserType: driver or passenger, relationship, licenseNumber }
+   * @param {Object} by - User ID of the owner
+   * @returns {Object} - { driver } on success, otherwise { error }
+   */
+  static addDriver(application, user, { vehicleUserType, relationship, licenseNumber }, by) {
+    if (application.vehicleUserType !== 'owner') {
+      return { error: 'Only applicants who own the vehicle can add drivers or passengers' };
+    }
+    if (!SHAREABLE_STATUSES.includes(application.status)) {
+      return { error: `Drivers cannot be added while the application is ${application.status}` };
+    }
+    if (application.linkedUser && idOf(application.linkedUser) === user._id.toString()) {
+      return { error: 'The applicant is already on this pass' };
+    }
+    if (application.getDriver(user._id)) {
+      return { error: 'User is already linked to this vehicle' };
+    }
+    if (vehicleUserType === 'driver' && !licenseNumber) {
+      return { error: "A driver's license number is required for drivers" };
+    }
+
+    application.drivers.push({ user: user._id, vehicleUserType, relationship, licenseNumber, addedBy: by });
+    return { driver: application.drivers[application.drivers.length - 1] };
+  }
+
+  /**
+   * Approve, reject or remove a linked driver. The application is saved by the caller.
+   * @param {Object} application - VehiclePassApplication
+   * @param {string} driverId - ID of the drivers entry
+   * @param {string} status - approved, rejected or removed
+   * @param {Object} options - { by, reason }
+   * @returns {Object} - { driver } on success, otherwise { error }
+   */
+  static reviewDriver(application, driverId, status, { by, reason } = {}) {
+    const driver = application.drivers.id(driverId);
+    if (!driver) {
+      return { error: 'Driver not found on this application' };
+    }
+    if (!(DRIVER_REVIEWS[driver.status] || []).includes(status)) {
+      return { error: `Driver cannot be ${status} while ${driver.status}` };
+    }
+
+    driver.status = status;
+    driver.reviewedBy = by;
+    driver.reviewedAt = new Date();
+    driver.reason = reason;
+    return { driver };
+  }
+
+  /**
+   * Group a user's applications by vehicle, newest first. Renewals and earlier attempts for the
+   * same plate are listed under one vehicle; pass is its most recent non-renewal application.
+   * @param {Object[]} applications - VehiclePassApplication documents from forUser
+   * @param {Object} userId - The user the list is for
+   * @returns {Object[]} - [{ plateNumber, vehicleType, role, pass, applications }]
+   */
+  static groupByVehicle(applications, userId) {
+    const vehicles = new Map();
+    [...applications]
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .forEach((application) => {
+        const key = String(application.vehicleInfo.plateNumber || '').replace(/\s+/g, '').toUpperCase();
+        if (!vehicles.has(key)) {
+          vehicles.set(key, {
+            plateNumber: application.vehicleInfo.plateNumber,
+            vehicleType: application.vehicleInfo.type,
+            role: application.roleOf(userId),
+            pass: null,
+            applications: []
+          });
+        }
+        const vehicle = vehicles.get(key);
+        if (!vehicle.pass && application.applicationType !== 'renewal') {
+          vehicle.pass = application._id;
+          vehicle.plateNumber = application.vehicleInfo.plateNumber;
+          vehicle.vehicleType = application.vehicleInfo.type;
+          vehicle.role = application.roleOf(userId);
+        }
+        vehicle.applications.push({
+          id: application._id,
+          applicationType: application.applicationType,
+          status: application.status,
+          createdAt: application.createdAt
+        });
+      });
+
+    return [...vehicles.values()];
+  }
+}
+
+module.exports = SharedVehicleService;
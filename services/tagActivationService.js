@@ -0,0 +1,137 @@
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const RFIDTag = require('../models/RFIDTag');
+const FirebaseService = require('./firebaseService');
+
+class TagActivationService {
+  /**
+   * Turn a pass's tag off. With suspendedUntil the tag is switched back on by the
+   * suspension job once that time passes. The application is saved by the caller.
+   * @param {Object} application - Completed VehiclePassApplication with a tag
+   * @param {Object} options - { reason, by, suspendedUntil, tagId: set when the tag itself was lost or damaged }
+   */
+  static deactivate(application, { reason, by, suspendedUntil, tagId } = {}) {
+    const now = new Date();
+    application.rfidInfo.isActive = false;
+    application.rfidInfo.deactivatedAt = now;
+    application.rfidInfo.deactivatedBy = by;
+    application.rfidInfo.deactivationReason = reason;
+    application.rfidInfo.suspendedUntil = suspendedUntil ? new Date(suspendedUntil) : undefined;
+    application.rfidInfo.deactivatedTag = tagId;
+    application.activationHistory.push({ action: 'deactivated', reason, by, at: now, suspendedUntil: application.rfidInfo.suspendedUntil });
+  }
+
+  /**
+   * Turn a deactivated tag back on, optionally with a new validity date. Expired passes need one
+   * and are put back in service (completed). The application is saved by the caller.
+   * @param {Object} application - Completed or expired VehiclePassApplication with a deactivated tag
+   * @param {Object} options - { reason, by, validUntil, at }
+   * @returns {Promise<Object>} - {} on success, otherwise { error }
+   */
+  static async reactivate(application, { reason, by, validUntil, at = new Date() } = {}) {
+    if (application.status === 'expired' && !validUntil) {
+      return { error: 'Expired passes need a new validUntil to be reactivated, or can be renewed' };
+    }
+    if (!['completed', 'expired'].includes(application.status)) {
+      return { error: `Tags cannot be reactivated while the application is ${application.status}` };
+    }
+    if (!application.rfidInfo || !application.rfidInfo.tagId) {
+      return { error: 'Application has no RFID tag' };
+    }
+    if (application.rfidInfo.isActive) {
+      return { error: 'RFID tag is already active' };
+    }
+
+    // Lost, damaged or retired stickers are replaced, not switched back on
+    const tag = await RFIDTag.findOne({ epc: application.rfidInfo.tagId }).select('status');
+    if (tag && tag.status !== 'assigned') {
+      return { error: `RFID tag is ${tag.status.replace('_', ' ')}; replace it instead` };
+    }
+
+    const until = validUntil ? new Date(validUntil) : application.rfidInfo.validUntil;
+    if (until && until <= at) {
+      return { error: 'Pass validity has ended; give a new validUntil or renew the pass' };
+    }
+
+    if (application.status === 'expired') {
+      application.transitionTo('completed', { by, at, reason: reason || 'Reactivated with a new validity date' });
+    }
+    application.rfidInfo.isActive = true;
+    application.rfidInfo.validUntil = until;
+    application.rfidInfo.deactivatedAt = undefined;
+    application.rfidInfo.deactivatedBy = undefined;
+    application.rfidInfo.deactivationReason = undefined;
+    application.rfidInfo.suspendedUntil = undefined;
+    application.rfidInfo.deactivatedTag = undefined;
+    application.activationHistory.push({ action: 'reactivated', reason, by, at, validUntil: validUntil ? until : undefined });
+
+    return {};
+  }
+
+  /**
+   * Reactivate tags whose suspension has ended. Passes whose validity ran out during the
+   * suspension are marked expired instead. Saved one by one so the allow-list records each change.
+   * @returns {Promise<Object>} - { reactivated, expired, skipped }
+   */
+  static async endSuspensions(now = new Date()) {
+    const applications = await VehiclePassApplication.find({
+      'rfidInfo.isActive': false,
+      'rfidInfo.suspendedUntil': { $lte: now }
+    }).populate('linkedUser', 'firstName');
+
+    let reactivated = 0;
+    let expired = 0;
+    let skipped = 0;
+    for (const application of applications) {
+      const validUntil = application.rfidInfo.validUntil;
+      if (application.status === 'completed' && validUntil && validUntil <= now) {
+        application.transitionTo('expired', { at: now, reason: 'Validity period ended during suspension' });
+        application.rfidInfo.suspendedUntil = undefined;
+        await application.save();
+        expired++;
+        continue;
+      }
+
+      const result = await this.reactivate(application, { reason: 'Suspension ended', at: now });
+      if (result.error) {
+        // The pass changed while suspended (revoked, tag lost...); leave it deactivated
+        application.rfidInfo.suspendedUntil = undefined;
+        await application.save();
+        skipped++;
+        continue;
+      }
+      await application.save();
+      reactivated++;
+
+      try {
+        await this.notifyReactivated(application, 'Your suspension period has ended.');
+      } catch (error) {
+        // The tag is already active; a missed notification is not retried
+      }
+    }
+
+    return { reactivated, expired, skipped };
+  }
+
+  static async notifyReactivated(application, reason) {
+    const user = application.linkedUser;
+    if (!user) {
+      return;
+    }
+    const plateNumber = application.vehicleInfo.plateNumber;
+
+    await FirebaseService.addUserNotification(user._id.toString(), {
+      title: 'RFID Tag Reactivated',
+      message: `Hi ${(application.applicant && application.applicant.givenName) || user.firstName || 'there'}, the RFID tag of your vehicle pass (${plateNumber}) is active again. ${reason || ''}`.trim(),
+      type: 'success',
+      data: {
+        applicationId: application._id.toString(),
+        vehiclePlate: plateNumber,
+        status: 'reactivated',
+        reactivatedAt: new Date().toISOString(),
+        validUntil: application.rfidInfo.validUntil ? application.rfidInfo.validUntil.toISOString() : null
+      }
+    });
+  }
+}
+
+module.exports = TagActivationService;
@@ -0,0 +1,181 @@
+const RFIDTag = require('../models/RFIDTag');
+const VehiclePassApplication = require('../models/VehiclePassApplication');
+const TagActivationService = require('./tagActivationService');
+
+// Status changes admins can make by hand; tags only become assigned through assignment
+const MANUAL_TRANSITIONS = {
+  in_stock: ['lost', 'damaged', 'retired'],
+  assigned: ['lost', 'damaged', 'retired'],
+  lost: ['in_stock', 'retired'],
+  damaged: ['retired'],
+  retired: []
+};
+
+class TagInventoryService {
+  /**
+   * Add a delivery batch of tags to the inventory. EPCs already in the inventory are skipped.
+   * @param {string} batch - Batch name
+   * @param {string[]} epcs - Tag IDs
+   * @param {Object} by - User ID of the importing admin
+   * @returns {Promise<Object>} - { imported, duplicates }
+   */
+  static async importBatch(batch, epcs, by) {
+    const unique = [...new Set(epcs.map((epc) => String(epc).trim()).filter(Boolean))];
+    const existing = await RFIDTag.find({ epc: { $in: unique } }).select('epc');
+    const existingSet = new Set(existing.map((tag) => tag.epc));
+    const fresh = unique.filter((epc) => !existingSet.has(epc));
+
+    // Tags handed out before the inventory existed are imported as assigned to their pass
+    const bound = await VehiclePassApplication.find({ 'rfidInfo.tagId': { $in: fresh } }).select('rfidInfo.tagId rfidInfo.assignedAt');
+    const boundTo = new Map(bound.map((application) => [application.rfidInfo.tagId, application]));
+
+    const duplicates = [...existingSet];
+    let imported = 0;
+    if (fresh.length) {
+      try {
+        const docs = await RFIDTag.insertMany(fresh.map((epc) => {
+          const application = boundTo.get(epc);
+          const history = [{ action: 'imported', status: 'in_stock', by, note: `Batch ${batch}` }];
+          if (!application) {
+            return { epc, batch, importedBy: by, history };
+          }
+          history.push({ action: 'assigned', status: 'assigned', application: application._id, by, note: 'Assigned before import' });
+          return { epc, batch, importedBy: by, history, status: 'assigned', application: application._id, assignedAt: application.rfidInfo.assignedAt };
+        }), { ordered: false });
+        imported = docs.length;
+      } catch (error) {
+        // Tags imported concurrently by someone else
+        if (error.code !== 11000 && !(error.writeErrors && error.writeErrors.every((e) => e.code === 11000))) {
+          throw error;
+        }
+        imported = error.insertedDocs ? error.insertedDocs.length : (error.result && error.result.insertedCount) || 0;
+        (error.writeErrors || []).forEach((e) => duplicates.push(fresh[e.index]));
+      }
+    }
+
+    return { imported, duplicates };
+  }
+
+  /**
+   * Bind an in-stock tag to an application. The claim is atomic, so a tag cannot be handed out twice.
+   * @param {string} epc - Tag ID
+   * @param {Object} application - VehiclePassApplication document
+   * @param {Object} by - User ID of the admin assigning it
+   * @returns {Promise<Object>} - { tag } on success, otherwise { error }
+   */
+  static async assign(epc, application, by) {
+    const now = new Date();
+    const tag = await RFIDTag.findOneAndUpdate(
+      { epc: String(epc).trim(), status: 'in_stock' },
+      {
+        $set: { status: 'assigned', application: application._id, assignedAt: now },
+        $push: { history: { action: 'assigned', status: 'assigned', application: application._id, by, at: now } }
+      },
+      { new: true }
+    );
+    if (tag) {
+      return { tag };
+    }
+
+    return { error: await this.getUnavailableReason(epc) || 'RFID tag was just assigned elsewhere' };
+  }
+
+  // Why a tag cannot be assigned, or null when it is in stock
+  static async getUnavailableReason(epc) {
+    const tag = await RFIDTag.findOne({ epc: String(epc).trim() });
+    if (!tag) {
+      return 'RFID tag is not in the inventory; import it first';
+    }
+    if (tag.status !== 'in_stock') {
+      return `RFID tag is ${tag.status.replace('_', ' ')} and cannot be assigned`;
+    }
+    return null;
+  }
+
+  /**
+   * Unbind a tag from an application
+   * @param {string} epc - Tag ID
+   * @param {Object} options - { status: status the tag moves to (default in_stock), by, note }
+   * @returns {Promise<Object|null>} - The updated tag, or null when the tag is not in the inventory
+   */
+  static async release(epc, { status = 'in_stock', by, note } = {}) {
+    const tag = await RFIDTag.findOne({ epc });
+    if (!tag) {
+      return null;
+    }
+
+    tag.history.push({ action: 'released', status, application: tag.application, by, note });
+    tag.status = status;
+    tag.application = undefined;
+    tag.assignedAt = undefined;
+    return await tag.save();
+  }
+
+  /**
+   * Swap an application's tag for an in-stock one. The old tag is retired and recorded in
+   * tagReplacements so later scans of it are denied as TAG_REPLACED. Validity and activation
+   * are unchanged, except that a pass deactivated because this tag was lost or damaged is
+   * reactivated. The application is saved by the caller.
+   * @param {Object} application - VehiclePassApplication document with a tag
+   * @param {string} newTagId - Tag ID of the replacement
+   * @param {Object} options - { reason: lost, damaged or other, note, by, payment }
+   * @returns {Promise<Object>} - { tag, replacement } on success, otherwise { error }
+   */
+  static async replace(application, newTagId, { reason = 'other', note, by, payment } = {}) {
+    const oldTagId = application.rfidInfo && application.rfidInfo.tagId;
+    if (!oldTagId) {
+      return { error: 'Application has no RFID tag to replace' };
+    }
+
+    const claim = await this.assign(newTagId, application, by);
+    if (claim.error) {
+      return claim;
+    }
+    await this.release(oldTagId, {
+      status: 'retired',
+      by,
+      note: [`Replaced by ${claim.tag.epc} (${reason})`, note].filter(Boolean).join(': ')
+    });
+
+    application.tagReplacements.push({ oldTagId, newTagId: claim.tag.epc, reason, note, replacedBy: by, payment });
+    // assignedAt is where the pass's validity starts (printed as Valid From), so it is kept;
+    // when and by whom the tag was swapped is in tagReplacements
+    application.rfidInfo.tagId = claim.tag.epc;
+    if (!application.rfidInfo.isActive && application.rfidInfo.deactivatedTag === oldTagId) {
+      // A lapsed pass stays off; the error only means there is nothing to restore
+      await TagActivationService.reactivate(application, { reason: `RFID tag replaced (${reason})`, by });
+    }
+
+    return { tag: claim.tag, replacement: application.tagReplacements[application.tagReplacements.length - 1] };
+  }
+
+  static canChangeStatus(tag, status) {
+    return (MANUAL_TRANSITIONS[tag.status] || []).includes(status);
+  }
+
+  /**
+   * Mark a tag lost, damaged, retired or back in stock. An assigned tag is unbound and its
+   * application's tag deactivated, which removes it from the scanner allow-list.
+   * @param {Object} tag - RFIDTag document
+   * @param {string} status - New status
+   * @param {Object} options - { by, note }
+   * @returns {Promise<Object>} - { tag, application } where application is the one that lost its tag
+   */
+  static async changeStatus(tag, status, { by, note } = {}) {
+    if (tag.status === 'assigned') {
+      const application = await VehiclePassApplication.findById(tag.application);
+      if (application && application.rfidInfo && application.rfidInfo.tagId === tag.epc && application.rfidInfo.isActive) {
+        TagActivationService.deactivate(application, { reason: note || `RFID tag marked ${status}`, by, tagId: tag.epc });
+        await application.save();
+      }
+      return { tag: await this.release(tag.epc, { status, by, note }), application };
+    }
+
+    tag.history.push({ action: 'status_changed', status, by, note });
+    tag.status = status;
+    await tag.save();
+    return { tag, application: null };
+  }
+}
+
+module.exports = TagInventoryService;
@@ -0,0 +1,60 @@
+const WatchlistEntry = require('../models/WatchlistEntry');
+const { emitToRoom } = require('./realtime');
+
+class WatchlistService {
+  /**
+   * Look up watchlist entries for a vehicle/person
+   * @param {Object} identifiers - { plateNumber, tagId, idNumber }
+   * @param {Date} at - Time the entries must still be valid at
+   * @returns {Promise<Object>} - { hits, banned } where banned is true if any hit is a ban
+   */
+  static async check(identifiers, at = new Date()) {
+    const hits = await WatchlistEntry.findMatches(identifiers, at);
+    return {
+      hits,
+      banned: hits.some((hit) => hit.severity === 'ban')
+    };
+  }
+
+  // Summary of hits for responses and alerts (reasons are for security staff only)
+  static describeHits(hits) {
+    return hits.map((hit) => ({
+      id: hit._id,
+      matchType: hit.matchType,
+      value: hit.value,
+      severity: hit.severity,
+      reason: hit.reason
+    }));
+  }
+
+  /**
+   * Record hits and push a watchlist alert to guards and admins
+   * @param {Array} hits - Matching WatchlistEntry documents
+   * @param {Object} context - Where the hit happened: { source, action, ... }
+   */
+  static async raiseAlert(hits, context) {
+    if (!hits || !hits.length) {
+      return;
+    }
+
+    try {
+      await WatchlistEntry.updateMany(
+        { _id: { $in: hits.map((hit) => hit._id) } },
+        { $inc: { hitCount: 1 }, $set: { lastHitAt: new Date() } }
+      );
+
+      const alert = {
+        ...context,
+        severity: hits.some((hit) => hit.severity === 'ban') ? 'ban' : 'alert',
+        hits: this.describeHits(hits),
+        at: new Date()
+      };
+      emitToRoom('guards', 'watchlist:hit', alert);
+      emitToRoom('admins', 'watchlist:hit', alert);
+    } catch (error) {
+      console.error('Failed to publish watchlist alert:', error);
+    }
+  }
+}
+
+module.exports = WatchlistService;